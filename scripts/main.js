@@ -11,6 +11,7 @@
  * - Authoritative combat state (GM-written):
  *   - Stored on the Combat document under flags[MODULE_ID].state
  *   - Contains per-combatant planning selections (planActions/planCosts/planAuto, bonusCount, etc.)
+ *   - Versioned by state.schemaVersion; migrateCombatState() upgrades/repairs older flags on load
  *
  * - Pending (optimistic) state (local per-client):
  *   - Lets the UI + movement checks react instantly to dropdown/toggle changes
@@ -18,7 +19,8 @@
  *
  * MOVEMENT TRACKING (per token)
  * - _moveTrack: committed movement used so far this round, broken down by internal slots
- * - _movePreview: live drag preview allocations (updates the overlay while dragging)
+ *   (persisted as state.movement.r<round>.<tokenId> via persistMoveTrack(), restored by syncMoveTracksFromState())
+ * - _movePreview: live drag preview allocations (updates the overlay while dragging; client-local)
  * - _prevPhaseCarry: snapshot of the previous round's last phase movement totals
  *   (used for the 1.25× BMR eligibility lookback across round boundaries)
  *
@@ -27,14 +29,29 @@
  *   - openTracker()/closeTracker() : create/destroy the Application
  *   - renderCombatTracker hook      : injects the header button and auto-opens
  *   - updateCombat/combatTurn hooks : keep phase/round view current
+ *   - getBoardCombatants(...)       : GM Board mode (all combatants, buildBoardSummary() chips, click to expand)
+ *   - getOwnedCombatants(...)       : player My Characters view; off-turn rows plan future phases (canPlayerEditPlanSlot)
+ *   - revealSealedDeclarations(...) : sealed mode (sealedPlan) merged into planActions on Reveal / phase start, chat card
  *
  * - Planning selections:
  *   - applyVddValue(...)            : handles dropdown/toggle changes and writes state
- *   - requestStatePathUpdate(...)   : routes writes via GM (socket for players)
+ *   - requestStatePathUpdates(...)  : routes (batched, atomic) writes via GM (socket for players)
+ *   - validateStatePathWrite(...)   : GM-side ownership/path/value checks for player writes
+ *   - resolvePlanRequest(...)       : approval mode (approvePlanChanges): planRequests approved/denied by the GM
+ *   - buildAuditEntries(...)        : per-key change log (flags auditLog) for audited queueStateWrite() calls; AuditLogViewer
  *
  * - Movement enforcement & overlays:
  *   - preUpdateToken hook           : clamps/blocks movement and sets pending overlay payload
- *   - updateToken hook              : updates overlay text after movement commits
+ *   - updateToken hook              : updates overlay text after movement commits (applyCommittedMove)
+ *   - evaluateTokenMove(...)        : cap check shared by preUpdateToken and GM enforcement (gmEnforceMovement)
+ *   - isForcedMove(...)             : forced moves (rmuCptForced / F key / Token HUD) skip caps, logged in forcedMoves
+ *   - allocatePathAcrossSlots(...)  : charges the waypoint path (getMovePathCenters) leg by leg
+ *   - applyTerrainToPath(...)       : difficult terrain regions (TERRAIN_BEHAVIOR_TYPE) multiply feet per leg
+ *   - getActiveMoveMode(...)        : swim/climb/fly/crawl per phase group; getActorPaceRates(actor, mode)
+ *   - getMountFor(...)              : picked or stacked mount; riders use the mount's pace rates, mount is carried along
+ *   - computeMoveLimits(...)        : per-phase caps shared by the drag preview and the pace range rings (drawPaceRings)
+ *   - drawMoveTrail(tokenUuid)      : opt-in round trail colored by the pace carried in the pending payload
+ *   - undoLastMoveForToken(...)     : segment undo stack (track.undo) for "Undo Move" / Alt+Z
  *   - buildMovePreview(...)         : computes live-drag overlay values
  *   - computeMoveCaps(...)          : resolves caps from BMR, concentration, load, instant action
  *
@@ -60,17 +77,40 @@ Hooks.once("init", () => {
     default: 1
   });
 
+  // World: expand generic weapon/spell actions into per-item entries from the actor's items.
+  game.settings.register(MODULE_ID, "deriveItemActions", {
+    name: "Derive Actions From Items",
+    hint: "List equipped weapons and known spells as their own actions (e.g. \"Broadsword Melee\"). Generic entries are used when item data is missing.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: () => { try { requestAppRefresh(); } catch (_) {} }
+  });
+
   // World: optional JSON override of action definitions. If empty/invalid, defaults are used.
   game.settings.register(MODULE_ID, "actionsConfig", {
     name: "Actions Config",
-    hint: "JSON array override for actions list; leave blank to use built-in defaults.",
+    hint: "JSON array override for actions list (edited via the Actions... menu); leave blank to use built-in defaults.",
     scope: "world",
     config: false,
     type: String,
-    default: ""
+    default: "",
+    onChange: () => { try { requestAppRefresh(); } catch (_) {} }
   });
 
 
+  // World: display order of action categories in the dropdown (built-ins are appended if missing).
+  game.settings.register(MODULE_ID, "actionCategories", {
+    name: "Action Categories",
+    hint: "Order of the action groups in the phase dropdown (set by importing an action pack).",
+    scope: "world",
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => { try { requestAppRefresh(); } catch (_) {} }
+  });
+
   // Client: show action images next to selectors (if assigned).
   game.settings.register(MODULE_ID, "showActionImages", {
     name: "Show Action Images",
@@ -81,6 +121,94 @@ Hooks.once("init", () => {
     default: true
   });
 
+  // Client: searchable/grouped dropdown for phase action selectors (off = plain browser dropdown).
+  game.settings.register(MODULE_ID, "searchableActionDropdown", {
+    name: "Searchable Action Dropdown",
+    hint: "Open phase action selectors as a grouped list with a filter box, keyboard navigation and your recently used actions on top.",
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  // World: player changes to past/current slots need GM approval.
+  game.settings.register(MODULE_ID, "approvePlanChanges", {
+    name: "GM Approval for Plan Changes",
+    hint: "A player's change to a past or current phase is sent to the GM as a request and only applied once approved. Future phases can still be planned freely.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => { try { requestAppRefresh(); } catch (_) {} }
+  });
+
+  // World: players declare future phases secretly; revealed by the GM or when the phase starts.
+  game.settings.register(MODULE_ID, "sealedDeclarations", {
+    name: "Sealed Declarations",
+    hint: "Players' choices for upcoming phases stay hidden until the GM clicks Reveal or the phase starts; the reveal is posted to chat. Hidden in the tracker UI only, not from the browser console.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      off: "Off",
+      players: "Hidden from other players",
+      all: "Hidden from other players and the GM"
+    },
+    default: "off",
+    onChange: () => { try { requestAppRefresh(); } catch (_) {} }
+  });
+
+  // Client (players): tracker shows all owned combatants so future phases can be planned off-turn.
+  game.settings.register(MODULE_ID, "myCharactersView", {
+    name: "My Characters View",
+    hint: "Show all of your combatants in the tracker, not only the current turn.",
+    scope: "client",
+    config: false,
+    type: Boolean,
+    default: false
+  });
+
+  // World: the GM client checks player moves of the current combatant's token, even with the player's tracker closed.
+  game.settings.register(MODULE_ID, "gmEnforceMovement", {
+    name: "GM-Authoritative Movement Limits",
+    hint: "The GM's client checks player token moves against the movement caps and clamps or reverts illegal moves, even when the player's tracker is closed. The GM must be viewing the combat's scene.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // World (hidden): tokens the GM switched to forced movement in the Token HUD ({ [tokenUuid]: true }).
+  // A world setting only GMs can write, so players can't exempt their own tokens from the caps.
+  game.settings.register(MODULE_ID, "forcedMoveTokens", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  // Client: draw pace range rings around the current combatant's token (remaining feet per pace this phase).
+  game.settings.register(MODULE_ID, "showPaceRings", {
+    name: "Show Pace Range Rings",
+    hint: "While the tracker is open, draw rings around the current combatant's token (if you own it) showing how far it can still move at each pace this phase.",
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => { try { drawPaceRings(); } catch (_) {} }
+  });
+
+  // Client: draw this round's movement trail, colored by pace band.
+  game.settings.register(MODULE_ID, "showMoveTrail", {
+    name: "Show Movement Trail",
+    hint: "Draw each token's movement this round as a line colored by pace (Creep green to Dash purple), labeled with the feet moved per phase.",
+    scope: "client",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => { try { drawAllMoveTrails(); } catch (_) {} }
+  });
+
   // World: actionKey -> image path mapping.
   game.settings.register(MODULE_ID, "actionImageMap", {
     name: "Action Image Map",
@@ -103,6 +231,17 @@ Hooks.once("init", () => {
     restricted: true
   });
 
+  // World: editor UI for the actionsConfig setting (add/edit/reorder/disable actions).
+  game.settings.registerMenu(MODULE_ID, "actionsConfigEditor", {
+    name: "Actions...",
+    label: "Edit Actions",
+    hint: "Add, edit, reorder or disable the actions offered in the phase selectors.",
+    scope: "world",
+    config: true,
+    type: ActionsConfigEditor,
+    restricted: true
+  });
+
   // World: configuration UI for assigning action images.
   game.settings.registerMenu(MODULE_ID, "actionImagesConfig", {
     name: "Action Images...",
@@ -114,6 +253,53 @@ Hooks.once("init", () => {
     restricted: true
   });
 
+  // World: export/import actions, images and categories as a single "action pack".
+  game.settings.registerMenu(MODULE_ID, "actionPacks", {
+    name: "Action Packs...",
+    label: "Import / Export Actions",
+    hint: "Save the actions, action images and categories to a file or journal entry, or load a pack from a file or compendium.",
+    scope: "world",
+    config: true,
+    type: ActionPackManager,
+    restricted: true
+  });
+
+  // Keybinding: undo the current combatant's last committed move in this phase.
+  game.keybindings.register(MODULE_ID, "undoLastMove", {
+    name: "Undo Last Move",
+    hint: "Move the current combatant's token back one committed move and give back the feet it used.",
+    editable: [{ key: "KeyZ", modifiers: ["Alt"] }],
+    onDown: () => {
+      const combat = game.combat;
+      const cur = combat?.combatant;
+      if (!combat?.started || !cur || isGmReadOnlyCombatant(cur.id)) return false;
+      undoLastMoveForCombatant(combat, cur.id).then(ok => {
+        if (!ok) ui.notifications?.warn?.("No move to undo in the current phase.");
+        try { requestAppRefresh(); } catch (_) {}
+      });
+      return true;
+    }
+  });
+
+  // Keybinding (GM): hold while dropping a token to make the move a forced move (not charged, logged).
+  game.keybindings.register(MODULE_ID, "forcedMove", {
+    name: "Forced Move (hold)",
+    hint: "Hold while dropping a token to move it without movement caps or charging the phase (knockback, shoves, repositioning). The move is logged in the History window.",
+    editable: [{ key: "KeyF" }],
+    restricted: true,
+    onDown: () => { _forcedMoveKeyHeld = true; return false; },
+    onUp: () => { _forcedMoveKeyHeld = false; return false; }
+  });
+
+  // Region behavior: difficult terrain (movement cost multiplier), declared in module.json documentTypes.
+  try {
+    CONFIG.RegionBehavior.dataModels[TERRAIN_BEHAVIOR_TYPE] = TerrainRegionBehaviorType;
+    CONFIG.RegionBehavior.typeLabels[TERRAIN_BEHAVIOR_TYPE] = "RMU Difficult Terrain";
+    CONFIG.RegionBehavior.typeIcons[TERRAIN_BEHAVIOR_TYPE] = "fa-solid fa-mountain";
+  } catch (e) {
+    console.warn(`${MODULE_ID} | Could not register the difficult terrain region behavior`, e);
+  }
+
 // Settings
 });
 
@@ -122,7 +308,7 @@ const MODULE_ID = "rmu-phase-tracker-v3";
 // UI build/version label: shown in the tracker header.
 // Update this whenever code changes so the UI always reflects the latest generation of code,
 // even if module.json is unchanged.
-const UI_VERSION = "0.6.19.37.35.15-fix145-movecomplete-gated";
+const UI_VERSION = "0.6.19.37.35.15-fix170-audit-log";
 
 // --- Player Guide JournalEntry --------------------------------------------
 const PLAYER_GUIDE_TITLE = "RMU Phase Tracker v3 — Player Guide";
@@ -484,7 +670,7 @@ async function openHistoryWindowForCurrentCombatant() {
   const cd = state?.combatants?.[cur.id] ?? {};
   const planActions = cd?.planActions ?? {};
 
-  const actions = parseActionsConfig();
+  const actions = getActionsForActor(cur.actor);
   const actionsMap = actionsToMap(actions);
 
   const pi = detectPhaseInfo(combat);
@@ -514,8 +700,12 @@ async function openHistoryWindowForCurrentCombatant() {
 
   const actorName = cur?.actor?.name ?? "Combatant";
 
+  // Forced moves are kept apart from the plan (they never count against phase movement).
+  const forcedMoves = (Array.isArray(cd?.forcedMoves) ? cd.forcedMoves : [])
+    .filter(e => Number(e?.round) >= startRound && Number(e?.round) <= nowRound);
+
   let content = "";
-  if (!rows.length) {
+  if (!rows.length && !forcedMoves.length) {
     content = `<div style="padding:8px 4px;">No history stored yet for <b>${foundry.utils.escapeHTML(actorName)}</b>.</div>`;
   } else {
     const headerStyle = "text-align:left; padding:4px 8px; border-bottom:1px solid #666;";
@@ -542,6 +732,28 @@ async function openHistoryWindowForCurrentCombatant() {
             `).join("")}
           </tbody>
         </table>
+      ${forcedMoves.length ? `
+      <div style="font-weight:700; padding:10px 0 4px;">Forced movement (not charged)</div>
+      <table style="width:100%; border-collapse:collapse;">
+        <thead>
+          <tr>
+            <th style="${headerStyle}">Round</th>
+            <th style="${headerStyle}">Phase</th>
+            <th style="${headerStyle}">Distance</th>
+            <th style="${headerStyle}">Moved by</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${forcedMoves.map(e => `
+            <tr>
+              <td style="${cellStyle}">${Number(e.round)}</td>
+              <td style="${cellStyle}">${Number(e.phase) || "—"}</td>
+              <td style="${cellStyle}">${Number(e.ft).toFixed(1)} ft</td>
+              <td style="${cellStyle}">${foundry.utils.escapeHTML(game.users?.get(e.userId)?.name ?? "—")}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>` : ""}
       </div>
       <div style="opacity:0.85; font-size:12px; padding-top:6px;">
         Showing the last ${roundsShown} rounds (when data exists).
@@ -784,149 +996,774 @@ class ActionImagesConfig extends FormApplication {
 }
 
 
-// Ensure we only register our socket listeners once per client.
-let _socketRegistered = false;
-// Debounced UI refresh (keeps selections because they are stored in combat flags/state)
-let _refreshTimer = null;
-function requestAppRefresh() {
-  if (!_app?.rendered) return;
-  if (_refreshTimer) clearTimeout(_refreshTimer);
-  _refreshTimer = setTimeout(() => {
-    try { _app.render(false); }
-catch (e) { console.error(e); }
-  }, 0);
-}
+/**
+ * World configuration UI: edit the action definitions stored in the actionsConfig setting.
+ * Rows are kept in this._rows between renders so add/reorder/delete don't lose unsaved edits.
+ * Validation is shared with parseActionsConfig() (validateActionsConfig) and shown inline.
+ */
+class ActionsConfigEditor extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "rmu-actions-config",
+      title: "RMU Actions",
+      template: `modules/${MODULE_ID}/templates/actions-config.hbs`,
+      width: 1180,
+      height: "auto",
+      closeOnSubmit: false,
+      submitOnChange: false,
+      resizable: true
+    });
+  }
 
-async function setBonusCount(combatantId, n) {
-  const c = game.combat;
-  if (!c) return;
-  const cid = String(combatantId || "");
-  if (!cid) return;
-  let val = Number(n);
-  if (!Number.isFinite(val)) val = 0;
-  val = Math.max(0, Math.min(4, Math.trunc(val)));
-  await requestStatePathUpdate({ combatId: c.id, path: `combatants.${cid}.bonusCount`, value: val });
-}
+  constructor(...args) {
+    super(...args);
+    this._rows = null;
+    this._loadNote = "";
+  }
 
+  _loadRows() {
+    const { list, parseError } = readActionsConfigRaw();
+    const defaults = getDefaultActions();
+    this._loadNote = parseError
+      ? `The stored actions config could not be read (${parseError.message}). Showing the built-in defaults; saving will replace it.`
+      : "";
+
+    const src = (Array.isArray(list) && list.length) ? list : defaults;
+    const defaultsByKey = actionsToMap(defaults);
+    const rows = src.map(a => {
+      const o = inheritDefaultActionFields((a && typeof a === "object") ? { ...a } : {}, defaultsByKey);
+      return ActionsConfigEditor._rowFromAction(o);
+    });
 
-function clamp(n, min, max) {
-  n = Number(n ?? 0);
-  if (Number.isNaN(n)) n = 0;
-  return Math.min(max, Math.max(min, n));
-}
+    // Same merge as parseActionsConfig(): defaults missing from a saved config are appended.
+    const seen = new Set(rows.map(r => r.key.trim()));
+    for (const d of defaults) {
+      if (seen.has(d.key)) continue;
+      rows.push(ActionsConfigEditor._rowFromAction(d));
+    }
+    return rows;
+  }
 
-function isGmOwnedActor(actor) {
-  try {
-    if (!actor) return false;
-    const own = actor.ownership ?? {};
-    for (const [userId, level] of Object.entries(own)) {
-      const u = game.users?.get(userId);
-      if (!u) continue;
-      if (u.isGM) continue;
-      // Treat any non-GM OWNER as "player-owned"
-      if (Number(level) >= CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER) return false;
+  static _rowFromAction(o) {
+    return {
+      key: String(o.key ?? ""),
+      label: String(o.label ?? ""),
+      minCost: o.minCost ?? o.cost ?? "",
+      maxCost: o.maxCost ?? o.cost ?? "",
+      icon: String(o.icon ?? ""),
+      category: String(o.category ?? ""),
+      requires: normalizeRuleTokens(o.requires).join(", "),
+      produces: normalizeRuleTokens(o.produces).join(", "),
+      enabled: o.disabled !== true
+    };
+  }
+
+  // Pull the current (unsaved) form values into this._rows.
+  _syncRowsFromForm() {
+    if (!this.form) return;
+    try {
+      const data = foundry.utils.expandObject(this._getSubmitData());
+      this._rows = this._rowsFromFormData(data);
+    } catch (e) {
+      console.error(`${MODULE_ID} | Actions editor: failed to read form`, e);
     }
-    return true;
-  } catch (_) {
-    return false;
   }
-}
 
-// GM read-only mode for player-owned actors:
-// The GM may VIEW a player's actor UI but must not be able to change any of that actor's selections.
-// This remains enabled for NPCs / GM-owned actors (no non-GM OWNER).
-function isGmReadOnlyActor(actor) {
-  try {
-    if (!game.user?.isGM) return false;
-    if (!actor) return false;
-    return !isGmOwnedActor(actor);
-  } catch (_) {
-    return false;
+  _rowsFromFormData(data) {
+    const byIndex = data?.rows ?? {};
+    return Object.keys(byIndex)
+      .sort((a, b) => Number(a) - Number(b))
+      .map(i => {
+        const r = byIndex[i] ?? {};
+        return {
+          key: String(r.key ?? ""),
+          label: String(r.label ?? ""),
+          minCost: r.minCost ?? "",
+          maxCost: r.maxCost ?? "",
+          icon: String(r.icon ?? ""),
+          category: String(r.category ?? ""),
+          requires: String(r.requires ?? ""),
+          produces: String(r.produces ?? ""),
+          enabled: !!r.enabled
+        };
+      });
   }
-}
 
-function isGmReadOnlyCombatant(combatantId) {
-  try {
-    if (!game.user?.isGM) return false;
-    const cid = String(combatantId || "");
-    if (!cid) return false;
-    const cbt = game.combat?.combatants?.get?.(cid) ?? null;
-    const actor = cbt?.actor ?? null;
-    return isGmReadOnlyActor(actor);
-  } catch (_) {
-    return false;
+  // Rows in the shape stored in the setting (enabled -> disabled flag).
+  static _rowsToConfig(rows) {
+    return (rows || []).map(r => {
+      const out = {
+        key: String(r.key ?? "").trim(),
+        label: String(r.label ?? "").trim(),
+        minCost: r.minCost,
+        maxCost: r.maxCost,
+        icon: String(r.icon ?? "").trim(),
+        category: String(r.category ?? "").trim(),
+        // Always explicit so a cleared field doesn't fall back to the built-in rules.
+        requires: normalizeRuleTokens(r.requires),
+        produces: normalizeRuleTokens(r.produces)
+      };
+      if (!r.enabled) out.disabled = true;
+      return out;
+    });
   }
-}
 
+  async getData(options={}) {
+    if (!this._rows) this._rows = this._loadRows();
 
-function getPrimaryOwnerUser(actor) {
-  try {
-    if (!actor) return null;
-    const own = actor.ownership ?? {};
-    const owners = [];
-    for (const [userId, level] of Object.entries(own)) {
-      if (Number(level) < CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER) continue;
-      const u = game.users?.get(userId);
-      if (!u) continue;
-      owners.push(u);
+    const { actions, errors } = validateActionsConfig(ActionsConfigEditor._rowsToConfig(this._rows));
+    const errorsByIndex = new Map();
+    for (const e of errors) {
+      if (!errorsByIndex.has(e.index)) errorsByIndex.set(e.index, []);
+      errorsByIndex.get(e.index).push(e);
     }
-    if (!owners.length) return null;
-    // Prefer a non-GM owner if present; otherwise fall back to any GM owner.
-    const nonGm = owners.filter(u => !u.isGM).sort((a,b) => (a.name||"").localeCompare(b.name||""));
-    if (nonGm.length) return nonGm[0];
-    const gm = owners.filter(u => u.isGM).sort((a,b) => (a.name||"").localeCompare(b.name||""));
-    return gm[0] ?? null;
-  } catch (_) {
-    return null;
+
+    const builtinKeys = new Set(getDefaultActions().map(a => a.key));
+    const last = this._rows.length - 1;
+    const rows = this._rows.map((r, index) => {
+      const rowErrors = errorsByIndex.get(index) ?? [];
+      const bad = new Set(rowErrors.map(e => e.field));
+      return {
+        ...r,
+        index,
+        isBuiltin: builtinKeys.has(String(r.key ?? "").trim()),
+        isFirst: index === 0,
+        isLast: index === last,
+        errors: rowErrors.map(e => e.message),
+        keyInvalid: bad.has("key"),
+        labelInvalid: bad.has("label"),
+        minCostInvalid: bad.has("minCost"),
+        maxCostInvalid: bad.has("maxCost"),
+        requiresInvalid: bad.has("requires"),
+        producesInvalid: bad.has("produces")
+      };
+    });
+
+    // Preview exactly what the phase selectors will list (enabled + valid entries).
+    const enabled = actions.filter(a => !a.disabled);
+    const preview = enabled.length ? buildVddOptionsForActions(enabled, "none").opts : [];
+
+    return {
+      rows,
+      categories: getActionCategories(),
+      errorCount: errors.length,
+      loadNote: this._loadNote,
+      preview,
+      previewCount: enabled.length
+    };
   }
-}
 
-function hexToRgba(hex, alpha) {
-  try {
-    if (!hex || typeof hex !== "string") return "";
-    let h = hex.trim();
-    if (!h) return "";
+  activateListeners(html) {
+    super.activateListeners(html);
 
-    // Support rgb()/rgba() strings (Foundry sometimes stores user color this way)
-    if (/^rgba?\(/i.test(h)) {
-      const m = h.match(/rgba?\(([^)]+)\)/i);
-      if (!m) return "";
-      // Support both comma-separated and space-separated rgb formats.
-      const parts = m[1].replace(/,/g, " ").split(/\s+/).map(s => s.trim()).filter(Boolean);
-      if (parts.length < 3) return "";
-      const r = Number(parts[0]);
-      const g = Number(parts[1]);
-      const b = Number(parts[2]);
-      if ([r, g, b].some(n => Number.isNaN(n))) return "";
-      const a = Math.max(0, Math.min(1, Number(alpha)));
-      return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a})`;
+    const mutate = (fn) => {
+      this._syncRowsFromForm();
+      fn(this._rows);
+      this.render(false);
+    };
+
+    html.find("button[data-action='addRow']").on("click", (ev) => {
+      ev.preventDefault();
+      mutate(rows => rows.push({ key: "", label: "", minCost: 1, maxCost: 1, icon: "", category: "Other", requires: "", produces: "", enabled: true }));
+    });
+
+    html.find("button[data-action='resetDefaults']").on("click", async (ev) => {
+      ev.preventDefault();
+      const ok = await Dialog.confirm({
+        title: "Reset Actions",
+        content: "<p>Replace the list below with the built-in default actions? Nothing is saved until you click Save.</p>"
+      });
+      if (!ok) return;
+      this._rows = getDefaultActions().map(a => ActionsConfigEditor._rowFromAction(a));
+      this._loadNote = "";
+      this.render(false);
+    });
+
+    html.find("button[data-move]").on("click", (ev) => {
+      ev.preventDefault();
+      const i = Number(ev.currentTarget.closest("[data-index]")?.dataset?.index);
+      const dir = (ev.currentTarget.dataset.move === "up") ? -1 : 1;
+      mutate(rows => {
+        const j = i + dir;
+        if (!Number.isInteger(i) || j < 0 || j >= rows.length) return;
+        [rows[i], rows[j]] = [rows[j], rows[i]];
+      });
+    });
+
+    html.find("button[data-action='deleteRow']").on("click", (ev) => {
+      ev.preventDefault();
+      const i = Number(ev.currentTarget.closest("[data-index]")?.dataset?.index);
+      mutate(rows => { if (Number.isInteger(i)) rows.splice(i, 1); });
+    });
+
+    // Re-validate (and refresh the preview) whenever a field is committed.
+    html.find("input[name^='rows.']").on("change", () => mutate(() => {}));
+  }
+
+  async _updateObject(event, formData) {
+    this._rows = this._rowsFromFormData(foundry.utils.expandObject(formData || {}));
+    const config = ActionsConfigEditor._rowsToConfig(this._rows);
+    const { actions, errors } = validateActionsConfig(config);
+    if (errors.length) {
+      ui.notifications?.error?.(`Actions not saved: fix the ${errors.length} highlighted problem(s) first.`);
+      this.render(false);
+      return;
     }
 
-    // Normalize hex strings that may omit the leading '#', or include 0x prefix
-    if (h.toLowerCase().startsWith("0x")) h = h.slice(2);
-    if (h.startsWith("#")) h = h.slice(1);
-    // Handle #RGBA / #RRGGBBAA by dropping alpha
-    if (h.length === 4) h = h.slice(0, 3);
-    if (h.length === 8) h = h.slice(0, 6);
-    if (h.length === 3) h = h.split("").map(ch => ch+ch).join("");
-    if (h.length !== 6) return "";
-    const r = parseInt(h.slice(0,2), 16);
-    const g = parseInt(h.slice(2,4), 16);
-    const b = parseInt(h.slice(4,6), 16);
-    if ([r,g,b].some(n => Number.isNaN(n))) return "";
-    const a = Math.max(0, Math.min(1, Number(alpha)));
-    return `rgba(${r}, ${g}, ${b}, ${a})`;
-  } catch (_) {
-    return "";
+    // Save the normalized entries (numeric costs, blank costs resolved) in the editor's order.
+    await game.settings.set(MODULE_ID, "actionsConfig", JSON.stringify(actions, null, 2));
+    ui.notifications?.info?.("RMU Phase Tracker: actions saved.");
+    this.close();
   }
 }
 
-function normalizeColorToHex(color) {
-  try {
-    if (!color || typeof color !== "string") return "";
-    let c = color.trim();
-    if (!c) return "";
-    if (/^rgba?\(/i.test(c)) {
+/**
+ * World configuration UI: export the action setup (definitions, images, categories) as an action pack,
+ * or import one from a file or a JournalEntry (world or compendium).
+ * An import is previewed as a diff against the current setup and applied with Merge or Replace.
+ */
+class ActionPackManager extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "rmu-action-packs",
+      title: "RMU Action Packs",
+      template: `modules/${MODULE_ID}/templates/action-packs.hbs`,
+      width: 760,
+      height: "auto",
+      closeOnSubmit: false,
+      submitOnChange: false,
+      resizable: true
+    });
+  }
+
+  constructor(...args) {
+    super(...args);
+    this._incoming = null; // { pack, errors, source }
+    this._loadErrors = [];
+    this._mode = "merge";
+    this._packName = "";
+    this._journalUuid = "";
+  }
+
+  static _currentConfig() {
+    return { actions: readConfiguredActions(), images: getActionImageMap(), categories: getActionCategories() };
+  }
+
+  // Journal entries to load from: world journals first, then each JournalEntry compendium.
+  async _journalGroups() {
+    const flagPath = `flags.${MODULE_ID}.actionPack.name`;
+    const sortByName = (a, b) => a.name.localeCompare(b.name);
+    const groups = [];
+
+    try {
+      const entries = (game.journal?.contents ?? []).map(j => ({
+        uuid: j.uuid,
+        name: j.name,
+        isPack: !!foundry.utils.getProperty(j, flagPath)
+      }));
+      if (entries.length) groups.push({ label: "World Journal", entries: entries.sort(sortByName) });
+    } catch (_) {}
+
+    for (const pack of (game.packs ?? [])) {
+      if (pack.documentName !== "JournalEntry") continue;
+      try {
+        const index = await pack.getIndex({ fields: [flagPath] });
+        const entries = [...index].map(e => ({
+          uuid: e.uuid ?? `Compendium.${pack.collection}.JournalEntry.${e._id}`,
+          name: e.name,
+          isPack: !!foundry.utils.getProperty(e, flagPath)
+        }));
+        if (entries.length) groups.push({ label: pack.title ?? pack.collection, entries: entries.sort(sortByName) });
+      } catch (e) {
+        console.warn(`${MODULE_ID} | Action packs: could not index ${pack.collection}`, e);
+      }
+    }
+
+    for (const g of groups) for (const e of g.entries) e.selected = (e.uuid === this._journalUuid);
+    return groups;
+  }
+
+  async getData(options={}) {
+    const journalGroups = await this._journalGroups();
+
+    let incoming = null;
+    let preview = null;
+    if (this._incoming?.pack) {
+      const { pack, errors, source } = this._incoming;
+      incoming = {
+        name: pack.name,
+        source,
+        exportedAt: pack.exportedAt,
+        actionCount: pack.actions.length,
+        imageCount: Object.keys(pack.images).length,
+        errors
+      };
+      const current = ActionPackManager._currentConfig();
+      const diff = diffActionPack(current, applyActionPack(current, pack, this._mode));
+      preview = {
+        ...diff,
+        actions: diff.actions.filter(a => a.status !== "unchanged"),
+        hasChanges: diff.actions.some(a => a.status !== "unchanged") || diff.images.length > 0 || diff.addedCategories.length > 0
+      };
+    }
+
+    return {
+      packName: this._packName || (game.world?.title ?? ""),
+      journalGroups,
+      hasJournals: journalGroups.length > 0,
+      loadErrors: this._loadErrors,
+      incoming,
+      preview,
+      isMerge: this._mode !== "replace",
+      isReplace: this._mode === "replace"
+    };
+  }
+
+  _setIncoming(result, source) {
+    this._incoming = result?.pack ? { pack: result.pack, errors: result.errors ?? [], source } : null;
+    this._loadErrors = result?.pack ? [] : (result?.errors ?? ["Nothing to import."]);
+    this.render(false);
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("input[name='packName']").on("change", (ev) => { this._packName = String(ev.currentTarget.value ?? ""); });
+    html.find("select[name='journalUuid']").on("change", (ev) => { this._journalUuid = String(ev.currentTarget.value ?? ""); });
+
+    html.find("button[data-action='exportFile']").on("click", (ev) => {
+      ev.preventDefault();
+      const pack = buildActionPack(this._packName || html.find("input[name='packName']").val());
+      const slug = pack.name.slugify?.() || "action-pack";
+      const save = foundry.utils.saveDataToFile ?? globalThis.saveDataToFile;
+      save(JSON.stringify(pack, null, 2), "application/json", `${slug}.rmu-actions.json`);
+    });
+
+    html.find("button[data-action='exportJournal']").on("click", async (ev) => {
+      ev.preventDefault();
+      const pack = buildActionPack(this._packName || html.find("input[name='packName']").val());
+      try {
+        const entry = await JournalEntry.create({
+          name: `Action Pack: ${pack.name}`,
+          flags: { [MODULE_ID]: { actionPack: pack } },
+          pages: [{
+            name: "Action Pack",
+            type: "text",
+            text: {
+              format: CONST.JOURNAL_ENTRY_PAGE_FORMATS?.HTML ?? 1,
+              content: `<p>RMU Phase Tracker action pack: ${pack.actions.length} action(s), ${Object.keys(pack.images).length} image(s). `
+                + `Import it from Settings → Import / Export Actions.</p><pre>${escapeHtml(JSON.stringify(pack, null, 2))}</pre>`
+            }
+          }]
+        });
+        ui.notifications?.info?.(`RMU Phase Tracker: saved action pack to journal "${entry?.name ?? pack.name}". Drag it into a compendium to share it.`);
+        this._journalUuid = entry?.uuid ?? this._journalUuid;
+        this.render(false);
+      } catch (e) {
+        console.error(`${MODULE_ID} | Action packs: export to journal failed`, e);
+        ui.notifications?.error?.("RMU Phase Tracker: could not create the action pack journal entry.");
+      }
+    });
+
+    html.find("input[name='importFile']").on("change", async (ev) => {
+      const file = ev.currentTarget.files?.[0];
+      if (!file) return;
+      try {
+        const read = foundry.utils.readTextFromFile ?? globalThis.readTextFromFile;
+        this._setIncoming(parseActionPack(await read(file)), file.name);
+      } catch (e) {
+        console.error(`${MODULE_ID} | Action packs: could not read ${file.name}`, e);
+        this._setIncoming({ pack: null, errors: [`Could not read ${file.name}.`] });
+      }
+    });
+
+    html.find("button[data-action='loadJournal']").on("click", async (ev) => {
+      ev.preventDefault();
+      const uuid = this._journalUuid || String(html.find("select[name='journalUuid']").val() ?? "");
+      if (!uuid) return;
+      this._journalUuid = uuid;
+      try {
+        const entry = await fromUuid(uuid);
+        this._setIncoming(readActionPackFromJournal(entry), entry?.name ?? uuid);
+      } catch (e) {
+        console.error(`${MODULE_ID} | Action packs: could not load ${uuid}`, e);
+        this._setIncoming({ pack: null, errors: ["Could not load that journal entry."] });
+      }
+    });
+
+    html.find("input[name='mode']").on("change", (ev) => {
+      this._mode = (ev.currentTarget.value === "replace") ? "replace" : "merge";
+      this.render(false);
+    });
+
+    html.find("button[data-action='clearImport']").on("click", (ev) => {
+      ev.preventDefault();
+      this._incoming = null;
+      this._loadErrors = [];
+      this.render(false);
+    });
+  }
+
+  async _updateObject(event, formData) {
+    const pack = this._incoming?.pack;
+    if (!pack) return;
+
+    if (this._mode === "replace") {
+      const ok = await Dialog.confirm({
+        title: "Replace Actions",
+        content: `<p>Replace this world's actions, action images and categories with "${escapeHtml(pack.name)}"?</p>`
+      });
+      if (!ok) return;
+    }
+
+    const next = applyActionPack(ActionPackManager._currentConfig(), pack, this._mode);
+    const { errors } = validateActionsConfig(next.actions);
+    if (errors.length) {
+      ui.notifications?.error?.(`Action pack not applied: ${formatActionsConfigError(errors[0])}`);
+      return;
+    }
+
+    await game.settings.set(MODULE_ID, "actionsConfig", JSON.stringify(next.actions, null, 2));
+    await game.settings.set(MODULE_ID, "actionImageMap", next.images);
+    await game.settings.set(MODULE_ID, "actionCategories", next.categories);
+    ui.notifications?.info?.(`RMU Phase Tracker: action pack "${pack.name}" applied (${this._mode}).`);
+    this._incoming = null;
+    this.render(false);
+  }
+}
+
+/**
+ * Per-actor action overrides (GM only, opened from the tracker row).
+ * Lets the GM hide world actions, re-cost them, or add actor-only actions for this actor.
+ * Saved to flags[MODULE_ID].actionOverrides (see getActorActionOverrides()).
+ */
+class ActorActionsConfig extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["rmu-actor-actions-config"],
+      title: "RMU Actor Actions",
+      template: `modules/${MODULE_ID}/templates/actor-actions-config.hbs`,
+      width: 760,
+      height: "auto",
+      closeOnSubmit: false,
+      submitOnChange: false,
+      resizable: true
+    });
+  }
+
+  get title() {
+    return `RMU Actions: ${this.object?.name ?? "Actor"}`;
+  }
+
+  constructor(actor, options={}) {
+    // One window per actor.
+    super(actor, foundry.utils.mergeObject({ id: `rmu-actor-actions-config-${actor?.id ?? "none"}` }, options));
+    this._added = null;
+  }
+
+  _readForm() {
+    if (!this.form) return null;
+    try { return foundry.utils.expandObject(this._getSubmitData()); }
+    catch (_) { return null; }
+  }
+
+  static _addedFromFormData(data) {
+    const byIndex = data?.add ?? {};
+    return Object.keys(byIndex)
+      .sort((a, b) => Number(a) - Number(b))
+      .map(i => {
+        const r = byIndex[i] ?? {};
+        return {
+          key: String(r.key ?? "").trim(),
+          label: String(r.label ?? "").trim(),
+          minCost: r.minCost ?? "",
+          maxCost: r.maxCost ?? "",
+          icon: String(r.icon ?? "").trim()
+        };
+      });
+  }
+
+  // Validate actor-only actions; keys must not clash with the world list.
+  static _validateAdded(added, worldKeys) {
+    const { actions, errors } = validateActionsConfig(added);
+    added.forEach((a, index) => {
+      if (a.key && worldKeys.has(a.key)) {
+        errors.push({ index, field: "key", message: `"${a.key}" is already a world action; use its cost override instead.` });
+      }
+    });
+    return { actions: actions.filter(a => !worldKeys.has(a.key)), errors };
+  }
+
+  async getData(options={}) {
+    const actor = this.object;
+    const ov = getActorActionOverrides(actor);
+    let world = parseActionsConfig();
+    if (!Array.isArray(world) || !world.length) world = getDefaultActions();
+    const worldKeys = new Set(world.map(a => a.key));
+
+    // Keep unsaved hide/cost edits across re-renders triggered by add/delete.
+    const form = this._readForm();
+    const hidden = form ? new Set(Object.entries(form.hide ?? {}).filter(([, v]) => v).map(([k]) => k)) : new Set(ov.hide);
+    const costByKey = new Map();
+    if (form) for (const [k, v] of Object.entries(form.cost ?? {})) costByKey.set(k, v ?? {});
+    else for (const c of ov.costs) costByKey.set(String(c?.key ?? ""), c ?? {});
+
+    if (!this._added) this._added = ov.add.map(a => ({ ...a }));
+    const { errors } = ActorActionsConfig._validateAdded(this._added, worldKeys);
+    const errorsByIndex = new Map();
+    for (const e of errors) {
+      if (!errorsByIndex.has(e.index)) errorsByIndex.set(e.index, []);
+      errorsByIndex.get(e.index).push(e.message);
+    }
+
+    const blankToEmpty = (v) => (v === null || v === undefined) ? "" : v;
+    return {
+      actorName: actor?.name ?? "",
+      world: world.map(a => {
+        const c = costByKey.get(a.key) ?? {};
+        return {
+          key: a.key,
+          label: a.label,
+          icon: a.icon,
+          range: (a.minCost === a.maxCost) ? `${a.minCost}` : `${a.minCost}-${a.maxCost}`,
+          hidden: hidden.has(a.key),
+          minCost: blankToEmpty(c.minCost),
+          maxCost: blankToEmpty(c.maxCost)
+        };
+      }),
+      added: this._added.map((a, index) => ({ ...a, index, errors: errorsByIndex.get(index) ?? [] })),
+      errorCount: errors.length
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("button[data-action='addActorAction']").on("click", (ev) => {
+      ev.preventDefault();
+      const form = this._readForm();
+      if (form) this._added = ActorActionsConfig._addedFromFormData(form);
+      this._added.push({ key: "", label: "", minCost: 1, maxCost: 1, icon: "" });
+      this.render(false);
+    });
+
+    html.find("button[data-action='deleteActorAction']").on("click", (ev) => {
+      ev.preventDefault();
+      const i = Number(ev.currentTarget.closest("[data-index]")?.dataset?.index);
+      const form = this._readForm();
+      if (form) this._added = ActorActionsConfig._addedFromFormData(form);
+      if (Number.isInteger(i)) this._added.splice(i, 1);
+      this.render(false);
+    });
+
+    html.find("button[data-action='clearActorOverrides']").on("click", async (ev) => {
+      ev.preventDefault();
+      const ok = await Dialog.confirm({
+        title: "Clear Overrides",
+        content: `<p>Remove all action overrides from <strong>${foundry.utils.escapeHTML(this.object?.name ?? "this actor")}</strong>?</p>`
+      });
+      if (!ok) return;
+      try {
+        await this.object?.unsetFlag?.(MODULE_ID, "actionOverrides");
+        this.close();
+      } catch (e) {
+        console.error(`${MODULE_ID} | Failed to clear actor action overrides`, e);
+        ui.notifications?.error?.("Failed to clear overrides. See console.");
+      }
+    });
+  }
+
+  async _updateObject(event, formData) {
+    const actor = this.object;
+    if (!actor) return;
+    const data = foundry.utils.expandObject(formData || {});
+    let world = parseActionsConfig();
+    if (!Array.isArray(world) || !world.length) world = getDefaultActions();
+    const worldByKey = actionsToMap(world);
+
+    this._added = ActorActionsConfig._addedFromFormData(data);
+    const { actions: added, errors } = ActorActionsConfig._validateAdded(this._added, new Set(worldByKey.keys()));
+
+    const hide = Object.entries(data.hide ?? {}).filter(([, v]) => v).map(([k]) => k);
+
+    const costs = [];
+    const blank = (v) => (v === null || v === undefined || String(v).trim() === "");
+    for (const [key, c] of Object.entries(data.cost ?? {})) {
+      const meta = worldByKey.get(key);
+      if (!meta || (blank(c?.minCost) && blank(c?.maxCost))) continue;
+      const mn = blank(c.minCost) ? meta.minCost : Number(c.minCost);
+      const mx = blank(c.maxCost) ? Math.max(mn, meta.maxCost) : Number(c.maxCost);
+      if (!Number.isFinite(mn) || !Number.isFinite(mx) || mn < 0 || mx < mn) {
+        errors.push({ message: `${meta.label}: cost override must be numbers with min ≤ max.` });
+        continue;
+      }
+      costs.push({ key, minCost: blank(c.minCost) ? null : mn, maxCost: blank(c.maxCost) ? null : mx });
+    }
+
+    if (errors.length) {
+      ui.notifications?.error?.(`Overrides not saved: ${errors.length} problem(s). ${errors[0]?.message ?? ""}`);
+      this.render(false);
+      return;
+    }
+
+    await actor.setFlag(MODULE_ID, "actionOverrides", { add: added, hide, costs });
+    this.close();
+  }
+}
+
+function openActorActionsConfig(combatantId) {
+  if (!game.user.isGM) return;
+  const actor = game.combat?.combatants?.get?.(String(combatantId || ""))?.actor ?? null;
+  if (!actor) {
+    ui.notifications?.warn?.("This combatant has no actor.");
+    return;
+  }
+  new ActorActionsConfig(actor).render(true);
+}
+
+// Ensure we only register our socket listeners once per client.
+let _socketRegistered = false;
+// Debounced UI refresh (keeps selections because they are stored in combat flags/state)
+let _refreshTimer = null;
+function requestAppRefresh() {
+  if (!_app?.rendered) return;
+  if (_refreshTimer) clearTimeout(_refreshTimer);
+  _refreshTimer = setTimeout(() => {
+    try { _app.render(false); }
+catch (e) { console.error(e); }
+  }, 0);
+}
+
+async function setBonusCount(combatantId, n) {
+  const c = game.combat;
+  if (!c) return;
+  const cid = String(combatantId || "");
+  if (!cid) return;
+  let val = Number(n);
+  if (!Number.isFinite(val)) val = 0;
+  val = Math.max(0, Math.min(4, Math.trunc(val)));
+  await requestStatePathUpdate({ combatId: c.id, path: `combatants.${cid}.bonusCount`, value: val });
+}
+
+
+function clamp(n, min, max) {
+  n = Number(n ?? 0);
+  if (Number.isNaN(n)) n = 0;
+  return Math.min(max, Math.max(min, n));
+}
+
+function isGmOwnedActor(actor) {
+  try {
+    if (!actor) return false;
+    const own = actor.ownership ?? {};
+    for (const [userId, level] of Object.entries(own)) {
+      const u = game.users?.get(userId);
+      if (!u) continue;
+      if (u.isGM) continue;
+      // Treat any non-GM OWNER as "player-owned"
+      if (Number(level) >= CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER) return false;
+    }
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// GM read-only mode for player-owned actors:
+// The GM may VIEW a player's actor UI but must not be able to change any of that actor's selections.
+// This remains enabled for NPCs / GM-owned actors (no non-GM OWNER).
+function isGmReadOnlyActor(actor) {
+  try {
+    if (!game.user?.isGM) return false;
+    if (!actor) return false;
+    return !isGmOwnedActor(actor);
+  } catch (_) {
+    return false;
+  }
+}
+
+function isGmReadOnlyCombatant(combatantId) {
+  try {
+    if (!game.user?.isGM) return false;
+    const cid = String(combatantId || "");
+    if (!cid) return false;
+    const cbt = game.combat?.combatants?.get?.(cid) ?? null;
+    const actor = cbt?.actor ?? null;
+    return isGmReadOnlyActor(actor);
+  } catch (_) {
+    return false;
+  }
+}
+
+
+function getPrimaryOwnerUser(actor) {
+  try {
+    if (!actor) return null;
+    const own = actor.ownership ?? {};
+    const owners = [];
+    for (const [userId, level] of Object.entries(own)) {
+      if (Number(level) < CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER) continue;
+      const u = game.users?.get(userId);
+      if (!u) continue;
+      owners.push(u);
+    }
+    if (!owners.length) return null;
+    // Prefer a non-GM owner if present; otherwise fall back to any GM owner.
+    const nonGm = owners.filter(u => !u.isGM).sort((a,b) => (a.name||"").localeCompare(b.name||""));
+    if (nonGm.length) return nonGm[0];
+    const gm = owners.filter(u => u.isGM).sort((a,b) => (a.name||"").localeCompare(b.name||""));
+    return gm[0] ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function hexToRgba(hex, alpha) {
+  try {
+    if (!hex || typeof hex !== "string") return "";
+    let h = hex.trim();
+    if (!h) return "";
+
+    // Support rgb()/rgba() strings (Foundry sometimes stores user color this way)
+    if (/^rgba?\(/i.test(h)) {
+      const m = h.match(/rgba?\(([^)]+)\)/i);
+      if (!m) return "";
+      // Support both comma-separated and space-separated rgb formats.
+      const parts = m[1].replace(/,/g, " ").split(/\s+/).map(s => s.trim()).filter(Boolean);
+      if (parts.length < 3) return "";
+      const r = Number(parts[0]);
+      const g = Number(parts[1]);
+      const b = Number(parts[2]);
+      if ([r, g, b].some(n => Number.isNaN(n))) return "";
+      const a = Math.max(0, Math.min(1, Number(alpha)));
+      return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a})`;
+    }
+
+    // Normalize hex strings that may omit the leading '#', or include 0x prefix
+    if (h.toLowerCase().startsWith("0x")) h = h.slice(2);
+    if (h.startsWith("#")) h = h.slice(1);
+    // Handle #RGBA / #RRGGBBAA by dropping alpha
+    if (h.length === 4) h = h.slice(0, 3);
+    if (h.length === 8) h = h.slice(0, 6);
+    if (h.length === 3) h = h.split("").map(ch => ch+ch).join("");
+    if (h.length !== 6) return "";
+    const r = parseInt(h.slice(0,2), 16);
+    const g = parseInt(h.slice(2,4), 16);
+    const b = parseInt(h.slice(4,6), 16);
+    if ([r,g,b].some(n => Number.isNaN(n))) return "";
+    const a = Math.max(0, Math.min(1, Number(alpha)));
+    return `rgba(${r}, ${g}, ${b}, ${a})`;
+  } catch (_) {
+    return "";
+  }
+}
+
+function normalizeColorToHex(color) {
+  try {
+    if (!color || typeof color !== "string") return "";
+    let c = color.trim();
+    if (!c) return "";
+    if (/^rgba?\(/i.test(c)) {
       const m = c.match(/rgba?\(([^)]+)\)/i);
       if (!m) return "";
       // Support both comma-separated and space-separated rgb formats.
@@ -1080,11 +1917,25 @@ function getTintHexForTrackerWindow(html) {
 
 function closeAnyVddPortal() {
   const existing = document.querySelector(".rmu-vdd__portal");
-  if (existing) existing.remove();
+  if (existing) {
+    try { existing._rmuCleanup?.(); } catch (_) {}
+    existing.remove();
+  }
   document.querySelectorAll(".rmu-vdd.is-open").forEach(el => el.classList.remove("is-open"));
 }
 
-function openVddPortal(triggerEl, opts, currentValue, onSelect) {
+/**
+ * Portal dropdown (rendered into #ui-top so it can't be clipped by the tracker window).
+ *
+ * opts: [{ value, label, icon?, category? }]. When any option carries a category the list is grouped
+ * (getActionCategories() order, unknown categories after), with recently used values pinned on top.
+ * A type-to-filter box is shown for longer lists; ArrowUp/ArrowDown/Enter/Escape navigate.
+ *
+ * options:
+ * - pinnedValues: values to list under "Recent"
+ * - initialFilter: text to pre-fill the filter box (e.g. the key typed on the trigger)
+ */
+function openVddPortal(triggerEl, opts, currentValue, onSelect, { pinnedValues = [], initialFilter = "" } = {}) {
   closeAnyVddPortal();
 
   const rect = triggerEl.getBoundingClientRect();
@@ -1093,26 +1944,149 @@ function openVddPortal(triggerEl, opts, currentValue, onSelect) {
   portal.style.width = `${Math.max(220, rect.width)}px`;
   portal.setAttribute("data-open", "1");
 
-  // Build option list
-  for (const o of opts || []) {
+  const list = Array.isArray(opts) ? opts : [];
+  const grouped = list.some(o => o?.category);
+  const showSearch = list.length > 6;
+
+  let search = null;
+  if (showSearch) {
+    search = document.createElement("input");
+    search.type = "text";
+    search.className = "rmu-vdd__search";
+    search.placeholder = "Filter actions…";
+    search.value = initialFilter;
+    portal.appendChild(search);
+  }
+
+  const body = document.createElement("div");
+  body.className = "rmu-vdd__body";
+  portal.appendChild(body);
+
+  const choose = (value) => {
+    closeAnyVddPortal();
+    try { triggerEl.focus?.(); } catch (_) {}
+    try { onSelect(value); } catch (_) {}
+  };
+
+  const makeRow = (o) => {
     const row = document.createElement("div");
     row.className = "rmu-vdd__opt" + (o.value === currentValue ? " is-selected" : "");
     row.setAttribute("data-value", o.value);
-    row.innerHTML = `${o.icon ? `<i class="${o.icon}"></i>` : ""}<span class="rmu-vdd__label">${o.label}</span>`;
+    if (o.icon) {
+      const i = document.createElement("i");
+      i.className = o.icon;
+      row.appendChild(i);
+    }
+    const span = document.createElement("span");
+    span.className = "rmu-vdd__label";
+    span.textContent = o.label;
+    row.appendChild(span);
+    row._rmuFilterText = `${o.label} ${o.category ?? ""}`.toLowerCase();
+    row.addEventListener("mousedown", (ev) => ev.preventDefault());
     row.addEventListener("click", (ev) => {
       ev.preventDefault();
       ev.stopPropagation();
-      try { onSelect(o.value); } catch (_) {}
-      closeAnyVddPortal();
+      choose(o.value);
     });
-    portal.appendChild(row);
+    return row;
+  };
+
+  const makeGroup = (title, items) => {
+    const group = document.createElement("div");
+    group.className = "rmu-vdd__group";
+    if (title) {
+      const h = document.createElement("div");
+      h.className = "rmu-vdd__grouphead";
+      h.textContent = title;
+      group.appendChild(h);
+    }
+    for (const o of items) group.appendChild(makeRow(o));
+    body.appendChild(group);
+  };
+
+  if (!grouped) {
+    makeGroup("", list);
+  } else {
+    const blank = list.filter(o => !o.category);
+    const rest = list.filter(o => o.category);
+    if (blank.length) makeGroup("", blank);
+
+    const byValue = new Map(rest.map(o => [o.value, o]));
+    const recent = (pinnedValues || []).map(v => byValue.get(v)).filter(Boolean);
+    if (recent.length) makeGroup("Recent", recent);
+
+    const order = getActionCategories();
+    const cats = [...order, ...new Set(rest.map(o => o.category).filter(c => !order.includes(c)))];
+    for (const cat of cats) {
+      const items = rest.filter(o => o.category === cat);
+      if (items.length) makeGroup(cat, items);
+    }
+  }
+
+  // Keyboard navigation over the currently visible rows.
+  let active = null;
+  const visibleRows = () => [...body.querySelectorAll(".rmu-vdd__opt")].filter(r => r.style.display !== "none");
+  const setActive = (row) => {
+    if (active) active.classList.remove("is-active");
+    active = row || null;
+    if (active) {
+      active.classList.add("is-active");
+      active.scrollIntoView?.({ block: "nearest" });
+    }
+  };
+  const applyFilter = () => {
+    const q = String(search?.value ?? "").trim().toLowerCase();
+    for (const row of body.querySelectorAll(".rmu-vdd__opt")) {
+      row.style.display = (!q || row._rmuFilterText.includes(q)) ? "" : "none";
+    }
+    for (const g of body.querySelectorAll(".rmu-vdd__group")) {
+      const any = [...g.querySelectorAll(".rmu-vdd__opt")].some(r => r.style.display !== "none");
+      g.style.display = any ? "" : "none";
+    }
+    const rows = visibleRows();
+    // With a filter typed, jump to the first match; otherwise start on the current selection.
+    setActive(q ? rows[0] : (rows.find(r => r.classList.contains("is-selected")) ?? rows[0]));
+  };
+
+  body.addEventListener("mousemove", (ev) => {
+    const row = ev.target?.closest?.(".rmu-vdd__opt");
+    if (row && row !== active) setActive(row);
+  });
+
+  const onKey = (ev) => {
+    const rows = visibleRows();
+    const i = active ? rows.indexOf(active) : -1;
+    if (ev.key === "ArrowDown") {
+      ev.preventDefault();
+      setActive(rows[Math.min(rows.length - 1, i + 1)] ?? rows[0]);
+    } else if (ev.key === "ArrowUp") {
+      ev.preventDefault();
+      setActive(rows[Math.max(0, i - 1)] ?? rows[0]);
+    } else if (ev.key === "Enter") {
+      ev.preventDefault();
+      if (active) choose(active.getAttribute("data-value"));
+    } else if (ev.key === "Escape" || ev.key === "Tab") {
+      ev.preventDefault();
+      ev.stopPropagation();
+      closeAnyVddPortal();
+      try { triggerEl.focus?.(); } catch (_) {}
+    }
+  };
+
+  if (search) {
+    search.addEventListener("input", applyFilter);
+    search.addEventListener("keydown", onKey);
+  } else {
+    portal.tabIndex = -1;
+    portal.addEventListener("keydown", onKey);
   }
 
   // Position: open upward if near bottom
   const viewportH = window.innerHeight;
   const uiTop = document.querySelector("#ui-top") || document.querySelector("#interface") || document.body;
   uiTop.appendChild(portal);
-  const menuH = Math.min(portal.scrollHeight, 320);
+  applyFilter();
+  const menuH = Math.min(portal.scrollHeight, 360);
   const spaceBelow = viewportH - rect.bottom;
   const openUp = spaceBelow < (menuH + 20);
 
@@ -1122,8 +2096,7 @@ function openVddPortal(triggerEl, opts, currentValue, onSelect) {
   portal.style.position = "fixed";
   portal.style.left = `${left}px`;
   portal.style.top = `${top}px`;
-  portal.style.maxHeight = "320px";
-  portal.style.overflow = "auto";
+  portal.style.maxHeight = "360px";
   portal.style.zIndex = "2147483000";
   portal.style.pointerEvents = "auto";
   portal.style.opacity = "1";
@@ -1131,12 +2104,11 @@ function openVddPortal(triggerEl, opts, currentValue, onSelect) {
   const onDocDown = (ev) => {
     if (!portal.contains(ev.target) && ev.target !== triggerEl && !triggerEl.contains(ev.target)) {
       closeAnyVddPortal();
-      document.removeEventListener("mousedown", onDocDown, true);
-      window.removeEventListener("scroll", onScroll, true);
-      window.removeEventListener("resize", onScroll, true);
     }
   };
-  const onScroll = () => {
+  const onScroll = (ev) => {
+    // Scrolling inside the list itself must not move the portal.
+    if (ev?.target instanceof Node && portal.contains(ev.target)) return;
     // Reposition on scroll/resize
     const r = triggerEl.getBoundingClientRect();
     const vh = window.innerHeight;
@@ -1148,12 +2120,71 @@ function openVddPortal(triggerEl, opts, currentValue, onSelect) {
     portal.style.top = `${t}px`;
   };
 
+  portal._rmuCleanup = () => {
+    document.removeEventListener("mousedown", onDocDown, true);
+    window.removeEventListener("scroll", onScroll, true);
+    window.removeEventListener("resize", onScroll, true);
+  };
   document.addEventListener("mousedown", onDocDown, true);
   window.addEventListener("scroll", onScroll, true);
   window.addEventListener("resize", onScroll, true);
+
+  try { (search ?? portal).focus(); } catch (_) {}
+}
+
+// ---------------------------------------------------------------------------
+// Recently used actions (per user, stored as a User flag so it follows the player between devices)
+// ---------------------------------------------------------------------------
+const RECENT_ACTIONS_MAX = 5;
+
+function getRecentActions() {
+  try {
+    const v = game.user?.getFlag?.(MODULE_ID, "recentActions");
+    return Array.isArray(v) ? v.map(String) : [];
+  } catch (_) {
+    return [];
+  }
 }
 
+async function recordRecentAction(actionKey) {
+  const key = String(actionKey ?? "");
+  if (!key || key === "none") return;
+  const cur = getRecentActions();
+  if (cur[0] === key) return;
+  const next = [key, ...cur.filter(k => k !== key)].slice(0, RECENT_ACTIONS_MAX);
+  try { await game.user.setFlag(MODULE_ID, "recentActions", next); } catch (_) {}
+}
 
+// Open the searchable portal for a native phase-action <select>, then commit through its change event.
+function openActionPortalForSelect(selectEl, initialFilter = "") {
+  if (!selectEl || selectEl.disabled) return;
+  const opts = [...selectEl.options].map(o => ({
+    value: o.value,
+    label: o.textContent,
+    icon: o.dataset.icon || "",
+    category: o.dataset.category || ""
+  }));
+  const { combatantId, planKey } = selectEl.dataset;
+  openVddPortal(selectEl, opts, selectEl.value, (value) => {
+    // The tracker may have re-rendered while the portal was open; target the live <select>.
+    let target = selectEl;
+    if (!target.isConnected) {
+      target = document.querySelector(`select.rmu-cpt__select[data-combatant-id="${CSS.escape(combatantId ?? "")}"][data-plan-key="${CSS.escape(planKey ?? "")}"]`);
+    }
+    if (!target || target.disabled || value === target.value) return;
+    target.value = value;
+    target.dispatchEvent(new Event("change", { bubbles: true }));
+  }, { pinnedValues: getRecentActions(), initialFilter });
+}
+
+
+// Built-in dropdown groups, in display order (a world can reorder/extend them, see getActionCategories()).
+// Actions without a category are listed under "Other".
+const ACTION_CATEGORIES = ["Movement", "Combat", "Magic", "Items", "Other"];
+
+// Optional sequencing rules on action definitions (see trackActionRules()):
+// - requires: tokens that must hold when the action starts ("!token" = must NOT hold)
+// - produces: tokens set once the action is paid for ("!token" clears, "~token" toggles)
 function getDefaultActions() {
   return [
   {
@@ -1161,216 +2192,801 @@ function getDefaultActions() {
     "label": "Drop Item (Instant)",
     "minCost": 0,
     "maxCost": 0,
-    "icon": "fa-solid fa-hand"
+    "icon": "fa-solid fa-hand",
+    "category": "Items"
   },
   {
     "key": "shift-item",
     "label": "Shift Item to Other Hand",
     "minCost": 1,
     "maxCost": 1,
-    "icon": "fa-solid fa-right-left"
+    "icon": "fa-solid fa-right-left",
+    "category": "Items"
   },
   {
     "key": "draw-weapon",
     "label": "Draw Weapon/Item",
     "minCost": 1,
     "maxCost": 1,
-    "icon": "fa-solid fa-hand-sparkles"
+    "icon": "fa-solid fa-hand-sparkles",
+    "category": "Items",
+    "produces": ["weapon-drawn"]
   },
   {
     "key": "get-item",
     "label": "Get Item from Ground",
     "minCost": 3,
     "maxCost": 3,
-    "icon": "fa-solid fa-box-open"
+    "icon": "fa-solid fa-box-open",
+    "category": "Items"
   },
   {
     "key": "move-bmr",
     "label": "Move Your BMR",
     "minCost": 1,
     "maxCost": 1,
-    "icon": "fa-solid fa-person-running"
+    "icon": "fa-solid fa-person-running",
+    "category": "Movement"
   },
   {
     "key": "maneuver",
     "label": "Maneuver",
     "minCost": 1,
     "maxCost": 1,
-    "icon": "fa-solid fa-person-walking"
+    "icon": "fa-solid fa-person-walking",
+    "category": "Movement"
   },
   {
     "key": "prone-stand",
     "label": "Drop Prone / Stand Up",
     "minCost": 2,
     "maxCost": 2,
-    "icon": "fa-solid fa-person-falling"
+    "icon": "fa-solid fa-person-falling",
+    "category": "Movement",
+    "produces": ["~prone"]
   },
   {
     "key": "mount-dismount",
     "label": "Mount / Dismount",
     "minCost": 4,
     "maxCost": 4,
-    "icon": "fa-solid fa-horse"
+    "icon": "fa-solid fa-horse",
+    "category": "Movement"
   },
   {
     "key": "melee",
     "label": "Melee",
     "minCost": 2,
     "maxCost": 4,
-    "icon": "fa-solid fa-swords"
+    "icon": "fa-solid fa-swords",
+    "category": "Combat",
+    "requires": ["weapon-drawn"]
   },
   {
     "key": "ranged",
     "label": "Ranged Attack",
     "minCost": 1,
     "maxCost": 3,
-    "icon": "fa-solid fa-bullseye"
+    "icon": "fa-solid fa-bullseye",
+    "category": "Combat",
+    "requires": ["loaded"],
+    "produces": ["!loaded"]
   },
   {
     "key": "draw-ammo",
     "label": "Draw Ammo and Load",
     "minCost": 1,
     "maxCost": 1,
-    "icon": "fa-solid fa-boxes-stacked"
+    "icon": "fa-solid fa-boxes-stacked",
+    "category": "Combat",
+    "requires": ["strung", "!loaded"],
+    "produces": ["loaded"]
   },
   {
     "key": "string-bow",
     "label": "String Bow",
     "minCost": 6,
     "maxCost": 6,
-    "icon": "fa-solid fa-bow-arrow"
+    "icon": "fa-solid fa-bow-arrow",
+    "category": "Combat",
+    "requires": ["!strung"],
+    "produces": ["strung"]
   },
   {
     "key": "load-light-crossbow",
     "label": "Load Light or Hand Crossbow",
     "minCost": 6,
     "maxCost": 6,
-    "icon": "fa-solid fa-bow-arrow"
+    "icon": "fa-solid fa-bow-arrow",
+    "category": "Combat",
+    "requires": ["!loaded"],
+    "produces": ["loaded"]
   },
   {
     "key": "load-heavy-crossbow",
     "label": "Load Heavy Crossbow",
     "minCost": 14,
     "maxCost": 14,
-    "icon": "fa-solid fa-bow-arrow"
+    "icon": "fa-solid fa-bow-arrow",
+    "category": "Combat",
+    "requires": ["!loaded"],
+    "produces": ["loaded"]
   },
   {
     "key": "full-dodge-block",
     "label": "Full Dodge / Full Block",
     "minCost": 4,
     "maxCost": 4,
-    "icon": "fa-solid fa-shield"
+    "icon": "fa-solid fa-shield",
+    "category": "Combat"
   },
   {
     "key": "cast-spell",
     "label": "Cast Spell",
     "minCost": 2,
     "maxCost": 4,
-    "icon": "fa-solid fa-wand-sparkles"
+    "icon": "fa-solid fa-wand-sparkles",
+    "category": "Magic"
   },
   {
     "key": "cast-inst",
     "label": "Cast Instantaneous Spell (Instant)",
     "minCost": 0,
     "maxCost": 0,
-    "icon": "fa-solid fa-bolt-lightning"
+    "icon": "fa-solid fa-bolt-lightning",
+    "category": "Magic"
   },
   {
     "key": "perception",
     "label": "Perception",
     "minCost": 0,
     "maxCost": 2,
-    "icon": "fa-solid fa-eye"
+    "icon": "fa-solid fa-eye",
+    "category": "Other"
   },
   {
     "key": "eat-drink",
     "label": "Eat or Drink (Herb/Potion)",
     "minCost": 2,
     "maxCost": 2,
-    "icon": "fa-solid fa-mug-hot"
+    "icon": "fa-solid fa-mug-hot",
+    "category": "Items"
   },
   {
     "key": "pick-lock",
     "label": "Pick Lock / Disarm Trap",
     "minCost": 20,
     "maxCost": 20,
-    "icon": "fa-solid fa-key"
+    "icon": "fa-solid fa-key",
+    "category": "Other"
+  }
+];
+}
+
+// Keys "none" and "available" are the empty values of the phase/instant selectors.
+const RESERVED_ACTION_KEYS = new Set(["none", "available"]);
+
+/**
+ * Validate a raw actions list (as stored in the actionsConfig setting).
+ * Shared by parseActionsConfig() and the Actions Editor so both report the same problems.
+ *
+ * Returns:
+ * - actions: normalized entries that passed validation (disabled entries included, flagged with disabled:true)
+ * - errors:  [{ index, field, message }] for every entry that was rejected
+ */
+function validateActionsConfig(list) {
+  const actions = [];
+  const errors = [];
+  const seen = new Set();
+
+  (Array.isArray(list) ? list : []).forEach((a, index) => {
+    if (!a || typeof a !== "object") {
+      errors.push({ index, field: "", message: "Entry is not an object." });
+      return;
+    }
+
+    const rowErrors = [];
+    const key = String(a.key ?? "").trim();
+    const label = String(a.label ?? "").trim();
+
+    if (!key) rowErrors.push({ field: "key", message: "Key is required." });
+    else if (/[\s.]/.test(key)) rowErrors.push({ field: "key", message: "Key may not contain spaces or dots." });
+    else if (RESERVED_ACTION_KEYS.has(key)) rowErrors.push({ field: "key", message: `"${key}" is reserved.` });
+    else if (seen.has(key)) rowErrors.push({ field: "key", message: `Duplicate key "${key}".` });
+
+    if (!label) rowErrors.push({ field: "label", message: "Label is required." });
+
+    // Blank cost fields fall back like the old JSON format did: cost -> minCost -> maxCost.
+    const blank = (v) => (v === undefined || v === null || String(v).trim() === "");
+    const minRaw = blank(a.minCost) ? (blank(a.cost) ? 0 : a.cost) : a.minCost;
+    const minCost = Number(minRaw);
+    const maxCost = Number(blank(a.maxCost) ? (blank(a.cost) ? minCost : a.cost) : a.maxCost);
+
+    if (!Number.isFinite(minCost) || minCost < 0) rowErrors.push({ field: "minCost", message: "Min cost must be a number ≥ 0." });
+    if (!Number.isFinite(maxCost) || maxCost < 0) rowErrors.push({ field: "maxCost", message: "Max cost must be a number ≥ 0." });
+    else if (Number.isFinite(minCost) && maxCost < minCost) rowErrors.push({ field: "maxCost", message: "Max cost must be ≥ min cost." });
+
+    if (key) seen.add(key);
+    if (rowErrors.length) {
+      for (const e of rowErrors) errors.push({ index, ...e });
+      return;
+    }
+
+    const action = {
+      key,
+      label,
+      minCost,
+      maxCost,
+      icon: String(a.icon ?? "").trim()
+    };
+    if (a.disabled === true) action.disabled = true;
+    const category = String(a.category ?? "").trim();
+    if (category) action.category = category;
+
+    // Sequencing rules are optional; only carried when present so "missing" can inherit defaults.
+    for (const field of ["requires", "produces"]) {
+      if (a[field] === undefined || a[field] === null) continue;
+      const tokens = normalizeRuleTokens(a[field]);
+      const bad = tokens.filter(t => !isValidRuleToken(t, field === "produces"));
+      if (bad.length) {
+        errors.push({ index, field, message: `Invalid token(s): ${bad.join(", ")}` });
+        return;
+      }
+      action[field] = tokens;
+    }
+    actions.push(action);
+  });
+
+  return { actions, errors };
+}
+
+// Rule tokens may be stored as an array or a comma-separated string.
+function normalizeRuleTokens(v) {
+  const list = Array.isArray(v) ? v : String(v ?? "").split(",");
+  return list.map(t => String(t ?? "").trim()).filter(Boolean);
+}
+
+function isValidRuleToken(token, allowToggle = false) {
+  return (allowToggle ? /^[!~]?[a-z0-9][a-z0-9_-]*$/i : /^!?[a-z0-9][a-z0-9_-]*$/i).test(String(token ?? ""));
+}
+
+// Saved configs predating sequencing rules / categories inherit them from the matching built-in action.
+function inheritDefaultActionFields(action, defaultsByKey) {
+  const d = defaultsByKey.get(action?.key);
+  if (!d) return action;
+  if (action.requires === undefined && action.produces === undefined) {
+    if (d.requires) action.requires = [...d.requires];
+    if (d.produces) action.produces = [...d.produces];
+  }
+  if (!action.category && d.category) action.category = d.category;
+  return action;
+}
+
+function formatActionsConfigError(err) {
+  const row = Number.isFinite(err?.index) ? `Entry ${err.index + 1}` : "actionsConfig";
+  const field = err?.field ? ` (${err.field})` : "";
+  return `${row}${field}: ${err?.message ?? "invalid"}`;
+}
+
+// parseActionsConfig() runs on every render; only report each distinct set of problems once.
+let _actionsConfigProblemSig = "";
+function reportActionsConfigProblems(messages) {
+  const sig = (messages || []).join("\n");
+  if (!sig || sig === _actionsConfigProblemSig) return;
+  _actionsConfigProblemSig = sig;
+  console.warn(`${MODULE_ID} | actionsConfig has problems; affected entries were skipped:\n${sig}`);
+  try {
+    if (game.user?.isGM) {
+      ui.notifications?.warn?.(`RMU Phase Tracker: ${messages.length} problem(s) in the actions config; affected entries were skipped. Open Settings → Edit Actions to fix them.`);
+    }
+  } catch (_) {}
+}
+
+/**
+ * Read the raw actionsConfig setting.
+ * Returns { list, parseError } where list is the stored array (or null if blank/invalid).
+ */
+function readActionsConfigRaw() {
+  let raw = null;
+  try {
+    raw = game.settings.get(MODULE_ID, "actionsConfig");
+  } catch (_) {
+    raw = null;
+  }
+
+  // Accept JSON string or array
+  let list = null;
+  let parseError = null;
+  try {
+    if (Array.isArray(raw)) list = raw;
+    else if (typeof raw === "string" && raw.trim()) list = JSON.parse(raw);
+  } catch (e) {
+    parseError = e;
+    list = null;
+  }
+  if (!parseError && list !== null && !Array.isArray(list)) parseError = new Error("expected a JSON array");
+  return { list: Array.isArray(list) ? list : null, parseError };
+}
+
+function parseActionsConfig() {
+  // Never allow dropdowns to go empty. If settings are missing/invalid/empty -> defaults.
+  const { list: parsed, parseError } = readActionsConfigRaw();
+  if (parseError) reportActionsConfigProblems([`actionsConfig is not valid JSON (${parseError.message}); using defaults.`]);
+
+  if (!Array.isArray(parsed) || !parsed.length) return getDefaultActions();
+
+  const { actions: cleaned, errors } = validateActionsConfig(parsed);
+  if (errors.length) reportActionsConfigProblems(errors.map(formatActionsConfigError));
+
+  if (!cleaned.length) return getDefaultActions();
+
+  try {
+    const defaultsByKey = actionsToMap(getDefaultActions());
+    for (const a of cleaned) inheritDefaultActionFields(a, defaultsByKey);
+  } catch (_) {}
+
+  // If the user has previously saved a custom actionsConfig, it may not include
+  // newly-added default actions (e.g. Maneuver). Merge any missing defaults
+  // into the end of the list so they appear in dropdowns and the image picker.
+  // Disabled entries still count as "seen" so a disabled default stays hidden.
+  try {
+    const defaults = getDefaultActions();
+    const seen = new Set(cleaned.map(a => a.key));
+    for (const d of defaults) {
+      if (seen.has(d.key)) continue;
+      cleaned.push(foundry?.utils?.deepClone ? foundry.utils.deepClone(d) : { ...d });
+    }
+  } catch (_) {
+    // no-op
+  }
+
+  return cleaned.filter(a => !a.disabled);
+}
+
+function actionsToMap(actions) {
+  const map = new Map();
+  for (const a of actions) map.set(a.key, a);
+  return map;
+}
+
+// ---------------------------------------------------------------------------
+// Action packs (actions + images + categories in one shareable JSON document)
+// ---------------------------------------------------------------------------
+// Shape: { type: ACTION_PACK_TYPE, version, name, exportedAt, categories: [...], actions: [...], images: { key: path } }
+// Packs travel as a .json file or inside a JournalEntry (flags[MODULE_ID].actionPack, or a text page
+// holding the JSON) so they can be kept in a compendium and shared between worlds.
+const ACTION_PACK_TYPE = "rmu-phase-tracker-action-pack";
+const ACTION_PACK_VERSION = 1;
+const ACTION_PACK_DIFF_FIELDS = ["label", "minCost", "maxCost", "icon", "category", "requires", "produces", "disabled"];
+
+// Category display order: the world's configured order, then any built-in category it doesn't list.
+function getActionCategories() {
+  let raw = [];
+  try { raw = game.settings.get(MODULE_ID, "actionCategories"); } catch (_) { raw = []; }
+  const list = (Array.isArray(raw) ? raw : []).map(c => String(c ?? "").trim()).filter(Boolean);
+  return [...new Set([...list, ...ACTION_CATEGORIES])];
+}
+
+function getActionImageMap() {
+  try {
+    const map = game.settings.get(MODULE_ID, "actionImageMap");
+    return (map && typeof map === "object") ? foundry.utils.deepClone(map) : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+// The world's action definitions as configured (disabled entries included, missing defaults appended).
+function readConfiguredActions() {
+  const { list } = readActionsConfigRaw();
+  const defaults = getDefaultActions();
+  const { actions } = validateActionsConfig((Array.isArray(list) && list.length) ? list : defaults);
+  const defaultsByKey = actionsToMap(defaults);
+  for (const a of actions) inheritDefaultActionFields(a, defaultsByKey);
+  const seen = new Set(actions.map(a => a.key));
+  for (const d of defaults) if (!seen.has(d.key)) actions.push(d);
+  return actions;
+}
+
+function buildActionPack(name) {
+  return {
+    type: ACTION_PACK_TYPE,
+    version: ACTION_PACK_VERSION,
+    name: String(name ?? "").trim() || (game.world?.title ?? "Action Pack"),
+    exportedAt: new Date().toISOString(),
+    categories: getActionCategories(),
+    actions: readConfiguredActions(),
+    images: getActionImageMap()
+  };
+}
+
+/**
+ * Read and validate an action pack (object or JSON string).
+ * Returns { pack, errors }; pack is null when nothing usable was found.
+ * Invalid actions are dropped and reported in errors, the rest of the pack is still usable.
+ */
+function parseActionPack(data) {
+  let obj = data;
+  if (typeof obj === "string") {
+    try { obj = JSON.parse(obj); } catch (e) { return { pack: null, errors: [`Not valid JSON (${e.message}).`] }; }
+  }
+  // A bare actions array (the actionsConfig format) is accepted as a pack without images.
+  if (Array.isArray(obj)) obj = { type: ACTION_PACK_TYPE, version: ACTION_PACK_VERSION, actions: obj };
+  if (!obj || typeof obj !== "object") return { pack: null, errors: ["Not an action pack."] };
+  if (obj.type && obj.type !== ACTION_PACK_TYPE) return { pack: null, errors: [`Not an action pack (type "${obj.type}").`] };
+  if (!Array.isArray(obj.actions)) return { pack: null, errors: ["Action pack has no actions list."] };
+  if (Number(obj.version) > ACTION_PACK_VERSION) {
+    return { pack: null, errors: [`Action pack version ${obj.version} is newer than this module supports (${ACTION_PACK_VERSION}).`] };
+  }
+
+  const { actions, errors } = validateActionsConfig(obj.actions);
+  // Compare/apply the pack the way parseActionsConfig() will read it back (built-in rules/categories inherited).
+  const defaultsByKey = actionsToMap(getDefaultActions());
+  for (const a of actions) inheritDefaultActionFields(a, defaultsByKey);
+  const images = {};
+  for (const [k, v] of Object.entries((obj.images && typeof obj.images === "object") ? obj.images : {})) {
+    const path = String(v ?? "").trim();
+    if (path && typeof v === "string") images[String(k)] = path;
+  }
+  const categories = [...new Set((Array.isArray(obj.categories) ? obj.categories : [])
+    .map(c => String(c ?? "").trim()).filter(Boolean))];
+
+  return {
+    pack: {
+      type: ACTION_PACK_TYPE,
+      version: ACTION_PACK_VERSION,
+      name: String(obj.name ?? "").trim() || "Unnamed pack",
+      exportedAt: String(obj.exportedAt ?? ""),
+      categories,
+      actions,
+      images
+    },
+    errors: errors.map(formatActionsConfigError)
+  };
+}
+
+// Pull a pack out of a JournalEntry: the module flag first, otherwise the first text page containing JSON.
+function readActionPackFromJournal(entry) {
+  try {
+    const flagged = entry?.getFlag?.(MODULE_ID, "actionPack");
+    if (flagged) return parseActionPack(flagged);
+  } catch (_) {}
+
+  const pages = entry?.pages?.contents ?? [];
+  let firstErrors = null;
+  for (const page of pages) {
+    const html = page?.text?.content;
+    if (page?.type !== "text" || !html) continue;
+    const text = new DOMParser().parseFromString(String(html), "text/html").body?.textContent ?? "";
+    const start = text.indexOf("{");
+    const end = text.lastIndexOf("}");
+    if (start < 0 || end <= start) continue;
+    const res = parseActionPack(text.slice(start, end + 1));
+    if (res.pack) return res;
+    firstErrors ??= res.errors;
+  }
+  return { pack: null, errors: firstErrors ?? [`"${entry?.name ?? "Journal"}" does not contain an action pack.`] };
+}
+
+/**
+ * Resulting world configuration after applying a pack.
+ * - merge:   pack actions replace same-key actions in place, new ones are appended; images/categories are added
+ * - replace: the pack becomes the whole configuration. Built-ins the pack doesn't list are kept but
+ *            disabled, since parseActionsConfig() would otherwise merge them back in.
+ */
+function applyActionPack(current, pack, mode) {
+  const clone = (a) => foundry.utils.deepClone(a);
+  if (mode === "replace") {
+    const actions = pack.actions.map(clone);
+    const keys = new Set(actions.map(a => a.key));
+    for (const d of getDefaultActions()) if (!keys.has(d.key)) actions.push({ ...d, disabled: true });
+    return { actions, images: { ...pack.images }, categories: [...pack.categories] };
+  }
+
+  const actions = current.actions.map(clone);
+  const indexByKey = new Map(actions.map((a, i) => [a.key, i]));
+  for (const a of pack.actions) {
+    if (indexByKey.has(a.key)) actions[indexByKey.get(a.key)] = clone(a);
+    else actions.push(clone(a));
+  }
+  return {
+    actions,
+    images: { ...current.images, ...pack.images },
+    categories: [...new Set([...current.categories, ...pack.categories])]
+  };
+}
+
+// What applying would change, for the preview: per-action and per-image added/changed/removed.
+function diffActionPack(current, next) {
+  const norm = (a, f) => {
+    const v = a?.[f];
+    if (f === "disabled") return v === true;
+    if (f === "requires" || f === "produces") return normalizeRuleTokens(v).join(", ");
+    return v ?? "";
+  };
+  const before = actionsToMap(current.actions);
+  const after = actionsToMap(next.actions);
+
+  const actions = [];
+  for (const a of next.actions) {
+    const old = before.get(a.key);
+    if (!old) { actions.push({ key: a.key, label: a.label, status: "added", changes: [] }); continue; }
+    const changes = ACTION_PACK_DIFF_FIELDS
+      .filter(f => String(norm(old, f)) !== String(norm(a, f)))
+      .map(f => ({ field: f, from: String(norm(old, f)), to: String(norm(a, f)) }));
+    // Disabling/enabling is what the players see as removing/adding the action.
+    let status = changes.length ? "changed" : "unchanged";
+    if (norm(old, "disabled") !== norm(a, "disabled")) status = norm(a, "disabled") ? "removed" : "added";
+    actions.push({ key: a.key, label: a.label, status, changes: changes.filter(c => c.field !== "disabled") });
   }
-];
+  for (const a of current.actions) {
+    if (!after.has(a.key)) actions.push({ key: a.key, label: a.label, status: "removed", changes: [] });
+  }
+
+  const images = [];
+  for (const key of new Set([...Object.keys(current.images), ...Object.keys(next.images)])) {
+    const from = current.images[key] ?? "";
+    const to = next.images[key] ?? "";
+    if (from === to) continue;
+    images.push({ key, from, to, status: !from ? "added" : (!to ? "removed" : "changed") });
+  }
+
+  const addedCategories = next.categories.filter(c => !current.categories.includes(c));
+  const count = (s) => actions.filter(a => a.status === s).length;
+  return {
+    actions,
+    images,
+    addedCategories,
+    counts: { added: count("added"), changed: count("changed"), removed: count("removed"), unchanged: count("unchanged") }
+  };
 }
 
-function parseActionsConfig() {
-  // Never allow dropdowns to go empty. If settings are missing/invalid/empty -> defaults.
+// ---------------------------------------------------------------------------
+// Per-actor action overrides
+// ---------------------------------------------------------------------------
+// Stored on the Actor as flags[MODULE_ID].actionOverrides:
+//   { add: [{key,label,minCost,maxCost,icon}], hide: ["key", ...], costs: [{key,minCost,maxCost}] }
+// Arrays only, so a single setFlag replaces the whole thing (no stale keys left behind by mergeObject).
+
+function getActorActionOverrides(actor) {
   let raw = null;
-  try {
-    raw = game.settings.get(MODULE_ID, "actionsConfig");
-  } catch (_) {
-    raw = null;
+  try { raw = actor?.getFlag?.(MODULE_ID, "actionOverrides") ?? null; } catch (_) { raw = null; }
+  const o = (raw && typeof raw === "object") ? raw : {};
+  return {
+    add: Array.isArray(o.add) ? o.add : [],
+    hide: Array.isArray(o.hide) ? o.hide.map(k => String(k)) : [],
+    costs: Array.isArray(o.costs) ? o.costs : []
+  };
+}
+
+/**
+ * Merge an actor's overrides over a (world) action list.
+ * - costs: re-cost existing actions (blank min/max keep the world value)
+ * - add:   append actor-only actions (entries that fail validation or clash with a world key are skipped)
+ * - hide:  hidden actions are KEPT in the list but marked hidden:true, so an already-selected
+ *          value still resolves in chain evaluation; selectors filter them out.
+ */
+function mergeActorActionOverrides(actions, overrides) {
+  const out = (actions || []).map(a => ({ ...a }));
+  if (!overrides) return out;
+
+  const byKey = actionsToMap(out);
+  for (const c of (overrides.costs || [])) {
+    const meta = byKey.get(String(c?.key ?? ""));
+    if (!meta) continue;
+    const mn = (c.minCost === null || c.minCost === undefined || c.minCost === "") ? meta.minCost : Number(c.minCost);
+    const mx = (c.maxCost === null || c.maxCost === undefined || c.maxCost === "") ? Math.max(mn, meta.maxCost) : Number(c.maxCost);
+    if (!Number.isFinite(mn) || !Number.isFinite(mx) || mn < 0 || mx < mn) continue;
+    meta.minCost = mn;
+    meta.maxCost = mx;
   }
 
-  // Accept JSON string or array
-  let parsed = null;
-  try {
-    if (Array.isArray(raw)) parsed = raw;
-    else if (typeof raw === "string" && raw.trim()) parsed = JSON.parse(raw);
-  } catch (_) {
-    parsed = null;
+  const { actions: added } = validateActionsConfig(overrides.add || []);
+  for (const a of added) {
+    if (a.disabled || byKey.has(a.key)) continue;
+    out.push(a);
+    byKey.set(a.key, a);
   }
 
-  if (!Array.isArray(parsed) || !parsed.length) return getDefaultActions();
+  const hidden = new Set(overrides.hide || []);
+  for (const a of out) if (hidden.has(a.key)) a.hidden = true;
+  return out;
+}
 
-  const cleaned = [];
-  for (const a of parsed) {
-    if (!a || typeof a !== "object") continue;
-    const key = String(a.key ?? "").trim();
-    const label = String(a.label ?? "").trim();
-    if (!key || !label) continue;
+// World actions with the actor's overrides and item-derived entries applied
+// (hidden entries still present, flagged hidden:true).
+function getActionsForActor(actor) {
+  let actions = parseActionsConfig();
+  if (!Array.isArray(actions) || !actions.length) actions = getDefaultActions();
+  if (!actor) return actions;
+  const merged = mergeActorActionOverrides(actions, getActorActionOverrides(actor));
+  let deriveOn = true;
+  try { deriveOn = !!game.settings.get(MODULE_ID, "deriveItemActions"); } catch (_) { deriveOn = true; }
+  return deriveOn ? insertDerivedItemActions(merged, deriveItemActionsForActor(actor)) : merged;
+}
 
-    const minCost = Number(a.minCost ?? a.cost ?? 0);
-    const maxCost = Number(a.maxCost ?? a.cost ?? minCost);
-    if (!Number.isFinite(minCost) || !Number.isFinite(maxCost)) continue;
+// ---------------------------------------------------------------------------
+// Item-derived actions (equipped weapons, known spells)
+// ---------------------------------------------------------------------------
+// Generic entries such as "Melee" or "Cast Spell" are expanded into one entry per equipped weapon /
+// known spell, keyed `${baseKey}--${itemId}` and carrying baseKey so images and overrides still apply.
+// RMU item data isn't stable across builds, so every read probes several candidate fields and anything
+// we can't interpret simply doesn't produce an entry (the generic action stays available instead).
+
+function isItemEquipped(item) {
+  const s = item?.system ?? {};
+  const v = s.equipped ?? s.isEquipped ?? s.held ?? s.wielded ?? s.inHand ?? s.equip ?? null;
+  if (typeof v === "boolean") return v;
+  if (typeof v === "number") return v > 0;
+  if (typeof v === "string") return !!v.trim() && !/^(none|no|false|unequipped|stowed|carried|pack)$/i.test(v.trim());
+  return false;
+}
 
-    cleaned.push({
-      key,
-      label,
-      minCost: Math.max(0, minCost),
-      maxCost: Math.max(0, maxCost),
-      icon: String(a.icon ?? "").trim()
+// Read an AP cost from item data. Accepts numbers, {min,max} objects or "2-4" strings.
+// Returns { minCost, maxCost } or null when nothing usable is present.
+function readItemApCost(item) {
+  const s = item?.system ?? {};
+  const raw = s.apCost ?? s.ap ?? s.actionPoints ?? s.cost?.ap ?? s.castingAP ?? s.castingTime?.ap ?? null;
+  let mn = null;
+  let mx = null;
+  if (typeof raw === "number") { mn = raw; mx = raw; }
+  else if (typeof raw === "string") {
+    const m = /^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(raw);
+    if (m) { mn = Number(m[1]); mx = Number(m[2] ?? m[1]); }
+  } else if (raw && typeof raw === "object") {
+    mn = Number(raw.min ?? raw.minimum ?? raw.value ?? NaN);
+    mx = Number(raw.max ?? raw.maximum ?? raw.value ?? mn);
+  }
+  if (!Number.isFinite(mn) && Number.isFinite(Number(s.minAP))) { mn = Number(s.minAP); mx = Number(s.maxAP ?? mn); }
+  if (!Number.isFinite(mn) || !Number.isFinite(mx) || mn < 0 || mx < mn) return null;
+  return { minCost: mn, maxCost: mx };
+}
+
+function itemTextForMatch(item) {
+  const s = item?.system ?? {};
+  const skill = (typeof s.skill === "string") ? s.skill : (s.skill?.name ?? "");
+  return [item?.name, item?.type, s.attackType, s.weaponType, s.category, s.subtype, s.type, skill]
+    .filter(v => typeof v === "string")
+    .join(" ")
+    .toLowerCase();
+}
+
+// Known spells: spell items, plus entries listed inside spell-list items.
+function collectActorSpells(actor) {
+  const out = [];
+  for (const item of (actor?.items ?? [])) {
+    const type = String(item?.type ?? "").toLowerCase();
+    if (!type.includes("spell")) continue;
+    if (!type.includes("list")) {
+      out.push({ id: item.id, name: item.name, item });
+      continue;
+    }
+    const spells = item?.system?.spells;
+    const entries = Array.isArray(spells) ? spells : (spells && typeof spells === "object" ? Object.values(spells) : []);
+    entries.forEach((sp, i) => {
+      if (!sp || typeof sp !== "object") return;
+      if (sp.known === false || sp.learned === false) return;
+      const name = String(sp.name ?? sp.label ?? "").trim();
+      if (!name) return;
+      out.push({ id: `${item.id}-${sp.id ?? sp._id ?? i}`, name, item: { name, system: sp } });
     });
   }
+  return out;
+}
 
-  if (!cleaned.length) return getDefaultActions();
+function deriveItemActionsForActor(actor) {
+  const derived = [];
+  if (!actor?.items) return derived;
+  const mk = (baseKey, id, label, item) => {
+    const cost = readItemApCost(item);
+    const d = { key: `${baseKey}--${id}`, baseKey, label, itemId: id, ...(cost ?? {}) };
+    derived.push(d);
+    return d;
+  };
 
-  // If the user has previously saved a custom actionsConfig, it may not include
-  // newly-added default actions (e.g. Maneuver). Merge any missing defaults
-  // into the end of the list so they appear in dropdowns and the image picker.
   try {
-    const defaults = getDefaultActions();
-    const seen = new Set(cleaned.map(a => a.key));
-    for (const d of defaults) {
-      if (seen.has(d.key)) continue;
-      cleaned.push(foundry?.utils?.deepClone ? foundry.utils.deepClone(d) : { ...d });
+    for (const item of actor.items) {
+      if (!/weapon/i.test(String(item?.type ?? ""))) continue;
+      if (!isItemEquipped(item)) continue;
+      const txt = itemTextForMatch(item);
+      const name = String(item.name ?? "").trim() || "Weapon";
+      const isCrossbow = /crossbow/.test(txt);
+      const isBow = !isCrossbow && /\bbow\b|longbow|shortbow/.test(txt);
+      const isRanged = isCrossbow || isBow || /ranged|missile|thrown|sling|firearm/.test(txt);
+
+      if (!isRanged) {
+        mk("melee", item.id, `${name} Melee`, item);
+        continue;
+      }
+      const rangedEntry = mk("ranged", item.id, `${name} Ranged Attack`, item);
+      // Thrown weapons, slings etc. have no strung/loaded state to track.
+      if (!isCrossbow && !isBow) rangedEntry.noRules = true;
+      if (isCrossbow) {
+        const heavy = /heavy/.test(txt);
+        // Loading time comes from the generic entry; the weapon's AP is its attack cost.
+        derived.push({ key: `${heavy ? "load-heavy-crossbow" : "load-light-crossbow"}--${item.id}`, baseKey: heavy ? "load-heavy-crossbow" : "load-light-crossbow", label: `Load ${name}`, itemId: item.id });
+      } else if (isBow) {
+        derived.push({ key: `string-bow--${item.id}`, baseKey: "string-bow", label: `String ${name}`, itemId: item.id });
+        derived.push({ key: `draw-ammo--${item.id}`, baseKey: "draw-ammo", label: `Draw Ammo and Load ${name}`, itemId: item.id });
+      }
     }
-  } catch (_) {
-    // no-op
+
+    for (const sp of collectActorSpells(actor)) {
+      const s = sp.item?.system ?? {};
+      // Instantaneous spells are conventionally marked with a trailing "*".
+      const instant = (s.instantaneous === true) || (s.instant === true) || /\*\s*$/.test(sp.name);
+      mk(instant ? "cast-inst" : "cast-spell", sp.id, sp.name, sp.item);
+    }
+  } catch (e) {
+    console.warn(`${MODULE_ID} | Failed to derive item actions for ${actor?.name ?? "actor"}`, e);
+  }
+  return derived;
+}
+
+/**
+ * Insert item-derived actions after their generic base entry.
+ * Missing costs/icons come from the (possibly actor-overridden) base entry; a hidden base hides its
+ * derived entries too. A base that gained derived entries is itself hidden from selectors (still
+ * resolvable for existing selections).
+ */
+function insertDerivedItemActions(actions, derived) {
+  if (!derived?.length) return actions;
+  const byBase = new Map();
+  for (const d of derived) {
+    if (!byBase.has(d.baseKey)) byBase.set(d.baseKey, []);
+    byBase.get(d.baseKey).push(d);
   }
 
-  return cleaned;
+  const out = [];
+  for (const a of actions) {
+    out.push(a);
+    const ds = byBase.get(a.key);
+    if (!ds?.length) continue;
+    for (const d of ds) {
+      const hasCost = Number.isFinite(d.minCost) && Number.isFinite(d.maxCost);
+      const entry = {
+        key: d.key,
+        label: d.label,
+        minCost: hasCost ? d.minCost : a.minCost,
+        maxCost: hasCost ? d.maxCost : a.maxCost,
+        icon: a.icon,
+        category: a.category,
+        baseKey: a.key,
+        itemId: d.itemId
+      };
+      if (!d.noRules) {
+        if (a.requires) entry.requires = [...a.requires];
+        if (a.produces) entry.produces = [...a.produces];
+      }
+      if (a.hidden) entry.hidden = true;
+      out.push(entry);
+    }
+    a.hidden = true;
+  }
+  return out;
 }
 
-function actionsToMap(actions) {
-  const map = new Map();
-  for (const a of actions) map.set(a.key, a);
-  return map;
+// Phase selectors treat instantaneous actions (minCost 0) as minCost 1; instantKeys remembers which ones they were.
+function toPhaseActions(actions) {
+  const actionsPhase = (actions || []).map(a => {
+    const mn = Number(a?.minCost ?? 0);
+    if (mn === 0) {
+      const mx = Number(a?.maxCost ?? mn);
+      return { ...a, minCost: 1, maxCost: Math.max(1, mx) };
+    }
+    return a;
+  });
+  const instantKeys = new Set((actions || []).filter(a => Number(a?.minCost ?? 0) === 0).map(a => a.key));
+  return { actionsPhase, instantKeys, actionsMap: actionsToMap(actionsPhase) };
 }
 
 function buildVddOptionsForActions(actions, currentValue) {
   if (!Array.isArray(actions) || !actions.length) actions = getDefaultActions();
-  const opts = [{ value: "none", label: "-", selected: (currentValue === "none" || !currentValue) }];
+  const opts = [{ value: "none", label: "-", selected: (currentValue === "none" || !currentValue), icon: "", category: "" }];
   for (const a of actions) {
     const range = (a.minCost === a.maxCost) ? `${a.minCost}` : `${a.minCost}-${a.maxCost}`;
     const label = `${a.label} (${range})`;
-    opts.push({ value: a.key, label, selected: (a.key === currentValue) });
+    opts.push({ value: a.key, label, selected: (a.key === currentValue), icon: a.icon ?? "", category: a.category || "Other" });
   }
   const displayText = (opts.find(o => o.selected)?.label) || "-";
   return { opts, displayText };
@@ -1475,9 +3091,8 @@ function baseCap(concentrating, apPerPhase = 1) {
 
 
 function normalizeConcFlags(cd) {
-  const f = foundry.utils.deepClone(cd?.concFlags ?? {});
-  // Back-compat: older state used `concentrating` boolean.
-  if (cd?.concentrating && f.concentration === undefined) f.concentration = true;
+  // (The old `concentrating` boolean is converted by the schema v1 migration.)
+  const f = cd?.concFlags ?? {};
   return {
     concentration: !!f.concentration,
     holdPosition: !!f.holdPosition,
@@ -1795,17 +3410,222 @@ function detectApPerPhase(combat) {
   return ap;
 }
 
+// ---------------------------------------------------------------------------
+// Combat state schema & migrations
+// ---------------------------------------------------------------------------
+// flags[MODULE_ID].state carries a schemaVersion. Older (or unversioned) states are upgraded by the
+// migrations below, then every combatant entry is checked against the known field shapes and repaired.
+// The GM writes the result back; other clients apply the same upgrade in memory until it arrives.
+//
+// v1 combatant entry: { planActions, planAuto, planCosts, finActs, concFlags, holdAction,
+//                       instantAction?, bonusCount?, mentalFocusStartRound?, mentalFocusAckRound?, enduranceAckRound?,
+//                       moveModes?, mountTokenId?, forcedMoves?, sealedPlan?, planRequests? }
+// Unknown fields are left alone so newer builds can add fields without a migration.
+const STATE_SCHEMA_VERSION = 1;
+
+// STATE_MIGRATIONS[n] upgrades a state from version n-1 to n. ctx: { log: [...], deletions: [paths] }.
+const STATE_MIGRATIONS = {
+  1: (state, ctx) => {
+    // The old single `concentrating` boolean became the concFlags.concentration toggle.
+    for (const [cid, cd] of Object.entries(state.combatants ?? {})) {
+      if (!_isPlainObject(cd) || !("concentrating" in cd)) continue;
+      const flags = _isPlainObject(cd.concFlags) ? cd.concFlags : {};
+      if (cd.concentrating && flags.concentration === undefined) flags.concentration = true;
+      cd.concFlags = flags;
+      delete cd.concentrating;
+      ctx.deletions.push(`combatants.${cid}.concentrating`);
+    }
+  }
+};
+
+function _repairPlanSlotMap(cd, field, cid, isValidValue, ctx) {
+  if (!_isPlainObject(cd[field])) {
+    if (cd[field] !== undefined) ctx.log.push(`${cid}.${field}: not an object, reset`);
+    cd[field] = {};
+    return;
+  }
+  for (const [k, v] of Object.entries(cd[field])) {
+    if (PLAN_SLOT_KEY_RE.test(k) && isValidValue(v)) continue;
+    ctx.log.push(`${cid}.${field}.${k}: invalid entry ${JSON.stringify(v)} removed`);
+    delete cd[field][k];
+    ctx.deletions.push(`combatants.${cid}.${field}.${k}`);
+  }
+}
+
+// Bring a (migrated) state to the current shape; everything changed is described in ctx.log.
+function repairCombatState(state, ctx) {
+  if (!_isPlainObject(state.combatants)) {
+    if (state.combatants !== undefined) ctx.log.push("combatants: not an object, reset");
+    state.combatants = {};
+  }
+  if (!_isPlainObject(state.meta)) {
+    if (state.meta !== undefined) ctx.log.push("meta: not an object, reset");
+    state.meta = {};
+  }
+
+  for (const [cid, cd] of Object.entries(state.combatants)) {
+    if (!_isPlainObject(cd)) {
+      ctx.log.push(`${cid}: not an object, removed`);
+      delete state.combatants[cid];
+      ctx.deletions.push(`combatants.${cid}`);
+      continue;
+    }
+
+    _repairPlanSlotMap(cd, "planActions", cid, x => _isShortString(x) && !/\s/.test(x), ctx);
+    _repairPlanSlotMap(cd, "planAuto", cid, x => typeof x === "boolean", ctx);
+    _repairPlanSlotMap(cd, "planCosts", cid, x => x === null || (typeof x === "number" && Number.isFinite(x) && x >= 0), ctx);
+    _repairPlanSlotMap(cd, "finActs", cid, x => typeof x === "boolean", ctx);
+
+    const flags = _isPlainObject(cd.concFlags) ? cd.concFlags : {};
+    for (const k of Object.keys(flags)) {
+      if (CONC_FLAG_KEYS.includes(k)) continue;
+      ctx.log.push(`${cid}.concFlags.${k}: unknown toggle removed`);
+      ctx.deletions.push(`combatants.${cid}.concFlags.${k}`);
+    }
+    const concFlags = Object.fromEntries(CONC_FLAG_KEYS.map(k => [k, !!flags[k]]));
+    if (CONC_FLAG_KEYS.some(k => flags[k] !== concFlags[k])) {
+      if (cd.concFlags !== undefined) ctx.log.push(`${cid}.concFlags: normalized`);
+    }
+    cd.concFlags = concFlags;
+
+    const hold = _isPlainObject(cd.holdAction) ? cd.holdAction : {};
+    cd.holdAction = {
+      pendingKey: PLAN_SLOT_KEY_RE.test(String(hold.pendingKey ?? "")) ? hold.pendingKey : null,
+      heldLabel: _isShortString(hold.heldLabel) ? hold.heldLabel : null,
+      heldAction: _isShortString(hold.heldAction) ? hold.heldAction : null
+    };
+    if (hold.pendingKey && !cd.holdAction.pendingKey) ctx.log.push(`${cid}.holdAction.pendingKey: invalid, cleared`);
+
+    // Optional fields: an invalid value is removed (readers treat "missing" as the default).
+    const scalars = {
+      instantAction: STATE_PATH_VALIDATORS.instantAction,
+      bonusCount: STATE_PATH_VALIDATORS.bonusCount,
+      mentalFocusStartRound: _isRoundNumber,
+      mentalFocusAckRound: _isRoundNumber,
+      enduranceAckRound: _isRoundNumber,
+      moveModes: STATE_PATH_VALIDATORS.moveModes,
+      mountTokenId: STATE_PATH_VALIDATORS.mountTokenId,
+      forcedMoves: STATE_PATH_VALIDATORS.forcedMoves,
+      sealedPlan: STATE_PATH_VALIDATORS.sealedPlan,
+      planRequests: STATE_PATH_VALIDATORS.planRequests
+    };
+    for (const [field, ok] of Object.entries(scalars)) {
+      if (cd[field] === undefined || ok(cd[field])) continue;
+      ctx.log.push(`${cid}.${field}: invalid value ${JSON.stringify(cd[field])} removed`);
+      delete cd[field];
+      ctx.deletions.push(`combatants.${cid}.${field}`);
+    }
+  }
+
+  // Committed movement: movement.r<round>.<tokenId> = record (see persistMoveTrack()).
+  if (state.movement !== undefined && !_isPlainObject(state.movement)) {
+    ctx.log.push("movement: not an object, reset");
+    state.movement = {};
+  }
+  for (const [rk, byToken] of Object.entries(state.movement ?? {})) {
+    if (!/^r\d{1,5}$/.test(rk) || !_isPlainObject(byToken)) {
+      ctx.log.push(`movement.${rk}: invalid round entry removed`);
+      delete state.movement[rk];
+      ctx.deletions.push(`movement.${rk}`);
+      continue;
+    }
+    for (const [tokenId, rec] of Object.entries(byToken)) {
+      if (_isMoveRecord(rec)) continue;
+      ctx.log.push(`movement.${rk}.${tokenId}: invalid record removed`);
+      delete byToken[tokenId];
+      ctx.deletions.push(`movement.${rk}.${tokenId}`);
+    }
+  }
+}
+
+/**
+ * Upgrade + repair a raw combat state (the input is not modified).
+ * Returns { state, changed, fromVersion, log, deletions }; changed means the stored copy should be rewritten.
+ */
+function migrateCombatState(raw) {
+  const state = _isPlainObject(raw) ? foundry.utils.deepClone(raw) : {};
+  const ctx = { log: [], deletions: [] };
+  const fromVersion = Number.isInteger(state.schemaVersion) ? state.schemaVersion : 0;
+
+  // Written by a newer build: don't downgrade or "repair" fields we may not understand.
+  if (fromVersion > STATE_SCHEMA_VERSION) return { state, changed: false, fromVersion, log: [], deletions: [] };
+
+  for (let v = fromVersion + 1; v <= STATE_SCHEMA_VERSION; v++) {
+    try {
+      STATE_MIGRATIONS[v]?.(state, ctx);
+      ctx.log.push(`migrated to schema v${v}`);
+    } catch (e) {
+      console.error(`${MODULE_ID} | state migration to v${v} failed`, e);
+    }
+  }
+  state.schemaVersion = STATE_SCHEMA_VERSION;
+  repairCombatState(state, ctx);
+
+  // Filling in missing containers isn't worth a write on its own; version bumps and repairs are.
+  const changed = fromVersion !== STATE_SCHEMA_VERSION || ctx.log.length > 0;
+  return { state, changed, fromVersion, log: ctx.log, deletions: ctx.deletions };
+}
+
+// setFlag merges, so removed keys are sent as Foundry "-=key" deletions alongside the new state.
+function buildStateWritePayload({ state, deletions }) {
+  const payload = foundry.utils.deepClone(state);
+  for (const path of (deletions || [])) {
+    const i = path.lastIndexOf(".");
+    const parent = (i < 0) ? "" : path.slice(0, i);
+    const key = (i < 0) ? path : path.slice(i + 1);
+    if (parent && !foundry.utils.hasProperty(payload, parent)) continue;
+    foundry.utils.setProperty(payload, parent ? `${parent}.-=${key}` : `-=${key}`, null);
+  }
+  return payload;
+}
+
+// Log each distinct migration/repair once per combat and client.
+const _stateMigrationLogged = new Map(); // combatId => signature
+function reportStateMigration(combat, result) {
+  if (!result?.log?.length) return;
+  const sig = result.log.join("\n");
+  if (_stateMigrationLogged.get(combat.id) === sig) return;
+  _stateMigrationLogged.set(combat.id, sig);
+  console.warn(`${MODULE_ID} | Combat ${combat.id} state (schema v${result.fromVersion} → v${STATE_SCHEMA_VERSION}):\n${sig}`);
+}
+
+// Synchronous read of the combat state in the current schema (upgraded in memory if the GM hasn't yet).
+function readCombatState(combat) {
+  const raw = combat?.getFlag?.(MODULE_ID, "state");
+  if (!_isPlainObject(raw)) return { schemaVersion: STATE_SCHEMA_VERSION, combatants: {}, meta: {} };
+  if (raw.schemaVersion === STATE_SCHEMA_VERSION) return raw;
+  const result = migrateCombatState(raw);
+  reportStateMigration(combat, result);
+  return result.state;
+}
+
+// GM: combats whose stored state was already checked by migrateCombatState() this session.
+const _stateCheckedCombats = new Set();
+
 async function ensureCombatState(combat) {
   if (!combat) return null;
-  let state = combat.getFlag(MODULE_ID, "state");
-  if (!state || typeof state !== "object") {
-    if (!game.user.isGM) return { combatants: {} };
-    state = { combatants: {} };
-    await combat.setFlag(MODULE_ID, "state", state);
+  const raw = combat.getFlag(MODULE_ID, "state");
+  if (!_isPlainObject(raw)) {
+    const state = { schemaVersion: STATE_SCHEMA_VERSION, combatants: {}, meta: {} };
+    if (game.user.isGM) await combat.setFlag(MODULE_ID, "state", state);
+    return state;
   }
-  if (!state.combatants) state.combatants = {};
-  if (!state.meta) state.meta = {};
-  return state;
+  if (!game.user.isGM) return readCombatState(combat);
+
+  // GM: a current-version state is repaired once per combat per session (on load); after that only a
+  // version change (an older client's write) triggers the full migrate/repair pass again.
+  const containersOk = _isPlainObject(raw.combatants) && _isPlainObject(raw.meta);
+  if (raw.schemaVersion === STATE_SCHEMA_VERSION && containersOk && _stateCheckedCombats.has(combat.id)) return raw;
+
+  // Validate and persist upgrades/repairs (only the active GM writes).
+  const result = migrateCombatState(raw);
+  _stateCheckedCombats.add(combat.id);
+  if (!result.changed) return containersOk ? raw : result.state;
+  reportStateMigration(combat, result);
+  if (!game.users?.activeGM || game.users.activeGM.isSelf) {
+    await combat.setFlag(MODULE_ID, "state", buildStateWritePayload(result));
+  }
+  return result.state;
 }
 
 // Local virtual-round cache (per client) so periodic reminders can work even if the system does not advance combat.round
@@ -1826,90 +3646,381 @@ function updateLocalVirtualRound(combat, phaseInfo=null) {
     let vr = Number(cached.virtualRound ?? 1);
     if (!Number.isFinite(vr) || vr <= 0) vr = 1;
 
-    // If the system provides a real round > 1, sync to it.
-    if (Number.isFinite(detectedRound) && detectedRound > 1) {
-      vr = detectedRound;
-    } else {
-      const lastPhase = Number(cached.lastPhase ?? phase);
-      const lastPhaseCount = Number(cached.lastPhaseCount ?? phaseCount) || phaseCount;
-      const lastTurn = Number(cached.lastTurn ?? turn);
+    // If the system provides a real round > 1, sync to it.
+    if (Number.isFinite(detectedRound) && detectedRound > 1) {
+      vr = detectedRound;
+    } else {
+      const lastPhase = Number(cached.lastPhase ?? phase);
+      const lastPhaseCount = Number(cached.lastPhaseCount ?? phaseCount) || phaseCount;
+      const lastTurn = Number(cached.lastTurn ?? turn);
+
+      // Detect phase-wrap (last phase -> phase 1) only when there is more than 1 phase per round.
+      // If phaseCount === 1, phase is always 1 and we'd otherwise increment virtualRound on every render.
+      const wrappedByPhase = ((phaseCount > 1) && (phase === 1) && (lastPhase === lastPhaseCount)) || (phase < lastPhase);
+      const wrappedByTurn = (turn < lastTurn);
+      if (wrappedByPhase || wrappedByTurn) vr = vr + 1;
+    }
+
+    _virtualRoundCache.set(c.id, { virtualRound: vr, lastPhase: phase, lastPhaseCount: phaseCount, lastTurn: turn });
+  } catch (_) {}
+}
+
+// Mental Focus / reminder round: use the best available round number,
+// falling back to an internal virtualRound counter when the system does not advance combat.round.
+function getReminderRound(combat, state, phaseInfo=null) {
+  let detected = null;
+  try {
+    const pi = phaseInfo ?? detectPhaseInfo(combat);
+    detected = Number(pi?.round ?? null);
+  } catch (_) {}
+  const virt = Number(state?.meta?.virtualRound ?? 1);
+  const cachedVirt = Number(_virtualRoundCache.get(combat?.id)?.virtualRound ?? 1);
+  if (Number.isFinite(detected) && detected > 1) return detected;
+  if (Number.isFinite(virt) && virt > 1) return virt;
+  if (Number.isFinite(cachedVirt) && cachedVirt > 1) return cachedVirt;
+  if (Number.isFinite(detected) && detected >= 1) return detected;
+  return 1;
+}
+
+// Optimistic client cache so player selections "stick" immediately while waiting for GM write + flag replication.
+const _pending = new Map(); // key: `${combatId}:${path}` => value
+function pendingKey(combatId, path) { return `${combatId}:${path}`; }
+function applyPendingToState(combatId, state) {
+  if (!state) return state;
+  const clone = foundry.utils.deepClone(state);
+  // Selections saved on Combatants while no GM was connected (until the GM merges them).
+  try {
+    for (const combatant of (game.combats?.get(combatId)?.combatants ?? [])) {
+      const fields = readOfflineStateFields(combatant);
+      for (const [field, value] of Object.entries(fields ?? {})) {
+        foundry.utils.setProperty(clone, `combatants.${combatant.id}.${field}`, foundry.utils.deepClone(value));
+      }
+    }
+  } catch (_) {}
+  for (const [k, v] of _pending.entries()) {
+    if (!k.startsWith(`${combatId}:`)) continue;
+    const path = k.slice(combatId.length + 1);
+    foundry.utils.setProperty(clone, path, v);
+  }
+  return clone;
+}
+
+// GM-side write queue, one per combat. Writes for a combat run strictly one after another, and updates
+// requested while a write is in flight are coalesced into the next one, so interleaved player messages
+// can't overwrite each other with stale copies of the state blob.
+const _stateWriteQueues = new Map(); // combatId => { batch: Map(path => value) | null, tail: Promise }
+
+// audit: { userId, requestedBy? } records the write in the combat's audit log (see buildAuditEntries()).
+function queueStateWrite(combat, updates, audit = null) {
+  let q = _stateWriteQueues.get(combat.id);
+  if (!q) {
+    q = { batch: null, audit: null, tail: Promise.resolve() };
+    _stateWriteQueues.set(combat.id, q);
+  }
+
+  if (!q.batch) {
+    const batch = new Map();
+    const audited = [];
+    q.batch = batch;
+    q.audit = audited;
+    q.tail = q.tail.catch(() => {}).then(async () => {
+      if (q.batch === batch) { q.batch = null; q.audit = null; } // later requests start the next write
+      const state = await ensureCombatState(combat);
+      const clone = foundry.utils.deepClone(state);
+      let auditEntries = [];
+      try { auditEntries = buildAuditEntries(combat, state, audited); } catch (e) { console.warn(`${MODULE_ID} | Audit log entry failed`, e); }
+      for (const [path, value] of batch) {
+        // "<parent>.-=<key>" deletes <key> on write; drop it from the copy too so the merge doesn't re-add it.
+        const del = /^(?:(.*)\.)?-=([^.]+)$/.exec(path);
+        if (del) {
+          const parent = del[1] ? foundry.utils.getProperty(clone, del[1]) : clone;
+          if (_isPlainObject(parent)) delete parent[del[2]];
+        }
+        foundry.utils.setProperty(clone, path, value);
+      }
+      if (auditEntries.length) {
+        // The log is its own flag, so only audited writes carry it.
+        const auditLog = [...readAuditLog(combat), ...auditEntries].slice(-AUDIT_LOG_MAX);
+        await combat.update({ [`flags.${MODULE_ID}.state`]: clone, [`flags.${MODULE_ID}.auditLog`]: auditLog });
+      } else {
+        await combat.setFlag(MODULE_ID, "state", clone);
+      }
+      // Clear optimistic entries this write made authoritative (unless a newer value is already pending).
+      for (const [path, value] of batch) {
+        const pKey = pendingKey(combat.id, path);
+        if (_pending.get(pKey) === value) _pending.delete(pKey);
+      }
+    });
+  }
+
+  // Re-insert so a later write of the same path is also applied after any nested paths queued meanwhile.
+  const ts = Date.now();
+  for (const [path, value] of Object.entries(updates)) {
+    q.batch.delete(path);
+    q.batch.set(path, value);
+    if (audit && !AUDIT_SKIP_PATH_RE.test(path)) q.audit.push({ path, value, userId: audit.userId ?? null, requestedBy: audit.requestedBy ?? null, ts });
+  }
+  return q.tail;
+}
+
+// ---------------------------------------------------------------------------
+// Audit log
+// ---------------------------------------------------------------------------
+// Every accepted state write from a user (player socket writes, the GM's own selections, merged offline
+// selections, approved plan requests) is appended to flags[MODULE_ID].auditLog, capped at AUDIT_LOG_MAX entries:
+// { ts, userId, requestedBy?, round, phase, combatantId, path, old, new }; requestedBy is the player whose
+// plan request the GM (userId) approved. Whole-map writes under combatants.<id>
+// (planActions, concFlags, finActs, holdAction, ...) are split into one entry per changed key, so the
+// path names the slot, e.g. "combatants.<id>.planActions.r3p2m". Unchanged values are not logged.
+// Committed movement (movement.*) is not logged; the History window already shows it.
+const AUDIT_LOG_MAX = 300;
+const AUDIT_SKIP_PATH_RE = /^movement(?:\.|$)/;
+const AUDIT_VALUE_MAX = 120;
+
+// Stored form of a logged value: primitives as-is, anything else as (truncated) JSON.
+function _auditValue(v) {
+  if (v === undefined || v === null) return null;
+  if (["string", "number", "boolean"].includes(typeof v)) return v;
+  let text = "";
+  try { text = JSON.stringify(v); } catch (_) { text = String(v); }
+  return (text.length > AUDIT_VALUE_MAX) ? `${text.slice(0, AUDIT_VALUE_MAX - 1)}…` : text;
+}
+
+function _auditSame(a, b) {
+  try { return JSON.stringify(a ?? null) === JSON.stringify(b ?? null); } catch (_) { return a === b; }
+}
+
+function _isAuditEntry(e) {
+  return _isPlainObject(e) && Number.isInteger(e.ts) && typeof e.path === "string" && e.path.length <= 200;
+}
+
+// queued: [{ path, value, userId, requestedBy, ts }] in write order; state: the stored state before this write.
+function buildAuditEntries(combat, state, queued) {
+  const out = [];
+  if (!queued?.length) return out;
+  const { round, phase } = detectPhaseInfo(combat);
+  const latest = new Map(); // path => value written earlier in the same batch
+  for (const { path, value, userId, requestedBy, ts } of queued) {
+    const del = /^(?:(.*)\.)?-=([^.]+)$/.exec(path);
+    const target = del ? (del[1] ? `${del[1]}.${del[2]}` : del[2]) : path;
+    const before = latest.has(target) ? latest.get(target) : foundry.utils.getProperty(state, target);
+    const after = del ? undefined : value;
+    latest.set(target, after);
+
+    const combatantId = /^combatants\.([^.]+)\./.exec(target)?.[1] ?? null;
+    const base = { ts, userId, ...(requestedBy ? { requestedBy } : {}), round, phase, combatantId };
+    const splitKeys = combatantId && (_isPlainObject(before) || _isPlainObject(after)) &&
+      (before == null || _isPlainObject(before)) && (after == null || _isPlainObject(after));
+    if (splitKeys) {
+      const b = before ?? {};
+      const a = after ?? {};
+      for (const k of new Set([...Object.keys(b), ...Object.keys(a)])) {
+        if (_auditSame(b[k], a[k])) continue;
+        out.push({ ...base, path: `${target}.${k}`, old: _auditValue(b[k]), new: _auditValue(a[k]) });
+      }
+    } else if (!_auditSame(before, after)) {
+      out.push({ ...base, path: target, old: _auditValue(before), new: _auditValue(after) });
+    }
+  }
+  return out;
+}
+
+function readAuditLog(combat) {
+  const log = combat?.getFlag?.(MODULE_ID, "auditLog");
+  return Array.isArray(log) ? log.filter(_isAuditEntry) : [];
+}
+
+let _auditLogApp = null;
+
+// GM: browse, filter and export a combat's audit log.
+class AuditLogViewer extends Application {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "rmu-audit-log",
+      title: "RMU Phase Tracker — Change Log",
+      template: `modules/${MODULE_ID}/templates/audit-log.hbs`,
+      width: 820,
+      height: 560,
+      resizable: true
+    });
+  }
+
+  constructor(combat, options={}) {
+    super(options);
+    this.combatId = combat?.id ?? null;
+    this._filters = { combatantId: "", userId: "", round: "", text: "" };
+    this._hookId = null;
+  }
+
+  get combat() { return game.combats?.get(this.combatId) ?? null; }
+
+  // Entries matching the current filters, newest first, with names resolved.
+  _filteredRows() {
+    const combat = this.combat;
+    const f = this._filters;
+    const text = f.text.trim().toLowerCase();
+    const userName = (id) => game.users?.get(id)?.name ?? (id ? id : "—");
+    const rows = [];
+    for (const e of readAuditLog(combat)) {
+      if (f.combatantId && e.combatantId !== f.combatantId) continue;
+      if (f.userId && e.userId !== f.userId && e.requestedBy !== f.userId) continue;
+      if (f.round && String(e.round) !== f.round) continue;
+      const row = {
+        ts: e.ts,
+        time: new Date(e.ts).toLocaleString(),
+        user: userName(e.userId) + (e.requestedBy ? ` (requested by ${userName(e.requestedBy)})` : ""),
+        combatant: e.combatantId ? (combat?.combatants?.get?.(e.combatantId)?.name ?? e.combatantId) : "—",
+        round: e.round ?? null,
+        phase: e.phase ?? null,
+        path: e.combatantId ? e.path.replace(`combatants.${e.combatantId}.`, "") : e.path,
+        old: (e.old === null || e.old === undefined) ? "—" : String(e.old),
+        new: (e.new === null || e.new === undefined) ? "—" : String(e.new)
+      };
+      if (text && ![row.user, row.combatant, row.path, row.old, row.new].some(v => String(v).toLowerCase().includes(text))) continue;
+      rows.push(row);
+    }
+    return rows.reverse();
+  }
+
+  getData() {
+    const combat = this.combat;
+    const log = readAuditLog(combat);
+    const f = this._filters;
+    const uniq = (vals) => [...new Set(vals.filter(v => v !== null && v !== undefined && v !== ""))];
+    const rows = this._filteredRows();
+    return {
+      hasCombat: !!combat,
+      total: log.length,
+      max: AUDIT_LOG_MAX,
+      shown: rows.length,
+      rows,
+      filters: f,
+      combatants: uniq(log.map(e => e.combatantId)).map(id => ({
+        id, name: combat?.combatants?.get?.(id)?.name ?? id, selected: id === f.combatantId
+      })),
+      users: uniq(log.flatMap(e => [e.userId, e.requestedBy])).map(id => ({
+        id, name: game.users?.get(id)?.name ?? id, selected: id === f.userId
+      })),
+      rounds: uniq(log.map(e => e.round)).sort((a, b) => a - b).map(r => ({ value: String(r), selected: String(r) === f.round }))
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("[data-filter]").on("change", (ev) => {
+      const el = ev.currentTarget;
+      this._filters[el.dataset.filter] = String(el.value ?? "");
+      this.render(false);
+    });
+
+    html.find("button[data-action='clearFilters']").on("click", (ev) => {
+      ev.preventDefault();
+      this._filters = { combatantId: "", userId: "", round: "", text: "" };
+      this.render(false);
+    });
+
+    html.find("button[data-action='exportLog']").on("click", (ev) => {
+      ev.preventDefault();
+      const combat = this.combat;
+      const data = {
+        module: MODULE_ID,
+        combatId: this.combatId,
+        scene: combat?.scene?.name ?? null,
+        exportedAt: new Date().toISOString(),
+        filters: { ...this._filters },
+        entries: this._filteredRows().map(r => ({ ...r, time: new Date(r.ts).toISOString() }))
+      };
+      const save = foundry.utils.saveDataToFile ?? globalThis.saveDataToFile;
+      save(JSON.stringify(data, null, 2), "application/json", `rmu-change-log-${this.combatId ?? "combat"}.json`);
+    });
+
+    html.find("button[data-action='clearLog']").on("click", async (ev) => {
+      ev.preventDefault();
+      const combat = this.combat;
+      if (!combat || !game.user.isGM) return;
+      const ok = await Dialog.confirm({
+        title: "Clear Change Log",
+        content: "<p>Remove every entry from this combat's change log?</p>"
+      });
+      if (!ok) return;
+      await clearAuditLog(combat);
+      this.render(false);
+    });
+  }
 
-      // Detect phase-wrap (last phase -> phase 1) only when there is more than 1 phase per round.
-      // If phaseCount === 1, phase is always 1 and we'd otherwise increment virtualRound on every render.
-      const wrappedByPhase = ((phaseCount > 1) && (phase === 1) && (lastPhase === lastPhaseCount)) || (phase < lastPhase);
-      const wrappedByTurn = (turn < lastTurn);
-      if (wrappedByPhase || wrappedByTurn) vr = vr + 1;
+  async _render(force, options) {
+    await super._render(force, options);
+    if (this._hookId === null) {
+      this._hookId = Hooks.on("updateCombat", (combat) => {
+        if (combat?.id === this.combatId && this.rendered) this.render(false);
+      });
     }
+  }
 
-    _virtualRoundCache.set(c.id, { virtualRound: vr, lastPhase: phase, lastPhaseCount: phaseCount, lastTurn: turn });
-  } catch (_) {}
+  async close(options) {
+    if (this._hookId !== null) Hooks.off("updateCombat", this._hookId);
+    this._hookId = null;
+    return super.close(options);
+  }
 }
 
-// Mental Focus / reminder round: use the best available round number,
-// falling back to an internal virtualRound counter when the system does not advance combat.round.
-function getReminderRound(combat, state, phaseInfo=null) {
-  let detected = null;
-  try {
-    const pi = phaseInfo ?? detectPhaseInfo(combat);
-    detected = Number(pi?.round ?? null);
-  } catch (_) {}
-  const virt = Number(state?.meta?.virtualRound ?? 1);
-  const cachedVirt = Number(_virtualRoundCache.get(combat?.id)?.virtualRound ?? 1);
-  if (Number.isFinite(detected) && detected > 1) return detected;
-  if (Number.isFinite(virt) && virt > 1) return virt;
-  if (Number.isFinite(cachedVirt) && cachedVirt > 1) return cachedVirt;
-  if (Number.isFinite(detected) && detected >= 1) return detected;
-  return 1;
+// Runs after any state write already queued for this combat, so it can't re-add entries it just cleared.
+function clearAuditLog(combat) {
+  const q = _stateWriteQueues.get(combat.id);
+  const run = () => combat.setFlag(MODULE_ID, "auditLog", []);
+  if (!q) return run();
+  q.tail = q.tail.catch(() => {}).then(run);
+  return q.tail;
 }
 
-// Optimistic client cache so player selections "stick" immediately while waiting for GM write + flag replication.
-const _pending = new Map(); // key: `${combatId}:${path}` => value
-function pendingKey(combatId, path) { return `${combatId}:${path}`; }
-function applyPendingToState(combatId, state) {
-  if (!state) return state;
-  const clone = foundry.utils.deepClone(state);
-  for (const [k, v] of _pending.entries()) {
-    if (!k.startsWith(`${combatId}:`)) continue;
-    const path = k.slice(combatId.length + 1);
-    foundry.utils.setProperty(clone, path, v);
+function openAuditLog(combat = game.combat) {
+  if (!game.user.isGM || !combat) return;
+  if (_auditLogApp?.combatId !== combat.id) {
+    try { _auditLogApp?.close?.(); } catch (_) {}
+    _auditLogApp = new AuditLogViewer(combat);
   }
-  return clone;
+  _auditLogApp.render(true);
 }
 
 /**
- * Write a single path in the combat flag state.
- * - GM: writes directly to Combat flags
- * - Player: requests GM write via module socket
+ * Write several paths in the combat flag state as one atomic update.
+ * updates: { [path]: value }, e.g. { "combatants.<id>.planActions": {...}, "combatants.<id>.planCosts": {...} }
+ * - GM: queued and written in a single Combat flag update
+ * - Player: sent to the GM in one socket message (validated and applied all-or-nothing)
  */
-async function requestStatePathUpdate({ combatId, path, value }) {
+async function requestStatePathUpdates({ combatId, updates }) {
   const combat = game.combats?.get(combatId);
   if (!combat) return;
+  const entries = Object.entries(updates ?? {});
+  if (!entries.length) return;
 
   // Optimistic local update for BOTH GM and players so immediate reads (movement) see the change
   // even if the flag write/socket round-trip hasn't completed yet.
-  const pKey = pendingKey(combatId, path);
-  _pending.set(pKey, value);
+  for (const [path, value] of entries) _pending.set(pendingKey(combatId, path), value);
 
   if (game.user.isGM) {
     try {
-      const state = await ensureCombatState(combat);
-      const clone = foundry.utils.deepClone(state);
-      foundry.utils.setProperty(clone, path, value);
-      await combat.setFlag(MODULE_ID, "state", clone);
-      // Once the authoritative flag is updated, clear the optimistic entry to avoid stale overrides.
-      _pending.delete(pKey);
+      await queueStateWrite(combat, updates, { userId: game.user.id });
     } catch (e) {
-      console.warn("requestStatePathUpdate GM setFlag failed", e);
+      console.warn("requestStatePathUpdates GM setFlag failed", e);
       // Keep pending so UI/movement remains consistent with the user's last selection.
     }
+  } else if (!isGmConnected()) {
+    await saveOfflineStateUpdates(combat, updates);
   } else {
-    game.socket.emit(`module.${MODULE_ID}`, { type: "setStatePath", combatId, path, value });
+    game.socket.emit(`module.${MODULE_ID}`, { type: "setStatePaths", combatId, updates, userId: game.user.id });
   }
 
   // Refresh UI immediately for both GM and players (pending cache keeps selections sticky).
   try { if (_app?.rendered) _app.render(false); } catch (_) {}
 }
 
+// Write a single path in the combat flag state (see requestStatePathUpdates()).
+async function requestStatePathUpdate({ combatId, path, value }) {
+  return requestStatePathUpdates({ combatId, updates: { [path]: value } });
+}
+
 /**
  * Ensure the combat flag state exists for this combat.
  * Called on open/render so the UI never starts against an undefined state blob.
@@ -1921,13 +4032,323 @@ function requestInitState(combatId) {
   else game.socket.emit(`module.${MODULE_ID}`, { type: "initState", combatId });
 }
 
+// ---------------------------------------------------------------------------
+// GM-offline fallback
+// ---------------------------------------------------------------------------
+// Player writes normally go through the GM. While no GM is connected they are also saved on the
+// player's own Combatant as flags[MODULE_ID].offlineState = { fields: { planActions, ... }, userId, updatedAt },
+// overlaid on the combat state when reading (applyPendingToState), and merged into the combat state by
+// the GM when one connects again (reconcileOfflineState).
+
+function isGmConnected() {
+  try { return !!game.users?.activeGM; } catch (_) { return true; }
+}
+
+let _offlineLocalOnlyWarned = false;
+async function saveOfflineStateUpdates(combat, updates) {
+  const byCombatant = new Map();
+  for (const [path, value] of Object.entries(updates ?? {})) {
+    const m = /^combatants\.([A-Za-z0-9]+)\.([A-Za-z]+)$/.exec(path);
+    const combatant = m ? combat.combatants?.get?.(m[1]) : null;
+    if (!combatant?.isOwner) {
+      // Nothing we can write to; the value only lives in this browser's pending cache.
+      if (!_offlineLocalOnlyWarned) {
+        _offlineLocalOnlyWarned = true;
+        ui.notifications?.warn?.("RMU Phase Tracker: no GM connected; some changes are only kept in this browser until a GM joins.");
+      }
+      continue;
+    }
+    if (!byCombatant.has(combatant)) byCombatant.set(combatant, {});
+    byCombatant.get(combatant)[m[2]] = value;
+  }
+
+  for (const [combatant, fields] of byCombatant) {
+    try {
+      // setFlag merges, so fields saved by earlier offline writes are kept.
+      await combatant.setFlag(MODULE_ID, "offlineState", { fields, userId: game.user.id, updatedAt: Date.now() });
+    } catch (e) {
+      console.warn(`${MODULE_ID} | Could not save offline selections on ${combatant.name}`, e);
+    }
+  }
+}
+
+function readOfflineStateFields(combatant) {
+  try {
+    const off = combatant?.getFlag?.(MODULE_ID, "offlineState");
+    return (off?.fields && typeof off.fields === "object") ? off.fields : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// GM: who wrote a Combatant's offlineState, as seen in the updateCombatant hook (combatantId => userId).
+// The flag's own userId is written by the player's client and is never trusted.
+const _offlineStateWriters = new Map();
+
+// The player the offline fields are checked as: the observed writer, else the combatant's non-GM owner.
+// Returns null (fields rejected) when no non-GM player can be resolved.
+function resolveOfflineStateAuthor(combatant) {
+  const observed = game.users?.get(_offlineStateWriters.get(combatant.id)) ?? null;
+  if (observed && !observed.isGM) return observed;
+  const owner = getPrimaryOwnerUser(combatant.actor);
+  return (owner && !owner.isGM) ? owner : null;
+}
+
+// GM: merge every Combatant's offline selections into its combat's state, then clear them.
+let _offlineReconcileRunning = false;
+async function reconcileOfflineState() {
+  if (!game.user?.isGM) return;
+  if (game.users?.activeGM && !game.users.activeGM.isSelf) return;
+  if (_offlineReconcileRunning) return;
+  _offlineReconcileRunning = true;
+  try {
+    for (const combat of (game.combats ?? [])) {
+      for (const combatant of (combat.combatants ?? [])) {
+        const fields = readOfflineStateFields(combatant);
+        if (!fields) continue;
+
+        // Same checks as live socket writes, always as a player (offline writes never come from a GM).
+        const user = resolveOfflineStateAuthor(combatant);
+        const updates = {};
+        for (const [field, value] of Object.entries(fields)) {
+          const path = `combatants.${combatant.id}.${field}`;
+          const check = validateStatePathWrite(combat, user, path, value);
+          if (check.ok) updates[path] = value;
+          else console.warn(`${MODULE_ID} | Dropped offline ${path} from ${user?.name ?? "unknown user"}: ${check.reason}`);
+        }
+
+        try {
+          if (Object.keys(updates).length) await queueStateWrite(combat, updates, { userId: user?.id ?? null });
+          await combatant.unsetFlag(MODULE_ID, "offlineState");
+          _offlineStateWriters.delete(combatant.id);
+        } catch (e) {
+          console.error(`${MODULE_ID} | Could not merge offline selections for ${combatant.name}`, e);
+        }
+      }
+    }
+  } finally {
+    _offlineReconcileRunning = false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// setStatePath validation (GM side)
+// ---------------------------------------------------------------------------
+// Players can only write these per-combatant fields (combatants.<combatantId>.<field>), only for
+// combatants they own, plus movement records of tokens they own (movement.r<round>.<tokenId>), and
+// only with values of the expected shape. Everything else is rejected and the sender is told why
+// (setStatePathRejected).
+const PLAN_SLOT_KEY_RE = /^r\d{1,5}p\d{1,2}[mb]$/;
+const CONC_FLAG_KEYS = ["concentration", "holdPosition", "partialDodgeBlock", "spellPreparation", "holdAction"];
+const HOLD_ACTION_KEYS = ["pendingKey", "heldLabel", "heldAction"];
+
+function _isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+function _isShortString(v, max = 200) {
+  return typeof v === "string" && v.length <= max;
+}
+function _isRoundNumber(v) {
+  return Number.isInteger(v) && v >= 0 && v <= 99999;
+}
+// Per-slot maps (planActions/planAuto/planCosts/finActs) keyed by phaseKey().
+function _isPlanSlotMap(v, checkValue) {
+  if (!_isPlainObject(v)) return false;
+  const entries = Object.entries(v);
+  return entries.length <= 1000 && entries.every(([k, x]) => PLAN_SLOT_KEY_RE.test(k) && checkValue(x));
+}
+
+const STATE_PATH_VALIDATORS = {
+  planActions: (v) => _isPlanSlotMap(v, x => _isShortString(x) && !/\s/.test(x)),
+  planAuto: (v) => _isPlanSlotMap(v, x => typeof x === "boolean"),
+  planCosts: (v) => _isPlanSlotMap(v, x => x === null || (typeof x === "number" && Number.isFinite(x) && x >= 0 && x <= 100)),
+  finActs: (v) => _isPlanSlotMap(v, x => typeof x === "boolean"),
+  concFlags: (v) => _isPlainObject(v) && Object.entries(v).every(([k, x]) => CONC_FLAG_KEYS.includes(k) && typeof x === "boolean"),
+  holdAction: (v) => _isPlainObject(v) && Object.entries(v).every(([k, x]) =>
+    HOLD_ACTION_KEYS.includes(k) && (x === null || (k === "pendingKey" ? PLAN_SLOT_KEY_RE.test(String(x)) : _isShortString(x)))),
+  instantAction: (v) => _isShortString(v) && !/\s/.test(v),
+  bonusCount: (v) => Number.isInteger(v) && v >= 0 && v <= 4,
+  mentalFocusStartRound: _isRoundNumber,
+  mentalFocusAckRound: _isRoundNumber,
+  enduranceAckRound: _isRoundNumber,
+  moveModes: (v) => _isPlainObject(v) && Object.keys(v).length <= 1000 &&
+    Object.entries(v).every(([k, x]) => MOVE_MODE_GROUP_KEY_RE.test(k) && (x === "auto" || Object.hasOwn(MOVE_MODES, x))),
+  // "" = auto (token stacking), "none" = on foot, else the mount's token id.
+  mountTokenId: (v) => typeof v === "string" && /^(none|[A-Za-z0-9]{1,64})?$/.test(v),
+  // Log of forced moves (recordForcedMove()), newest last.
+  forcedMoves: (v) => Array.isArray(v) && v.length <= FORCED_MOVE_LOG_MAX && v.every(_isForcedMoveEntry),
+  // Sealed declarations (future slots), merged into planActions on reveal.
+  sealedPlan: (v) => _isPlanSlotMap(v, x => _isShortString(x) && !/\s/.test(x)),
+  // Plan changes waiting for GM approval (see resolvePlanRequest()).
+  planRequests: (v) => _isPlanSlotMap(v, _isPlanRequest)
+};
+
+// Movement records (movement.r<round>.<tokenId>): usedBySlot is keyed by Move slot or incidental range keys.
+const MOVE_SLOT_KEY_RE = /^(r\d{1,5}p\d{1,2}[mb]|i\d{1,5}p\d{1,2}-\d{1,2})$/;
+function _isPoint(p) {
+  return _isPlainObject(p) && Number.isFinite(p.x) && Number.isFinite(p.y);
+}
+function _isMoveRecord(v) {
+  if (!_isPlainObject(v)) return false;
+  if (!Number.isInteger(v.seq) || v.seq < 0) return false;
+  if (v.phaseKey != null && !_isShortString(v.phaseKey)) return false;
+  if (v.lastBoostedPhaseKeyId != null && !_isShortString(v.lastBoostedPhaseKeyId)) return false;
+  if (["phaseOrigin", "phaseOriginTL", "lastCenter"].some(k => v[k] != null && !_isPoint(v[k]))) return false;
+  if (!Array.isArray(v.points) || v.points.length > MOVE_TRACK_MAX_POINTS || !v.points.every(_isPoint)) return false;
+  const isSlotFeet = (map) => {
+    if (!_isPlainObject(map)) return false;
+    const entries = Object.entries(map);
+    return entries.length <= 1000 && entries.every(([k, x]) => MOVE_SLOT_KEY_RE.test(k) && typeof x === "number" && Number.isFinite(x) && x >= 0);
+  };
+  const isUndoEntry = (u) => _isPlainObject(u) && _isShortString(u.phaseKey) && _isPoint(u.center) &&
+    isSlotFeet(u.alloc) && (u.grid == null || isSlotFeet(u.grid)) &&
+    Number.isInteger(u.points) && u.points >= 0 && u.points <= MOVE_TRACK_MAX_POINTS &&
+    (u.mountTokenId == null || (typeof u.mountTokenId === "string" && /^[A-Za-z0-9]{1,64}$/.test(u.mountTokenId)));
+  if (v.undo != null && !(Array.isArray(v.undo) && v.undo.length <= MOVE_UNDO_MAX && v.undo.every(isUndoEntry))) return false;
+  return isSlotFeet(v.usedBySlot) && (v.gridBySlot == null || isSlotFeet(v.gridBySlot));
+}
+
+// GM: the last movement record accepted per "<combatId>:<path>", ahead of the queued flag write.
+const _acceptedMoveRecords = new Map();
+
+/**
+ * A player's movement record must follow the stored one (seq + 1) and may only lower used feet
+ * through "Undo last move" (the last stored undo entry, token back at its start) or "Reset Move"
+ * (current phase group zeroed, undo stack cleared, token back at the phase origin).
+ */
+function checkMoveRecordWrite(combat, path, tokenDoc, rec) {
+  const stored = foundry.utils.getProperty(readCombatState(combat), path);
+  const base = [_acceptedMoveRecords.get(`${combat.id}:${path}`), stored]
+    .filter(_isMoveRecord)
+    .sort((a, b) => b.seq - a.seq)[0];
+  if (!base) return { ok: true };
+  if (rec.seq !== base.seq + 1) return { ok: false, reason: "Movement is out of date; reload the tracker and try again." };
+
+  const center = tokenCenterFromTopLeft(tokenDoc.x, tokenDoc.y, tokenDoc);
+  const near = (p, q) => _isPoint(p) && Math.abs(p.x - q.x) <= 1 && Math.abs(p.y - q.y) <= 1;
+  const baseUndo = Array.isArray(base.undo) ? base.undo : [];
+  const recUndo = Array.isArray(rec.undo) ? rec.undo : [];
+  const last = baseUndo[baseUndo.length - 1];
+  const isUndoStep = !!last && recUndo.length === baseUndo.length - 1 && near(last.center, center);
+
+  const { keys, phaseInfo, currentInternalStart, currentInternalEnd } = _phaseGroupKeysForCurrent(combat);
+  const phaseKeyId = `${combat.id}:${phaseInfo.round}:${currentInternalStart}-${currentInternalEnd}`;
+  const resetKeys = new Set([...keys, `i${phaseInfo.round}p${currentInternalStart}-${currentInternalEnd}`]);
+  const undoneKeys = new Set(baseUndo.filter(u => u.phaseKey === phaseKeyId).flatMap(u => Object.keys(u.alloc ?? {})));
+  const isReset = !recUndo.length && (near(base.phaseOriginTL, { x: tokenDoc.x, y: tokenDoc.y }) ||
+    near(base.phaseOrigin, center) || near(base.points?.[0], center));
+
+  for (const field of ["usedBySlot", "gridBySlot"]) {
+    const after = rec[field] ?? {};
+    for (const [k, was] of Object.entries(base[field] ?? {})) {
+      const now = Number(after[k] ?? 0);
+      if (now >= was - MOVE_EPS_FT) continue;
+      const stepFt = Number(((field === "gridBySlot") ? (last?.grid?.[k] ?? last?.alloc?.[k]) : last?.alloc?.[k]) ?? 0);
+      if (isUndoStep && now >= was - stepFt - MOVE_EPS_FT) continue;
+      if (isReset && resetKeys.has(k) && (undoneKeys.has(k) || baseUndo.length >= MOVE_UNDO_MAX) && now <= MOVE_EPS_FT) continue;
+      return { ok: false, reason: "Movement already made this round can only be taken back with Undo or Reset Move." };
+    }
+  }
+  return { ok: true };
+}
+
+function canUserWriteCombatant(user, combatant) {
+  if (!user || !combatant) return false;
+  if (user.isGM) return true;
+  try {
+    if (combatant.testUserPermission?.(user, "OWNER")) return true;
+    if (combatant.actor?.testUserPermission?.(user, "OWNER")) return true;
+  } catch (_) {}
+  return false;
+}
+
+/**
+ * Check a player's setStatePath request before the GM applies it.
+ * Returns { ok: true } or { ok: false, reason } (reason is shown to the sender).
+ */
+function validateStatePathWrite(combat, user, path, value) {
+  if (!user) return { ok: false, reason: "Unknown sender." };
+
+  // Committed movement of a token the sender owns.
+  const mv = /^movement\.r(\d{1,5})\.([A-Za-z0-9]+)$/.exec(String(path ?? ""));
+  if (mv) {
+    const tokenDoc = findCombatTokenDoc(combat, mv[2]);
+    if (!tokenDoc || !(Number(mv[1]) >= 1)) return { ok: false, reason: "That token is not in this combat." };
+    if (!user.isGM && !tokenDoc.testUserPermission?.(user, "OWNER")) return { ok: false, reason: `You do not own ${tokenDoc.name ?? "that token"}.` };
+    if (!_isMoveRecord(value)) return { ok: false, reason: "Invalid movement record." };
+    return user.isGM ? { ok: true } : checkMoveRecordWrite(combat, path, tokenDoc, value);
+  }
+
+  const m = /^combatants\.([A-Za-z0-9]+)\.([A-Za-z]+)$/.exec(String(path ?? ""));
+  if (!m || !Object.hasOwn(STATE_PATH_VALIDATORS, m[2])) return { ok: false, reason: `"${path}" cannot be changed by players.` };
+
+  const [, combatantId, field] = m;
+  const combatant = combat?.combatants?.get?.(combatantId);
+  if (!combatant) return { ok: false, reason: "That combatant is not in this combat." };
+  if (!canUserWriteCombatant(user, combatant)) return { ok: false, reason: `You do not own ${combatant.name ?? "that combatant"}.` };
+  if (!STATE_PATH_VALIDATORS[field](value)) return { ok: false, reason: `Invalid value for ${field}.` };
+
+  // Mounts: a token of this combat that the sender owns.
+  if (field === "mountTokenId" && value && value !== "none") {
+    const mountDoc = findCombatTokenDoc(combat, value);
+    if (!mountDoc) return { ok: false, reason: "That mount token was not found." };
+    if (!canRideMount(combatant.actor, mountDoc, user)) return { ok: false, reason: `You do not own ${mountDoc.name ?? "that mount"}.` };
+  }
+
+  // Sealed declarations only cover future slots (revealSealedDeclarations() merges them into planActions
+  // unchecked). In approval mode past/current slots only change through an approved request.
+  const needsFuture = (field === "sealedPlan") || (isPlanApprovalOn() && ["planActions", "planAuto", "planCosts", "finActs"].includes(field));
+  if (!user.isGM && needsFuture) {
+    const stored = readCombatState(combat).combatants?.[combatantId]?.[field] ?? {};
+    const norm = (field === "finActs" || field === "planAuto") ? (x => !!x) : (x => String(x ?? "none"));
+    const keys = new Set([...Object.keys(value), ...Object.keys(stored)]);
+    for (const k of keys) {
+      if (norm(value[k]) === norm(stored[k])) continue;
+      const revealed = (field === "sealedPlan") && isRevealedSlot(combat, k);
+      if (planSlotTiming(combat, k) === "future" && !revealed) continue;
+      if (revealed) return { ok: false, reason: "That phase has already been revealed." };
+      return { ok: false, reason: (field === "sealedPlan") ? "Only future phases can be declared sealed." : "Changes to past or current phases need GM approval." };
+    }
+  }
+  return { ok: true };
+}
+
+// Sender side: drop the optimistic value the GM refused so the UI falls back to the stored state.
+function handleStatePathRejected(msg) {
+  const paths = Array.isArray(msg.paths) ? msg.paths : [msg.path];
+  for (const path of paths) _pending.delete(pendingKey(msg.combatId, path));
+  // A refused movement record: drop the local track back to the stored one, or every later record
+  // would build on movement the GM never accepted.
+  const combat = game.combats?.get(msg.combatId);
+  for (const path of paths) {
+    const mv = /^movement\.r\d+\.([A-Za-z0-9]+)$/.exec(String(path ?? ""));
+    const tokenDoc = mv ? findCombatTokenDoc(combat, mv[1]) : null;
+    const tokenUuid = tokenDoc ? getTokenUuid(tokenDoc) : null;
+    if (!tokenUuid) continue;
+    const stored = foundry.utils.getProperty(readCombatState(combat), path);
+    if (_isMoveRecord(stored)) _moveTrack.set(tokenUuid, moveTrackFromRecord(stored));
+    else _moveTrack.delete(tokenUuid);
+    try { _movePreview.delete(tokenUuid); } catch (_) {}
+  }
+  console.warn(`${MODULE_ID} | GM rejected update of ${paths.join(", ")}: ${msg.reason}`);
+  ui.notifications?.warn?.(`RMU Phase Tracker: change not saved. ${msg.reason ?? ""}`.trim());
+  try { requestAppRefresh(); } catch (_) {}
+}
+
 function registerSocket() {
   if (_socketRegistered) return;
   _socketRegistered = true;
-  game.socket.on(`module.${MODULE_ID}`, async (msg) => {
+  game.socket.on(`module.${MODULE_ID}`, async (msg, senderId) => {
     try {
-      if (!game.user.isGM) return;
       if (!msg || !msg.type) return;
+      if (!game.user.isGM) {
+        if (msg.type === "setStatePathRejected" && msg.userId === game.user.id) handleStatePathRejected(msg);
+        if (msg.type === "moveEnforced" && msg.userId === game.user.id) ui.notifications?.warn?.(String(msg.message ?? "Move not allowed."));
+        if (msg.type === "planRequestResolved" && msg.userId === game.user.id) handlePlanRequestResolved(msg);
+        return;
+      }
+      // With several GMs connected only the active GM handles requests (no duplicate writes/replies).
+      if (game.users?.activeGM && !game.users.activeGM.isSelf) return;
 
       const combat = game.combats?.get(msg.combatId);
       if (!combat) return;
@@ -1938,12 +4359,43 @@ function registerSocket() {
         try { requestAppRefresh(); } catch (_) {}
         return;
       }
-      if (msg.type !== "setStatePath") return;
+      if (msg.type !== "setStatePath" && msg.type !== "setStatePaths") return;
+
+      // setStatePath (single) is still accepted from clients running an older build.
+      const updates = (msg.type === "setStatePaths")
+        ? ((msg.updates && typeof msg.updates === "object") ? msg.updates : {})
+        : { [msg.path]: msg.value };
+      const paths = Object.keys(updates);
+      if (!paths.length) return;
+
+      // Foundry passes the sending user's id; msg.userId is only a fallback for older cores.
+      // A batch is all-or-nothing: one bad path rejects the whole request.
+      const sender = game.users?.get(senderId ?? msg.userId) ?? null;
+      for (const path of paths) {
+        const check = validateStatePathWrite(combat, sender, path, updates[path]);
+        if (check.ok) continue;
+        console.warn(`${MODULE_ID} | Rejected ${msg.type} from ${sender?.name ?? "unknown user"}: ${check.reason}`, msg);
+        game.socket.emit(`module.${MODULE_ID}`, {
+          type: "setStatePathRejected",
+          combatId: combat.id,
+          path,
+          paths,
+          userId: sender?.id ?? senderId ?? msg.userId,
+          reason: check.reason
+        });
+        return;
+      }
 
-      const state = await ensureCombatState(combat);
-      const clone = foundry.utils.deepClone(state);
-      foundry.utils.setProperty(clone, msg.path, msg.value);
-      await combat.setFlag(MODULE_ID, "state", clone);
+      for (const path of paths) {
+        if (path.startsWith("movement.")) _acceptedMoveRecords.set(`${combat.id}:${path}`, updates[path]);
+      }
+      await queueStateWrite(combat, updates, { userId: sender?.id ?? null });
+
+      // A player asked for a plan change that needs approval.
+      if (paths.some(p => /\.planRequests$/.test(p))) {
+        ui.notifications?.info?.(`${sender?.name ?? "A player"} asks to change a planned action.`);
+        openPlanRequestsDialog(combat);
+      }
 
       // Live-update GM view as players make selections.
       try { requestAppRefresh(); } catch (_) {}
@@ -2030,12 +4482,99 @@ function applyAutofillToPlan({ phases, actionsMap, concentrating, planActions, p
   return { planActions: cleaned, planAuto: newAuto, planCosts: costs };
 }
 
+/**
+ * Track action sequencing rules (requires/produces tokens) across the planned selectors.
+ *
+ * Walks selectors in order (main then bonus per phase) and keeps a token state map. A token's state
+ * is only KNOWN once an earlier planned action set or cleared it; requirements against an unknown
+ * token always pass (we don't know whether the crossbow started the fight loaded).
+ *
+ * Requirements are checked at the first selector of each chain; produces apply once the chain has
+ * paid its minimum cost (or FIN ACT? ends it early).
+ *
+ * Main and bonus selectors keep separate chains, so a Reload on the main selectors stays one chain
+ * while the bonus selectors between them are empty or hold other actions. A selector with the action
+ * the other lane is still paying for continues that chain (as the AP evaluator adds both lanes).
+ *
+ * Returns Map(phaseIndex -> [{ key, reason }]).
+ */
+function trackActionRules({ phases, planActions, actionsMap, capForKey, finActs }) {
+  const violations = new Map();
+  const tokenState = new Map(); // token -> { on: boolean, by: label }
+  const chains = { m: null, b: null }; // lane -> { action, meta, spent, produced, finished }
+
+  const labelFor = (meta, key) => String(meta?.label ?? key).split(" (")[0].trim() || key;
+
+  const applyProduces = (meta) => {
+    const by = labelFor(meta, meta?.key);
+    for (const t of (meta?.produces ?? [])) {
+      if (t.startsWith("!")) tokenState.set(t.slice(1), { on: false, by });
+      else if (t.startsWith("~")) {
+        const name = t.slice(1);
+        const cur = tokenState.get(name);
+        // Toggling an unknown token leaves it unknown.
+        if (cur) tokenState.set(name, { on: !cur.on, by });
+      } else tokenState.set(t, { on: true, by });
+    }
+  };
+
+  const checkRequires = (meta) => {
+    const reasons = [];
+    for (const t of (meta?.requires ?? [])) {
+      const negate = t.startsWith("!");
+      const name = negate ? t.slice(1) : t;
+      const st = tokenState.get(name);
+      if (!st) continue;
+      if (negate && st.on) reasons.push(`Requires not "${name}": already set by ${st.by}.`);
+      if (!negate && !st.on) reasons.push(`Requires "${name}": cleared by ${st.by}.`);
+    }
+    return reasons;
+  };
+
+  for (let idx = 0; idx < (phases ?? []).length; idx++) {
+    const ph = phases[idx];
+    const lanes = ph.hasBonus ? ["m", "b"] : ["m"];
+
+    for (const lane of lanes) {
+      const k = phaseKey(ph.round, ph.phase, lane);
+      const sel = String(planActions?.[k] ?? "none");
+      const meta = (sel !== "none") ? actionsMap.get(sel) : null;
+      if (!meta) { chains[lane] = null; continue; }
+
+      const mn = Number(meta.minCost ?? 0);
+      const mx = Number(meta.maxCost ?? mn);
+      const open = (c) => c && c.action === sel && (c.spent + 1e-9 < mx) && !c.finished;
+      const other = chains[lane === "m" ? "b" : "m"];
+      let chain = open(chains[lane]) ? chains[lane] : (open(other) ? other : null);
+      if (!chain) {
+        chain = { action: sel, meta, spent: 0, produced: false, finished: false };
+        const reasons = checkRequires(meta).map(r => `${labelFor(meta, sel)}: ${r}`);
+        if (reasons.length) {
+          if (!violations.has(idx)) violations.set(idx, []);
+          violations.get(idx).push({ key: k, reason: reasons.join(" ") });
+        }
+      }
+
+      chain.spent += Number(capForKey(k) ?? 1);
+      const fin = (mx > mn) && !!finActs?.[k];
+      if (!chain.produced && (chain.spent + 1e-9 >= mn || fin)) {
+        applyProduces(meta);
+        chain.produced = true;
+      }
+      if (fin || chain.spent + 1e-9 >= mx) chain.finished = true;
+      chains[lane] = chain;
+    }
+  }
+  return violations;
+}
+
 /**
  * Evaluate multi-selector action chains (main/bonus) and produce overlay/label metadata.
  *
  * - Uses capByKey (per slot AP capacity) so concentration can halve contribution (0.5 AP per selector).
  * - Applies special handling for range-cost actions (min/max AP) and FIN/ACT override.
- * - Returns: chain continuity markers used to drive Complete/Incomplete + Lost/Broken overlays.
+ * - Returns: chain continuity markers used to drive Complete/Incomplete + Lost/Broken overlays,
+ *   plus ruleViolations from trackActionRules() where a sequencing rule is broken.
  */
 function evaluateChainsWithPenalty({ phases, planActions, actionsMap, concentrating, capByKey, planCosts, finActs, currentPhase, currentRound, apPerPhase = 1 }) {
   const capDefault = baseCap(concentrating, apPerPhase);
@@ -2185,6 +4724,17 @@ function evaluateChainsWithPenalty({ phases, planActions, actionsMap, concentrat
     }
   }
 
+  // Sequencing rules (requires/produces) are tracked separately from AP chains; violations are
+  // attached to the phase result so the UI can flag the selector and explain why.
+  try {
+    const ruleViolations = trackActionRules({ phases, planActions, actionsMap, capForKey, finActs });
+    for (const [idx, list] of ruleViolations) {
+      if (results[idx]) results[idx].ruleViolations = list;
+    }
+  } catch (e) {
+    console.warn(`${MODULE_ID} | action rule tracking failed`, e);
+  }
+
   return results;
 }
 
@@ -2411,39 +4961,463 @@ function analyzeChainsForUI({ phases, planActions, actionsMap, concentrating, ca
       }
     }
 
-    // Finalize any trailing incomplete chain
-    finalizeIncompleteChain();
+    // Finalize any trailing incomplete chain
+    finalizeIncompleteChain();
+  }
+
+  // A completed selector is never considered lost/invalid.
+  for (const k of complete) invalid.delete(k);
+  // A selector with a range penalty overlay is also part of a valid (continued) chain.
+  for (const k of purple.keys()) invalid.delete(k);
+  for (const k of short.keys()) invalid.delete(k);
+
+  return { invalid, complete, purple, short, need };
+}
+
+
+
+/**
+ * Determine which combatants this user should see in the tracker right now.
+ * - GM: can see all
+ * - Player: sees only owned combatants, typically current-turn
+ */
+function getVisibleCombatants(combat) {
+  // Always show ONLY the current-turn combatant.
+  const combatants = combat?.combatants?.contents ?? [];
+  const curId = combat?.combatantId ?? combat?.combatant?.id ?? null;
+  if (!curId) return [];
+
+  const cur = combatants.find(c => c.id === curId) || null;
+  if (!cur) return [];
+
+  // GM always sees it. Players see it only if they OWN the actor.
+  if (game.user.isGM) return [cur];
+  if (cur.actor?.testUserPermission(game.user, "OWNER")) return [cur];
+  return [];
+}
+
+// GM "Board" mode: every combatant of the combat, in turn order.
+function getBoardCombatants(combat) {
+  if (!game.user.isGM) return getVisibleCombatants(combat);
+  const turns = Array.isArray(combat?.turns) && combat.turns.length ? combat.turns : (combat?.combatants?.contents ?? []);
+  return turns.filter(Boolean);
+}
+
+// Player "My Characters" view: every combatant this user owns, in turn order, so they can plan ahead
+// while others act (client setting "myCharactersView").
+function getOwnedCombatants(combat) {
+  const turns = Array.isArray(combat?.turns) && combat.turns.length ? combat.turns : (combat?.combatants?.contents ?? []);
+  return turns.filter(c => {
+    try { return !!c?.actor?.testUserPermission(game.user, "OWNER"); } catch (_) { return false; }
+  });
+}
+
+function isMyCharactersViewOn() {
+  if (game.user.isGM) return false;
+  try { return !!game.settings.get(MODULE_ID, "myCharactersView"); } catch (_) { return false; }
+}
+
+// Where a plan slot (rXpYm / rXpYb) sits relative to the current phase group: "past", "current" or "future".
+function planSlotTiming(combat, planKey) {
+  const m = /^r(\d+)p(\d+)[mb]$/.exec(String(planKey ?? ""));
+  if (!m) return "past";
+  const { phaseInfo, currentInternalStart, currentInternalEnd } = getCurrentInternalSlotRange(combat);
+  const round = Number(m[1]);
+  const ip = Number(m[2]);
+  const curRound = Number(phaseInfo?.round ?? 1);
+  if (round > curRound || (round === curRound && ip > currentInternalEnd)) return "future";
+  if (round === curRound && ip >= currentInternalStart) return "current";
+  return "past";
+}
+
+// Players change the current phase on their own turn; off-turn (My Characters view) only future phases.
+function canPlayerEditPlanSlot(combat, combatantId, planKey) {
+  if (game.user.isGM) return true;
+  const onTurn = String(combat?.combatantId ?? combat?.combatant?.id ?? "") === String(combatantId ?? "");
+  const timing = planSlotTiming(combat, planKey);
+  return onTurn ? (timing === "current") : (timing === "future");
+}
+
+// ---------------------------------------------------------------------------
+// Sealed declarations (world setting "sealedDeclarations")
+// ---------------------------------------------------------------------------
+// While sealed, a player's choices for future phases go to combatants.<id>.sealedPlan instead of
+// planActions. The owner sees them in place; other players never do, and the GM only when the mode is
+// "players". When the GM clicks Reveal (upcoming phase) or the phase advances (current phase), the due
+// entries are merged into planActions and a summary chat card is posted. meta.sealedReveal remembers the
+// revealed phase and which player combatants had declared nothing (missing; "late" once they do).
+const SEALED_MODES = ["off", "players", "all"];
+
+function getSealedMode() {
+  try {
+    const v = String(game.settings.get(MODULE_ID, "sealedDeclarations") ?? "off");
+    return SEALED_MODES.includes(v) ? v : "off";
+  } catch (_) {
+    return "off";
+  }
+}
+
+function hasPlayerOwner(actor) {
+  const owner = getPrimaryOwnerUser(actor);
+  return !!owner && !owner.isGM;
+}
+
+// Can this client see a combatant's sealed choices?
+function canSeeSealedPlan(combatant, mode = getSealedMode()) {
+  if (game.user.isGM) return mode !== "all";
+  try { return !!combatant?.actor?.testUserPermission(game.user, "OWNER"); } catch (_) { return false; }
+}
+
+// A player's change to a future slot is sealed until revealed.
+function isSealedDeclaration(combat, planKey) {
+  return !game.user.isGM && getSealedMode() !== "off" && planSlotTiming(combat, planKey) === "future" &&
+    !isRevealedSlot(combat, planKey);
+}
+
+// True when the slot belongs to a phase the GM already revealed (meta.sealedReveal); choices made after
+// the reveal go straight to planActions, since the phase-start reveal won't run again for that phase.
+function isRevealedSlot(combat, planKey) {
+  const rev = readCombatState(combat).meta?.sealedReveal;
+  const m = /^r(\d+)p(\d+)[mb]$/.exec(String(planKey ?? ""));
+  if (!rev || !m) return false;
+  const round = Number(m[1]);
+  if (round !== Number(rev.round)) return round < Number(rev.round);
+  return Number(m[2]) <= internalRangeForPhase(combat, rev.phase).end;
+}
+
+// Internal slot range of a real phase (same mapping as getCurrentInternalSlotRange()).
+function internalRangeForPhase(combat, realPhase) {
+  const { slotsPerRealPhase, realPhaseCount, internalPhaseCount } = getCurrentInternalSlotRange(combat);
+  const rp = clamp(Number(realPhase) || 1, 1, realPhaseCount);
+  const start = clamp(((rp - 1) * slotsPerRealPhase) + 1, 1, internalPhaseCount);
+  return { start, end: clamp(start + slotsPerRealPhase - 1, 1, internalPhaseCount) };
+}
+
+// The phase after the current one ({ round, phase }), wrapping into the next round.
+function getUpcomingPhase(combat) {
+  const { phaseInfo, realPhaseCount } = getCurrentInternalSlotRange(combat);
+  const round = Number(phaseInfo?.round ?? 1);
+  const phase = clamp(Number(phaseInfo?.phase ?? 1), 1, realPhaseCount);
+  return (phase < realPhaseCount) ? { round, phase: phase + 1 } : { round: round + 1, phase: 1 };
+}
+
+// Who declared a combatant's sealed slots: the last logged writer of one of them, else its player owner.
+function sealedDeclarerId(combat, combatant, keys) {
+  const paths = new Set(keys.map(k => `combatants.${combatant.id}.sealedPlan.${k}`));
+  const entry = readAuditLog(combat).reverse().find(e => e.userId && paths.has(e.path));
+  return entry?.userId ?? getPrimaryOwnerUser(combatant.actor)?.id ?? game.user.id;
+}
+
+/**
+ * GM: merge sealed choices up to and including the target phase ({ round, phase }) into planActions,
+ * record who declared nothing for it, and post the summary card. announce: true, false or "auto"
+ * (only when something sealed was revealed). Returns the number of revealed slots.
+ */
+async function revealSealedDeclarations(combat, target, { announce = true } = {}) {
+  if (!game.user.isGM || !combat || !target) return 0;
+  const state = await ensureCombatState(combat);
+  const { start, end } = internalRangeForPhase(combat, target.phase);
+  const isDue = (k) => {
+    const m = /^r(\d+)p(\d+)[mb]$/.exec(k);
+    return !!m && (Number(m[1]) < target.round || (Number(m[1]) === target.round && Number(m[2]) <= end));
+  };
+
+  const missing = [];
+  const lines = [];
+  let revealed = 0;
+  const turns = Array.isArray(combat.turns) && combat.turns.length ? combat.turns : (combat.combatants?.contents ?? []);
+  for (const cb of turns) {
+    const cd = state.combatants?.[cb.id] ?? {};
+    const sealed = _isPlainObject(cd.sealedPlan) ? cd.sealedPlan : {};
+    const planActions = { ...(cd.planActions ?? {}) };
+    const dueKeys = Object.keys(sealed).filter(isDue);
+    if (dueKeys.length) {
+      const planAuto = { ...(cd.planAuto ?? {}) };
+      const planCosts = { ...(cd.planCosts ?? {}) };
+      const finActs = { ...(cd.finActs ?? {}) };
+      const keep = {};
+      for (const [k, v] of Object.entries(sealed)) {
+        if (!dueKeys.includes(k)) { keep[k] = v; continue; }
+        planActions[k] = v;
+        planAuto[k] = false;
+        planCosts[k] = null;
+        finActs[k] = false;
+      }
+      revealed += dueKeys.length;
+      // Logged as the declaring player's change; the writes still land in one batch with meta below.
+      queueStateWrite(combat, {
+        [`combatants.${cb.id}.planActions`]: planActions,
+        [`combatants.${cb.id}.planAuto`]: planAuto,
+        [`combatants.${cb.id}.planCosts`]: planCosts,
+        [`combatants.${cb.id}.finActs`]: finActs,
+        [`combatants.${cb.id}.sealedPlan`]: keep
+      }, { userId: sealedDeclarerId(combat, cb, dueKeys) });
+    }
+
+    const actionsMap = actionsToMap(getActionsForActor(cb.actor));
+    const labels = [];
+    for (let ip = start; ip <= end; ip++) {
+      for (const t of ["m", "b"]) {
+        const v = String(planActions[phaseKey(target.round, ip, t)] ?? "none");
+        if (v !== "none") labels.push(_actionLabelForKey(actionsMap, v));
+      }
+    }
+    const isMissing = hasPlayerOwner(cb.actor) && !labels.length;
+    if (isMissing) missing.push(cb.id);
+    if (!cb.hidden) lines.push({ name: cb.name, labels, isMissing });
+  }
+
+  await queueStateWrite(combat, { "meta.sealedReveal": { round: target.round, phase: target.phase, missing } });
+
+  if (announce === true || (announce === "auto" && revealed > 0)) {
+    const esc = (v) => foundry.utils.escapeHTML(String(v ?? ""));
+    const content = `
+      <div class="rmu-cpt-reveal">
+        <h3>Declarations — Round ${Number(target.round)}, Phase ${Number(target.phase)}</h3>
+        <table>
+          <tbody>
+            ${lines.map(l => `
+              <tr class="${l.isMissing ? "is-missing" : ""}">
+                <td><b>${esc(l.name)}</b></td>
+                <td>${l.labels.length ? l.labels.map(esc).join(", ") : (l.isMissing ? "<i>No declaration</i>" : "—")}</td>
+              </tr>
+            `).join("")}
+          </tbody>
+        </table>
+      </div>
+    `;
+    try {
+      await ChatMessage.create({ content, speaker: { alias: "RMU Phase Tracker" } });
+    } catch (e) {
+      console.warn(`${MODULE_ID} | Could not post the declarations card`, e);
+    }
+  }
+  try { requestAppRefresh(); } catch (_) {}
+  return revealed;
+}
+
+// GM: reveal the current phase once when it starts (after Reveal it is already done).
+const _sealedRevealRunning = new Set();
+async function maybeAutoRevealSealed(combat) {
+  if (!game.user.isGM || getSealedMode() === "off" || !combat?.started) return;
+  if (game.users?.activeGM && !game.users.activeGM.isSelf) return;
+  if (_sealedRevealRunning.has(combat.id)) return;
+  const { phaseInfo, realPhaseCount } = getCurrentInternalSlotRange(combat);
+  const target = { round: Number(phaseInfo?.round ?? 1), phase: clamp(Number(phaseInfo?.phase ?? 1), 1, realPhaseCount) };
+  const rev = readCombatState(combat).meta?.sealedReveal;
+  if (rev && Number(rev.round) === target.round && Number(rev.phase) === target.phase) return;
+  _sealedRevealRunning.add(combat.id);
+  try {
+    await revealSealedDeclarations(combat, target, { announce: "auto" });
+  } finally {
+    _sealedRevealRunning.delete(combat.id);
   }
+}
 
-  // A completed selector is never considered lost/invalid.
-  for (const k of complete) invalid.delete(k);
-  // A selector with a range penalty overlay is also part of a valid (continued) chain.
-  for (const k of purple.keys()) invalid.delete(k);
-  for (const k of short.keys()) invalid.delete(k);
+// ---------------------------------------------------------------------------
+// GM approval of plan changes (world setting "approvePlanChanges")
+// ---------------------------------------------------------------------------
+// With approval on, a player's change to a past or current slot is not applied. It is stored as a request,
+// combatants.<id>.planRequests.<planKey> = { field: "phaseAction"|"finAct"|"phaseCost", value, userId, ts }, the GM
+// approves or denies it (openPlanRequestsDialog), and only an approved change reaches planActions/finActs/planCosts.
+// The player's selector shows the requested value greyed until then. validateStatePathWrite() refuses
+// direct player writes that change past/current slots (planAuto included) while approval is on.
+const PLAN_REQUEST_FIELDS = ["phaseAction", "finAct", "phaseCost"];
+
+function isPlanApprovalOn() {
+  try { return !!game.settings.get(MODULE_ID, "approvePlanChanges"); } catch (_) { return false; }
+}
 
-  return { invalid, complete, purple, short, need };
+function needsPlanApproval(combat, planKey) {
+  return !game.user.isGM && isPlanApprovalOn() && planSlotTiming(combat, planKey) !== "future";
 }
 
+function _isPlanRequest(r) {
+  if (!_isPlainObject(r) || !PLAN_REQUEST_FIELDS.includes(r.field)) return false;
+  const valueOk = (r.field === "finAct") ? typeof r.value === "boolean"
+    : (r.field === "phaseCost") ? (typeof r.value === "number" && Number.isFinite(r.value) && r.value >= 0 && r.value <= 100)
+    : (_isShortString(r.value) && !/\s/.test(r.value));
+  return valueOk && (r.userId == null || (typeof r.userId === "string" && /^[A-Za-z0-9]{1,64}$/.test(r.userId))) &&
+    Number.isInteger(r.ts) && r.ts >= 0;
+}
 
+// Human-readable slot name for a plan key ("Round 2, Phase 3 main").
+function describePlanKey(planKey) {
+  const m = /^r(\d+)p(\d+)([mb])$/.exec(String(planKey ?? ""));
+  return m ? `Round ${m[1]}, Phase ${m[2]} ${m[3] === "b" ? "bonus" : "main"}` : String(planKey ?? "");
+}
 
 /**
- * Determine which combatants this user should see in the tracker right now.
- * - GM: can see all
- * - Player: sees only owned combatants, typically current-turn
+ * GM: approve (apply) or deny a pending plan change, then tell the requesting player.
  */
-function getVisibleCombatants(combat) {
-  // Always show ONLY the current-turn combatant.
-  const combatants = combat?.combatants?.contents ?? [];
-  const curId = combat?.combatantId ?? combat?.combatant?.id ?? null;
-  if (!curId) return [];
+async function resolvePlanRequest(combat, combatantId, planKey, approve) {
+  if (!game.user.isGM || !combat) return;
+  const state = await ensureCombatState(combat);
+  const cd = state.combatants?.[combatantId] ?? {};
+  const req = cd.planRequests?.[planKey];
+  if (!_isPlanRequest(req)) return;
+
+  const updates = { [`combatants.${combatantId}.planRequests.-=${planKey}`]: null };
+  if (approve) {
+    const finActs = foundry.utils.deepClone(cd.finActs ?? {});
+    if (req.field === "finAct") {
+      finActs[planKey] = !!req.value;
+    } else if (req.field === "phaseCost") {
+      const planCosts = foundry.utils.deepClone(cd.planCosts ?? {});
+      planCosts[planKey] = req.value;
+      updates[`combatants.${combatantId}.planCosts`] = planCosts;
+    } else {
+      // Same path as a selector change, including undoing this phase's movement when Move is replaced.
+      const planActions = foundry.utils.deepClone(cd.planActions ?? {});
+      const planAuto = foundry.utils.deepClone(cd.planAuto ?? {});
+      const planCosts = foundry.utils.deepClone(cd.planCosts ?? {});
+      await applyPhaseActionChange(combat, combatantId, planKey, req.value, { planActions, planAuto, planCosts, finActs });
+      Object.assign(updates, {
+        [`combatants.${combatantId}.planActions`]: planActions,
+        [`combatants.${combatantId}.planAuto`]: planAuto,
+        [`combatants.${combatantId}.planCosts`]: planCosts
+      });
+    }
+    updates[`combatants.${combatantId}.finActs`] = finActs;
+  }
+  await queueStateWrite(combat, updates, { userId: game.user.id, requestedBy: req.userId ?? null });
+
+  game.socket.emit(`module.${MODULE_ID}`, {
+    type: "planRequestResolved",
+    combatId: combat.id,
+    combatantId,
+    planKey,
+    approved: !!approve,
+    userId: req.userId ?? null
+  });
+  try { requestAppRefresh(); } catch (_) {}
+}
 
-  const cur = combatants.find(c => c.id === curId) || null;
-  if (!cur) return [];
+// Player side: the GM answered; drop the optimistic request copy so the stored state shows through.
+function handlePlanRequestResolved(msg) {
+  _pending.delete(pendingKey(msg.combatId, `combatants.${msg.combatantId}.planRequests`));
+  const name = game.combats?.get(msg.combatId)?.combatants?.get?.(msg.combatantId)?.name ?? "Combatant";
+  const text = `${name}: change to ${describePlanKey(msg.planKey)} ${msg.approved ? "approved" : "denied"} by the GM.`;
+  if (msg.approved) ui.notifications?.info?.(text);
+  else ui.notifications?.warn?.(text);
+  try { requestAppRefresh(); } catch (_) {}
+}
 
-  // GM always sees it. Players see it only if they OWN the actor.
-  if (game.user.isGM) return [cur];
-  if (cur.actor?.testUserPermission(game.user, "OWNER")) return [cur];
-  return [];
+function countPlanRequests(combat) {
+  let n = 0;
+  for (const cd of Object.values(readCombatState(combat).combatants ?? {})) {
+    if (_isPlainObject(cd?.planRequests)) n += Object.keys(cd.planRequests).length;
+  }
+  return n;
+}
+
+let _planRequestsDialog = null;
+
+// GM: list every pending request with Approve/Deny.
+function openPlanRequestsDialog(combat = game.combat) {
+  if (!game.user.isGM || !combat) return;
+  const esc = (v) => foundry.utils.escapeHTML(String(v ?? ""));
+  const rows = [];
+  for (const [cid, cd] of Object.entries(readCombatState(combat).combatants ?? {})) {
+    const combatant = combat.combatants?.get?.(cid);
+    const actionsMap = actionsToMap(getActionsForActor(combatant?.actor));
+    for (const [planKey, req] of Object.entries(_isPlainObject(cd?.planRequests) ? cd.planRequests : {})) {
+      if (!_isPlanRequest(req)) continue;
+      const costLabel = (v) => (v == null) ? "default cost" : `${v} AP`;
+      const from = (req.field === "finAct") ? (cd.finActs?.[planKey] ? "FIN ACT on" : "FIN ACT off")
+        : (req.field === "phaseCost") ? costLabel(cd.planCosts?.[planKey]) : _actionLabelForKey(actionsMap, cd.planActions?.[planKey]);
+      const to = (req.field === "finAct") ? (req.value ? "FIN ACT on" : "FIN ACT off")
+        : (req.field === "phaseCost") ? costLabel(req.value) : _actionLabelForKey(actionsMap, req.value);
+      rows.push({ cid, planKey, name: combatant?.name ?? cid, slot: describePlanKey(planKey), from, to, by: game.users?.get(req.userId)?.name ?? "—" });
+    }
+  }
+
+  const cellStyle = "padding:4px 8px; border-bottom:1px solid #333;";
+  const content = rows.length ? `
+    <div style="max-height:60vh; overflow:auto;">
+      <table style="width:100%; border-collapse:collapse;">
+        <tbody>
+          ${rows.map(r => `
+            <tr>
+              <td style="${cellStyle}"><b>${esc(r.name)}</b><br><small>${esc(r.slot)} — ${esc(r.by)}</small></td>
+              <td style="${cellStyle}">${esc(r.from)} → <b>${esc(r.to)}</b></td>
+              <td style="${cellStyle} white-space:nowrap;">
+                <button type="button" data-request-action="approve" data-combatant-id="${esc(r.cid)}" data-plan-key="${esc(r.planKey)}"><i class="fa-solid fa-check"></i> Approve</button>
+                <button type="button" data-request-action="deny" data-combatant-id="${esc(r.cid)}" data-plan-key="${esc(r.planKey)}"><i class="fa-solid fa-xmark"></i> Deny</button>
+              </td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    </div>` : `<div style="padding:8px 4px;">No pending plan changes.</div>`;
+
+  try { _planRequestsDialog?.close?.(); } catch (_) {}
+  _planRequestsDialog = new Dialog(
+    {
+      title: "Plan Change Requests",
+      content,
+      buttons: { close: { label: "Close" } },
+      default: "close",
+      render: (html) => {
+        html.find("button[data-request-action]").on("click", async (ev) => {
+          ev.preventDefault();
+          const b = ev.currentTarget;
+          b.disabled = true;
+          try {
+            await resolvePlanRequest(combat, b.dataset.combatantId, b.dataset.planKey, b.dataset.requestAction === "approve");
+          } catch (e) {
+            console.error(`${MODULE_ID} | Could not resolve plan request`, e);
+          }
+          openPlanRequestsDialog(combat);
+        });
+      }
+    },
+    { width: 620 }
+  );
+  _planRequestsDialog.render(true);
+}
+
+// Compact Board line for one tracker row: per-phase action chips (chain state from analyzeChainsForUI(),
+// penalties) and the concentration toggles that are on. Built from the full row so both views agree.
+function buildBoardSummary(row, { isCurrentTurn, expanded }) {
+  const chip = (slot, isBonus) => {
+    const value = String(slot?.value ?? "none");
+    const isEmpty = (value === "none" || value === "-");
+    const display = String(slot?.vddDisplay ?? "-");
+    if (slot?.sealedHidden) {
+      return { isBonus, isSealed: true, icon: "fa-solid fa-lock", image: "", label: "Sealed", title: "Declared, sealed until revealed", penalty: "" };
+    }
+    return {
+      isBonus,
+      isEmpty,
+      isSealed: !!slot?.isSealed,
+      icon: slot?.icon ?? "",
+      image: slot?.image ?? "",
+      label: isEmpty ? "—" : (display.split(" (")[0].trim() || display),
+      title: `${isBonus ? "Bonus: " : ""}${isEmpty ? "No action" : display}${slot?.isSealed ? " (sealed)" : ""}`,
+      isInvalid: !!slot?.isInvalid || !!slot?.chainBefore,
+      isComplete: !!slot?.isComplete,
+      penalty: String(slot?.penaltyText || slot?.incidentalPenalty || "")
+    };
+  };
+  return {
+    isCurrentTurn: !!isCurrentTurn,
+    sealState: row.sealState ?? "",
+    sealLabel: row.sealLabel ?? "",
+    expandable: !row.gmReadOnly,
+    expanded: !!expanded && !row.gmReadOnly,
+    conc: (row.concButtons ?? []).filter(b => b.isOn).map(b => ({ label: b.label, icon: b.icon })),
+    phases: (row.phases ?? []).map(ph => ({
+      label: ph.label,
+      isCurrent: !!ph.isCurrent,
+      status: ph.status,
+      isBroken: ph.statusType === "broken",
+      chips: [
+        ...(ph.mains ?? []).map(m => chip(m, false)),
+        ...(ph.bonuses ?? []).filter(b => String(b?.value ?? "none") !== "none" || b?.sealedHidden).map(b => chip(b, true))
+      ]
+    }))
+  };
 }
 
 let _vddOutsideHandler = null;
@@ -2514,20 +5488,10 @@ class RMUCombatPhaseTrackerApp extends Application {
     const rawState = await ensureCombatState(combat);
     const state = game.user.isGM ? rawState : applyPendingToState(combat.id, rawState);
 
+    // World action list. Each row merges its actor's overrides over this (getActionsForActor).
     let actions = parseActionsConfig();
     if (!Array.isArray(actions) || !actions.length) actions = getDefaultActions();
-    // Keep original actions for Instantaneous selector logic (minCost=0) but treat them as minCost=1 in phase selectors.
     const actionsOrig = actions;
-    const actionsPhase = actionsOrig.map(a => {
-      const mn = Number(a?.minCost ?? 0);
-      if (mn === 0) {
-        const mx = Number(a?.maxCost ?? mn);
-        return { ...a, minCost: 1, maxCost: Math.max(1, mx) };
-      }
-      return a;
-    });
-    const instantKeys = new Set(actionsOrig.filter(a => Number(a?.minCost ?? 0) === 0).map(a => a.key));
-    const actionsMap = actionsToMap(actionsPhase);
 
     let roundsShown = 1;
     try { roundsShown = clamp(game.settings.get(MODULE_ID, "roundsShown"), 1, 5); }
@@ -2566,13 +5530,20 @@ class RMUCombatPhaseTrackerApp extends Application {
 
 
 
-    const visibleCombatants = getVisibleCombatants(combat);
+    // GM Board mode lists every combatant (compact, expandable); otherwise only the current turn.
+    const boardMode = game.user.isGM && !!this._boardMode;
+    // Player My Characters view lists every owned combatant; off-turn rows can only plan future phases.
+    const myCharsMode = !boardMode && isMyCharactersViewOn();
+    const myCharsAvailable = !game.user.isGM && getOwnedCombatants(combat).length > 0;
+    const visibleCombatants = boardMode ? getBoardCombatants(combat) : myCharsMode ? getOwnedCombatants(combat) : getVisibleCombatants(combat);
+    const currentTurnId = combat?.combatantId ?? combat?.combatant?.id ?? null;
+    const sealedMode = getSealedMode();
 
     // GM view: match the current-turn combatant's owning player's dot color (if any).
     // This means the GM's UI changes color as turns pass between different players.
     try {
       if (game.user.isGM && Array.isArray(visibleCombatants) && visibleCombatants.length) {
-        const tintHex = getTintHexForCombatant(visibleCombatants[0]);
+        const tintHex = getTintHexForCombatant(boardMode ? (combat.combatant ?? visibleCombatants[0]) : visibleCombatants[0]);
         if (tintHex && tintHex !== userColorHex) {
           userColorHex = tintHex;
           userBgTop = hexToRgba(userColorHex, 0.38) || "rgba(0,0,0,0.55)";
@@ -2588,6 +5559,12 @@ class RMUCombatPhaseTrackerApp extends Application {
       isGM: game.user.isGM,
       showActionImages: !!game.settings.get(MODULE_ID, "showActionImages"),
         noVisibleCombatant: true,
+        gmOffline: !game.user.isGM && !isGmConnected(),
+        boardAvailable: game.user.isGM,
+        auditLogAvailable: game.user.isGM,
+        boardMode,
+        myCharsAvailable,
+        myCharsMode,
         isGM: game.user.isGM,
         uiTheme: game.user.isGM ? "gm" : "player",
         uiVersion: UI_VERSION,
@@ -2607,15 +5584,22 @@ class RMUCombatPhaseTrackerApp extends Application {
 
     const rows = visibleCombatants.map(c => {
       const cd = (state.combatants?.[c.id]) ?? {};
+      // My Characters view: not this combatant's turn, so only future phases are editable.
+      const offTurn = myCharsMode && c.id !== currentTurnId;
       const bonusCount = clamp(cd.bonusCount ?? 0, 0, 4);
       const concFlags = normalizeConcFlags(cd);
       const holdMeta = foundry.utils.deepClone(cd.holdAction ?? {});
       const concentrating = countConcOn(concFlags) > 0;
 
+      // Keep original actions for Instantaneous selector logic (minCost=0) but treat them as minCost=1 in phase selectors.
+      // actionsMap keeps actor-hidden actions so existing selections still evaluate.
+      const rowActions = getActionsForActor(c.actor);
+      const { actionsPhase, instantKeys, actionsMap } = toPhaseActions(rowActions);
+
       // Hide instantaneous (minCost 0) actions from phase selectors unless an instantaneous action has been chosen.
       const instantAction = (cd.instantAction ?? "available");
       const instantUnlocked = (instantAction !== "available");
-      const selectorActionsBase = instantUnlocked ? actionsPhase : actionsPhase.filter(a => !instantKeys.has(a.key));
+      const selectorActionsBase = (instantUnlocked ? actionsPhase : actionsPhase.filter(a => !instantKeys.has(a.key))).filter(a => !a.hidden);
       const selectorActionsForValue = (value) => {
         // When TWO concentration toggles are ON, only allow "Move Your BMR" (and the default "—") in phase selectors.
         // Keep an already-selected legacy value visible so the <select> can still render it, but do not offer other actions.
@@ -2628,10 +5612,9 @@ class RMUCombatPhaseTrackerApp extends Application {
           return base;
         }
 
-        if (instantUnlocked) return selectorActionsBase;
         const meta = actionsMap.get(value);
-        // If a legacy instantaneous action is already selected in a phase slot, keep it visible so the <select> can render it.
-        if (meta && instantKeys.has(meta.key)) return [meta, ...selectorActionsBase];
+        // If a legacy instantaneous (or actor-hidden) action is already selected in a phase slot, keep it visible so the <select> can render it.
+        if (meta && !selectorActionsBase.some(a => a.key === meta.key)) return [meta, ...selectorActionsBase];
         return selectorActionsBase;
       };
 
@@ -2639,10 +5622,17 @@ class RMUCombatPhaseTrackerApp extends Application {
       // IMPORTANT: planActions must be available before building analysis phases.
       // Analysis needs to "promote" bonus selectors that were already used in prior phases,
       // even if bonusCount has since been reduced to 0 after spending bonus AP.
-      const planActions = cd.planActions ?? {};
+      // Sealed declarations show in place for the owner (and the GM unless hidden from the GM).
+      const sealedPlan = (sealedMode !== "off" && _isPlainObject(cd.sealedPlan)) ? cd.sealedPlan : {};
+      const sealedKeys = new Set(Object.keys(sealedPlan));
+      const sealedVisible = sealedKeys.size > 0 && canSeeSealedPlan(c, sealedMode);
+      const planActions = sealedVisible ? { ...(cd.planActions ?? {}), ...sealedPlan } : (cd.planActions ?? {});
       const planAuto = cd.planAuto ?? {};
       const planCosts = cd.planCosts ?? {};
       const finActs = cd.finActs ?? {};
+      // Changes waiting for GM approval: selectors show the requested value greyed.
+      const planRequests = _isPlainObject(cd.planRequests) ? cd.planRequests : {};
+      const requestFor = (k, f) => (planRequests[k]?.field === f) ? planRequests[k] : null;
 
       // Token uuid for local movement tracking + UI overlays.
       const tokenUuid = (() => {
@@ -2656,6 +5646,12 @@ class RMUCombatPhaseTrackerApp extends Application {
         return "";
       })();
 
+      // Movement mode for this phase group (picked in the row, else inferred); overlays use its pace rates.
+      const rowMoveMode = getActiveMoveMode(combat, c, null, cd);
+      // Mounted: movement overlays use the mount's BMR/pace/Dash.
+      const rowMount = getMountFor(combat, c, null, cd);
+      const rowPaceActor = rowMount?.actor ?? c?.actor ?? null;
+
       // Movement overlays compute caps dynamically per internal slot (Dash can be conditionally allowed on the last slot).
 
       // Display phases follow the Combat Tracker phase count, but each phase can provide more than 1 AP.
@@ -2733,9 +5729,12 @@ const phaseInfoInternal = { ...phaseInfo, phaseCount: internalPhaseCount, phase:
         currentPhase: currentInternalForChainEval, currentRound: phaseInfo.round
       });
       const chainEvalByPhase = new Map();
+      // Sequencing-rule violations (requires/produces) by plan key -> tooltip text.
+      const ruleReasonByKey = new Map();
       for (let i = 0; i < phasesAnalysis.length; i++) {
         const aph = phasesAnalysis[i];
         chainEvalByPhase.set(`r${aph.round}p${aph.phase}`, chainEvalArr[i]);
+        for (const v of (chainEvalArr[i]?.ruleViolations ?? [])) ruleReasonByKey.set(v.key, v.reason);
       }
 
       const chainUI = analyzeChainsForUI({ phases: phasesAnalysis, planActions, actionsMap, concentrating, capByKey, apPerPhase: 1, planCosts, finActs, currentPhase: currentInternalForChainEval, currentRound: phaseInfo.round });
@@ -2754,12 +5753,17 @@ const phaseInfoInternal = { ...phaseInfo, phaseCount: internalPhaseCount, phase:
 
         const mainValue = planActions[km] ?? "none";
         const bonusValue = ph.hasBonus ? (planActions[kb] ?? "none") : "none";
+        const mainReq = requestFor(km, "phaseAction");
+        const bonusReq = ph.hasBonus ? requestFor(kb, "phaseAction") : null;
+        const mainShown = mainReq ? String(mainReq.value) : mainValue;
+        const bonusShown = bonusReq ? String(bonusReq.value) : bonusValue;
 
         const mainMeta = actionsMap.get(mainValue);
         const bonusMeta = actionsMap.get(bonusValue);
 
-        const mainImg = (showActionImages ? normalizeImagePath(actionImageMap?.[mainValue] ?? "") : "");
-        const bonusImg = (showActionImages ? normalizeImagePath(actionImageMap?.[bonusValue] ?? "") : "");
+        // Item-derived actions fall back to their generic entry's image.
+        const mainImg = (showActionImages ? normalizeImagePath(actionImageMap?.[mainValue] ?? actionImageMap?.[mainMeta?.baseKey] ?? "") : "");
+        const bonusImg = (showActionImages ? normalizeImagePath(actionImageMap?.[bonusValue] ?? actionImageMap?.[bonusMeta?.baseKey] ?? "") : "");
 
         // If this slot is "Move Your BMR", overlay local tracked distance + inferred Pace on top of the action image.
         // The overlay persists on every Move slot image across phases, and resets on new round.
@@ -2779,8 +5783,8 @@ const phaseInfoInternal = { ...phaseInfo, phaseCount: internalPhaseCount, phase:
             const u = Number.isFinite(used) ? used : 0;
 
             // Work out the cap for THIS internal slot.
-            const a = c?.actor ?? null;
-            const p = getActorPaceRates(a);
+            const a = rowPaceActor;
+            const p = getActorPaceRates(a, rowMoveMode.id);
             const rates = p?.rates ?? [];
             // Per user rule: each "Move Your BMR" selector grants up to 1×BMR distance for that selector.
             // Pace classification is based on the *round total* vs BMR multipliers, not on per-selector caps.
@@ -2821,12 +5825,10 @@ const phaseInfoInternal = { ...phaseInfo, phaseCount: internalPhaseCount, phase:
             const combatId = game?.combat?.id;
             const prevPhaseKeyId = (combatId && prevRound >= 1) ? `${combatId}:${prevRound}:${prevStart}-${prevEnd}` : null;
             let prevMovedFt = (prevRound >= 1) ? sumMovementForInternalRange(tr, prevRound, prevStart, prevEnd) : 0;
-            // If we crossed a round boundary, _moveTrack may have been reset. Use carryover snapshot.
+            // If we crossed a round boundary, _moveTrack may have been reset. Use the carryover snapshot / stored round.
             if (prevMovedFt <= MOVE_EPS_FT && (prevRound >= 1)) {
-              const snap = _prevPhaseCarry.get(tokenUuid);
-              if (snap && snap.combatId === combatId && Number(snap.round) === Number(prevRound) && Number(snap.start) === Number(prevStart) && Number(snap.end) === Number(prevEnd)) {
-                prevMovedFt = Number(snap.totalFt ?? 0);
-              }
+              const carryFt = getPrevPhaseCarryFt(game.combat, tokenUuid, prevRound, prevStart, prevEnd);
+              if (carryFt != null) prevMovedFt = carryFt;
             }
             const effectiveBmrForThreshold = (concOnCount === 1) ? (bmrPerSelectorRaw * 0.5) : bmrPerSelectorRaw;
             const lightLoadOk = isLightLoadAtMost15(a);
@@ -2853,8 +5855,8 @@ const phaseInfoInternal = { ...phaseInfo, phaseCount: internalPhaseCount, phase:
 // Show per-slot usage plus TOTAL moved this round (pace is inferred from total).
             // Also show cap if we can determine one for this slot (Dash cap only on last internal slot when allowed).
             const slotCap = (isLastInternalSlot && dashOk) ? (Number(dashRate?.perPhase ?? bmrPerSelector) * dashScale) : cap;
-            if (Number.isFinite(slotCap) && slotCap > 0) return `${u.toFixed(1)} / ${slotCap.toFixed(1)} ft\nTotal ${total.toFixed(1)} ft\n${inf.pace}`;
-            return `${u.toFixed(1)} ft\nTotal ${total.toFixed(1)} ft\n${inf.pace}`;
+            if (Number.isFinite(slotCap) && slotCap > 0) return `${u.toFixed(1)} / ${slotCap.toFixed(1)} ft${terrainGridNote(tr, km)}\nTotal ${total.toFixed(1)} ft\n${inf.pace}`;
+            return `${u.toFixed(1)} ft${terrainGridNote(tr, km)}\nTotal ${total.toFixed(1)} ft\n${inf.pace}`;
           } catch (_) { return ""; }
         })();
 
@@ -2871,8 +5873,8 @@ const phaseInfoInternal = { ...phaseInfo, phaseCount: internalPhaseCount, phase:
     const used = committedUsed + (Number.isFinite(pvAlloc) ? pvAlloc : 0);
     const u = Number.isFinite(used) ? used : 0;
 
-    const a = c?.actor ?? null;
-    const p = getActorPaceRates(a);
+    const a = rowPaceActor;
+    const p = getActorPaceRates(a, rowMoveMode.id);
     const rates = p?.rates ?? [];
     const bmrPerSelectorRaw = Number(p?.bmrPerPhase ?? 0);
     const concOnCount = countConcOn(concFlags);
@@ -2913,12 +5915,10 @@ const phaseInfoInternal = { ...phaseInfo, phaseCount: internalPhaseCount, phase:
     const combatId = game?.combat?.id;
     const prevPhaseKeyId = (combatId && prevRound >= 1) ? `${combatId}:${prevRound}:${prevStart}-${prevEnd}` : null;
     let prevMovedFt = (prevRound >= 1) ? sumMovementForInternalRange(tr, prevRound, prevStart, prevEnd) : 0;
-    // If we crossed a round boundary, _moveTrack may have been reset. Use carryover snapshot.
+    // If we crossed a round boundary, _moveTrack may have been reset. Use the carryover snapshot / stored round.
     if (prevMovedFt <= MOVE_EPS_FT && (prevRound >= 1)) {
-      const snap = _prevPhaseCarry.get(tokenUuid);
-      if (snap && snap.combatId === combatId && Number(snap.round) === Number(prevRound) && Number(snap.start) === Number(prevStart) && Number(snap.end) === Number(prevEnd)) {
-        prevMovedFt = Number(snap.totalFt ?? 0);
-      }
+      const carryFt = getPrevPhaseCarryFt(game.combat, tokenUuid, prevRound, prevStart, prevEnd);
+      if (carryFt != null) prevMovedFt = carryFt;
     }
     const effectiveBmrForThreshold = (concOnCount === 1) ? (bmrPerSelectorRaw * 0.5) : bmrPerSelectorRaw;
     const lightLoadOk = isLightLoadAtMost15(a);
@@ -2938,8 +5938,8 @@ const phaseInfoInternal = { ...phaseInfo, phaseCount: internalPhaseCount, phase:
     const inf = inferPaceFromBmrTable(total, bmrBase, dashOkTable, maxPaceLabelUsed);
 
     const slotCap = (isLastInternalSlot && dashOkBase) ? (Number(dashRate?.perPhase ?? cap) * dashScale) : cap;
-    if (Number.isFinite(slotCap) && slotCap > 0) return `${u.toFixed(1)} / ${slotCap.toFixed(1)} ft\nTotal ${total.toFixed(1)} ft\n${inf.pace}`;
-    return `${u.toFixed(1)} ft\nTotal ${total.toFixed(1)} ft\n${inf.pace}`;
+    if (Number.isFinite(slotCap) && slotCap > 0) return `${u.toFixed(1)} / ${slotCap.toFixed(1)} ft${terrainGridNote(tr, kb)}\nTotal ${total.toFixed(1)} ft\n${inf.pace}`;
+    return `${u.toFixed(1)} ft${terrainGridNote(tr, kb)}\nTotal ${total.toFixed(1)} ft\n${inf.pace}`;
   } catch (_) { return ""; }
 })();
 
@@ -2967,8 +5967,8 @@ const phaseInfoInternal = { ...phaseInfo, phaseCount: internalPhaseCount, phase:
             const used = committedUsed + (Number.isFinite(pvAlloc) ? pvAlloc : 0);
             if (!(used > 0) && !pvApplies) return { text: "", pen: "" };
 
-            const a = c?.actor ?? null;
-            const p = getActorPaceRates(a);
+            const a = rowPaceActor;
+            const p = getActorPaceRates(a, rowMoveMode.id);
             const rawBmr = Number(p?.bmrPerPhase ?? 0);
             if (!Number.isFinite(rawBmr) || rawBmr <= 0) return { text: "", pen: "" };
 
@@ -2979,7 +5979,7 @@ const phaseInfoInternal = { ...phaseInfo, phaseCount: internalPhaseCount, phase:
 
             const inf = inferPhasePacePenalty(used, bmrEffective, capPace);
 
-            const text = `${used.toFixed(1)} / ${capFt.toFixed(1)} ft\n${inf.pace} (cap ${capPace})`;
+            const text = `${used.toFixed(1)} / ${capFt.toFixed(1)} ft${terrainGridNote(tr, incKey)}\n${inf.pace} (cap ${capPace})`;
             const pt = String(inf.penaltyText ?? "—");
             const pen = (pt && pt !== "—" && pt !== "-" && pt !== "0") ? pt : "";
             return { text, pen };
@@ -3041,19 +6041,25 @@ const phaseInfoInternal = { ...phaseInfo, phaseCount: internalPhaseCount, phase:
             // show a small "Reset Move" button in the current phase.
             showResetMove: !!(moveOverlay || (incidentalOverlay?.text ?? "")),
             isAuto: !!planAuto[km],
-            isInvalid: invalidKeys?.has(km) ?? false,
+            isInvalid: (invalidKeys?.has(km) ?? false) || ruleReasonByKey.has(km),
+            ruleTooltip: ruleReasonByKey.get(km) ?? "",
             // Gated complete label for Move Your BMR: only show Complete!! once movement has occurred in this phase.
             isComplete: (completeKeys?.has(km) ?? false) && (!isCurrent || String(mainValue) !== "move-bmr" || (Number(currentPhaseMoveUsed) > 1e-6)),
             showFinAct: mainIsRange && isCurrent && ((((purpleMap?.get(km) ?? "") || (shortMap?.get(km) ?? "")) !== "") || !!finActs?.[km]),
-            finActChecked: !!finActs?.[km],
+            finActChecked: requestFor(km, "finAct") ? !!requestFor(km, "finAct").value : !!finActs?.[km],
+            finActPending: !!requestFor(km, "finAct"),
             finActDisabled: !isCurrent,
             rangePenalty: purpleMap?.get(km) ?? "",
             shortPenalty: shortMap?.get(km) ?? "",
             penaltyText: (purpleMap?.get(km) ?? "") || (shortMap?.get(km) ?? ""),
-            vddOptions: buildVddOptionsForActions(selectorActionsForValue(mainValue), mainValue).opts,
-            mainOptions: buildVddOptionsForActions(selectorActionsForValue(mainValue), mainValue).opts.map(o => ({...o, selected: o.value === mainValue})),
+            vddOptions: buildVddOptionsForActions(selectorActionsForValue(mainShown), mainShown).opts,
+            mainOptions: buildVddOptionsForActions(selectorActionsForValue(mainShown), mainShown).opts.map(o => ({...o, selected: o.value === mainShown})),
+            isPending: !!mainReq,
+            pendingTitle: mainReq ? `Waiting for GM approval (currently: ${_actionLabelForKey(actionsMap, mainValue)})` : "",
             vddDisplay: buildVddOptionsForActions(selectorActionsForValue(mainValue), mainValue).displayText,
-            cost: slotCost(km, mainValue)
+            cost: slotCost(km, mainValue),
+            isSealed: sealedKeys.has(km),
+            sealedHidden: sealedKeys.has(km) && !sealedVisible
           },
           bonus: ph.hasBonus ? {
             key: kb,
@@ -3064,19 +6070,25 @@ const phaseInfoInternal = { ...phaseInfo, phaseCount: internalPhaseCount, phase:
             // Only Move actions show a movement overlay on bonus selectors.
             showResetMove: !!bonusMoveOverlay,
             isAuto: !!planAuto[kb],
-            isInvalid: invalidKeys?.has(kb) ?? false,
+            isInvalid: (invalidKeys?.has(kb) ?? false) || ruleReasonByKey.has(kb),
+            ruleTooltip: ruleReasonByKey.get(kb) ?? "",
             // Gated complete label for Move Your BMR on bonus selectors (rare, but supported).
             isComplete: (completeKeys?.has(kb) ?? false) && (!isCurrent || String(bonusValue) !== "move-bmr" || (Number(currentPhaseMoveUsed) > 1e-6)),
             showFinAct: bonusIsRange && isCurrent && ((((purpleMap?.get(kb) ?? "") || (shortMap?.get(kb) ?? "")) !== "") || !!finActs?.[kb]),
-            finActChecked: !!finActs?.[kb],
+            finActChecked: requestFor(kb, "finAct") ? !!requestFor(kb, "finAct").value : !!finActs?.[kb],
+            finActPending: !!requestFor(kb, "finAct"),
             finActDisabled: !isCurrent,
             rangePenalty: purpleMap?.get(kb) ?? "",
             shortPenalty: shortMap?.get(kb) ?? "",
             penaltyText: (purpleMap?.get(kb) ?? "") || (shortMap?.get(kb) ?? ""),
-            vddOptions: buildVddOptionsForActions(selectorActionsForValue(bonusValue), bonusValue).opts,
-            bonusOptions: buildVddOptionsForActions(selectorActionsForValue(bonusValue), bonusValue).opts.map(o => ({...o, selected: o.value === bonusValue})),
+            vddOptions: buildVddOptionsForActions(selectorActionsForValue(bonusShown), bonusShown).opts,
+            bonusOptions: buildVddOptionsForActions(selectorActionsForValue(bonusShown), bonusShown).opts.map(o => ({...o, selected: o.value === bonusShown})),
+            isPending: !!bonusReq,
+            pendingTitle: bonusReq ? `Waiting for GM approval (currently: ${_actionLabelForKey(actionsMap, bonusValue)})` : "",
             vddDisplay: buildVddOptionsForActions(selectorActionsForValue(bonusValue), bonusValue).displayText,
             cost: slotCost(kb, bonusValue),
+            isSealed: sealedKeys.has(kb),
+            sealedHidden: sealedKeys.has(kb) && !sealedVisible
           } : null
         };
       });
@@ -3098,6 +6110,7 @@ const phaseInfoInternal = { ...phaseInfo, phaseCount: internalPhaseCount, phase:
           const internalEnd = internalStart + slotsPerRealPhase - 1;
 
           const isCurrent = (roundN === Number(phaseInfo.round ?? 1)) && (rp === curRealPhase);
+          const isFuture = (roundN > Number(phaseInfo.round ?? 1)) || ((roundN === Number(phaseInfo.round ?? 1)) && (rp > curRealPhase));
 
           const mains = [];
           const bonuses = [];
@@ -3262,9 +6275,13 @@ if (mains.length === 1 && isCurrent) {
             status = `+${contribSum} AP`;
           }
 
+          // Movement belongs to the combatant's own turn.
+          if (offTurn) for (const sl of [...mains, ...bonuses]) sl.showResetMove = false;
+
           phaseCells.push({
             label: `Phase ${rp}`,
             isCurrent,
+            editable: offTurn ? isFuture : isCurrent,
             status,
             statusType,
             isMultiSlot: (mains.length > 1),
@@ -3282,10 +6299,41 @@ if (mains.length === 1 && isCurrent) {
         img: (c.actor?.img ?? c.img),
         gmOwnedActor: isGmOwnedActor(c.actor),
         gmReadOnly: isGmReadOnlyActor(c.actor),
+        offTurn,
+        ...(() => {
+          // Sealed mode: missing/late declaration for the revealed (current) phase, else pending sealed choices.
+          if (sealedMode === "off") return { sealState: "", sealLabel: "" };
+          const rev = state.meta?.sealedReveal;
+          const revIsCurrent = rev && Number(rev.round) === Number(phaseInfo.round) && Number(rev.phase) === curRealPhase;
+          if (revIsCurrent && Array.isArray(rev.missing) && rev.missing.includes(c.id)) {
+            let declared = false;
+            for (let ip = currentInternalStart; ip <= currentInternalEnd; ip++) {
+              for (const t of ["m", "b"]) if (String(cd.planActions?.[phaseKey(phaseInfo.round, ip, t)] ?? "none") !== "none") declared = true;
+            }
+            return declared ? { sealState: "late", sealLabel: "Late declaration" } : { sealState: "missing", sealLabel: "No declaration" };
+          }
+          return sealedKeys.size ? { sealState: "sealed", sealLabel: "Declared (sealed)" } : { sealState: "", sealLabel: "" };
+        })(),
         hasMultiSlot,
         bonusCount,
         instantAction,
-        instantOptions: buildInstantOptionsForActions(actionsOrig, instantAction).opts,
+        instantOptions: buildInstantOptionsForActions(rowActions.filter(a => !a.hidden || a.key === instantAction), instantAction).opts,
+        moveModeOptions: [
+          { value: "auto", label: `Auto (${MOVE_MODES[rowMoveMode.inferred.id].label})`, selected: rowMoveMode.source !== "picked" },
+          ...Object.entries(MOVE_MODES).map(([id, m]) => ({ value: id, label: m.label, selected: rowMoveMode.source === "picked" && rowMoveMode.id === id }))
+        ],
+        moveModeHint: getActorPaceRates(rowPaceActor, rowMoveMode.id).optionLabel,
+        mountOptions: buildMountOptions(combat, c, cd, rowMount),
+        canUndoMove: !offTurn && (() => {
+          try {
+            const { phaseInfo: pi, currentInternalStart: s0, currentInternalEnd: e0 } = getCurrentInternalSlotRange(combat);
+            return canUndoMove(tokenUuid, `${combat.id}:${pi.round}:${s0}-${e0}`);
+          } catch (_) {
+            return false;
+          }
+        })(),
+        mountHint: rowMount ? `Mounted on ${rowMount.tokenDoc.name}: movement uses the mount's BMR, pace and Dash` : "On foot",
+        canEditActorActions: !!game.user.isGM && !!c.actor,
 
         // If 2+ concentration toggles are ON, lock phase selectors (main + bonus)
         // until the count drops below 2.
@@ -3361,11 +6409,18 @@ showMentalFocusButton: (() => {
         phases: phaseCells
       };
     });
+    if (boardMode) {
+      const expandedIds = this._boardExpanded ?? new Set();
+      for (const row of rows) {
+        row.board = buildBoardSummary(row, { isCurrentTurn: row.combatantId === currentTurnId, expanded: expandedIds.has(row.combatantId) });
+      }
+    }
+    for (const row of rows) row.showFullRow = !row.board || row.board.expanded;
     // Owner-user color background (only when the combatant has a non-GM owner).
     let ownerBgTop = "";
     let ownerBgBot = "";
     try {
-      const firstC = visibleCombatants?.[0];
+      const firstC = boardMode ? combat.combatant : visibleCombatants?.[0];
       const a = firstC?.actor;
       const ownerUser = getPrimaryOwnerUser(a);
       // Only apply owner-color background when there's a real player owner.
@@ -3382,6 +6437,7 @@ showMentalFocusButton: (() => {
 
     return {
       noCombat: false,
+      gmOffline: !game.user.isGM && !isGmConnected(),
       uiTheme: game.user.isGM ? "gm" : "player",
       uiVersion: UI_VERSION,
       userColorHex,
@@ -3395,6 +6451,13 @@ showMentalFocusButton: (() => {
       phaseCount: phaseInfo.phaseCount,
       roundsShown,
       actions: actionsOrig,
+      boardAvailable: game.user.isGM,
+      auditLogAvailable: game.user.isGM,
+      boardMode,
+      myCharsAvailable,
+      myCharsMode,
+      canRevealDeclarations: game.user.isGM && sealedMode !== "off",
+      planRequestCount: game.user.isGM ? countPlanRequests(combat) : 0,
       rows
     };
   }
@@ -3445,6 +6508,68 @@ showMentalFocusButton: (() => {
       }
     });
 
+    // Top-bar (GM): switch between the current-turn view and the Board of all combatants.
+    html.find('button[data-action="toggleBoard"]').on('click', (ev) => {
+      ev.preventDefault();
+      if (!game.user.isGM) return;
+      this._boardMode = !this._boardMode;
+      this.render(false);
+    });
+
+    // Top-bar (player): show all owned combatants to plan ahead, or only the current turn.
+    html.find('button[data-action="toggleMyCharacters"]').on('click', async (ev) => {
+      ev.preventDefault();
+      try { await game.settings.set(MODULE_ID, "myCharactersView", !isMyCharactersViewOn()); } catch (_) {}
+      this.render(false);
+    });
+
+    // Top-bar (GM): change log.
+    html.find('button[data-action="openAuditLog"]').on('click', (ev) => {
+      ev.preventDefault();
+      openAuditLog(game.combat);
+    });
+
+    // Top-bar (GM): pending plan change requests.
+    html.find('button[data-action="openPlanRequests"]').on('click', (ev) => {
+      ev.preventDefault();
+      openPlanRequestsDialog(game.combat);
+    });
+
+    // Top-bar (GM, sealed declarations): reveal the upcoming phase's declarations now.
+    html.find('button[data-action="revealDeclarations"]').on('click', async (ev) => {
+      ev.preventDefault();
+      const c = game.combat;
+      if (!game.user.isGM || !c) return;
+      try {
+        await revealSealedDeclarations(c, getUpcomingPhase(c), { announce: true });
+      } catch (e) {
+        console.error(e);
+        ui.notifications?.error?.('Reveal failed. See console.');
+      }
+    });
+
+    // Board: expand/collapse a GM-owned combatant into its full editable row.
+    html.find('[data-action="toggleBoardRow"]').on('click', (ev) => {
+      ev.preventDefault();
+      const combatantId = String(ev.currentTarget.dataset.combatantId ?? "");
+      if (!combatantId || isGmReadOnlyCombatant(combatantId)) return;
+      this._boardExpanded ??= new Set();
+      if (this._boardExpanded.has(combatantId)) this._boardExpanded.delete(combatantId);
+      else this._boardExpanded.add(combatantId);
+      this.render(false);
+    });
+
+    // Row: GM-only per-actor action overrides.
+    html.find('button[data-action="openActorActions"]').on('click', (ev) => {
+      ev.preventDefault();
+      try {
+        openActorActionsConfig(ev.currentTarget.dataset.combatantId);
+      } catch (e) {
+        console.error(e);
+        ui.notifications?.error?.('Actor actions failed. See console.');
+      }
+    });
+
     // Per-selector movement undo (only shows on selectors with a movement overlay).
     html.find('button[data-action="resetMove"]').off('click.rmuCpt').on('click.rmuCpt', async (ev) => {
       ev.preventDefault();
@@ -3463,6 +6588,19 @@ showMentalFocusButton: (() => {
       try { requestAppRefresh(); } catch (_) {}
     });
 
+    // Step back one committed move (also bound to the "Undo Last Move" keybinding).
+    html.find('button[data-action="undoMove"]').off('click.rmuCpt').on('click.rmuCpt', async (ev) => {
+      ev.preventDefault();
+      const combatantId = String(ev.currentTarget?.dataset?.combatantId ?? "").trim();
+      const c = game.combat;
+      if (!c || !combatantId) return;
+      if (isGmReadOnlyCombatant(combatantId)) return;
+
+      const ok = await undoLastMoveForCombatant(c, combatantId);
+      if (!ok) ui.notifications?.warn?.("No move to undo in the current phase.");
+      try { requestAppRefresh(); } catch (_) {}
+    });
+
 // --- Layout sizing helpers -------------------------------------------------
 // HARD RULES (user preference):
 // - No wrap-around.
@@ -3570,26 +6708,32 @@ html.find('.rmu-cpt__spinner .rmu-cpt__spinbtn, .rmu-cpt__spinner input, .rmu-cp
         return;
       }
 
+      // Off-turn planning (My Characters view) reaches future phases only.
+      if (planKey && !canPlayerEditPlanSlot(c, combatantId, planKey)) {
+        ui.notifications?.warn?.("That phase cannot be changed right now.");
+        try { requestAppRefresh(); } catch (_) {}
+        return;
+      }
+
       // phaseInfo is computed in getData() but NOT in scope here; recompute.
       const phaseInfo = detectPhaseInfo(c);
 
+      // Approval mode: past/current slot changes become a request to the GM.
+      if (PLAN_REQUEST_FIELDS.includes(field) && needsPlanApproval(c, planKey)) {
+        if (field === "phaseCost" && !Number.isFinite(Number(value))) return;
+        const st = applyPendingToState(c.id, await ensureCombatState(c));
+        const planRequests = { ...(st.combatants?.[combatantId]?.planRequests ?? {}) };
+        const reqValue = (field === "finAct") ? !!value : (field === "phaseCost") ? Number(value) : String(value || "none");
+        planRequests[planKey] = { field, value: reqValue, userId: game.user.id, ts: Date.now() };
+        await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.planRequests`, value: planRequests });
+        ui.notifications?.info?.("Change sent to the GM for approval.");
+        return;
+      }
+
       const rawState = await ensureCombatState(c);
       const state = game.user.isGM ? rawState : applyPendingToState(c.id, rawState);
       const cd = state.combatants?.[combatantId] ?? {};
 
-      let _actions = parseActionsConfig();
-      if (!Array.isArray(_actions) || !_actions.length) _actions = getDefaultActions();
-      const actionsOrig = _actions;
-      const actionsPhase = actionsOrig.map(a => {
-        const mn = Number(a?.minCost ?? 0);
-        if (mn === 0) {
-          const mx = Number(a?.maxCost ?? mn);
-          return { ...a, minCost: 1, maxCost: Math.max(1, mx) };
-        }
-        return a;
-      });
-      const actionsMap = actionsToMap(actionsPhase);
-
       let roundsShown = 1;
       try { roundsShown = clamp(game.settings.get(MODULE_ID, "roundsShown"), 1, 5); } catch (_) { roundsShown = 1; }
       const bonusCount = clamp(cd.bonusCount ?? 0, 0, 4);
@@ -3608,55 +6752,37 @@ html.find('.rmu-cpt__spinner .rmu-cpt__spinbtn, .rmu-cpt__spinner input, .rmu-cp
         return;
       }
 
-if (field === "phaseAction") {
-        // No autofill: user manually plans chains.
-        const prevValue = planActions[planKey] ?? "none";
-        planActions[planKey] = value;
-        planAuto[planKey] = false;
-
-        // If the token has already moved this phase and a Move selector is changed AWAY from Move,
-        // undo that movement and clear any Move selections/overlays for the current phase.
-        try {
-          const moveChangedAway = (prevValue === MOVE_ACTION_KEY) && (String(value) !== String(MOVE_ACTION_KEY));
-          if (moveChangedAway && String(prevValue) !== String(value)) {
-            const didUndo = await undoMoveAndClearSelectorsForPhase(c, combatantId, planActions, planAuto, planCosts, finActs);
-            // Only clear the current selector if an undo actually happened (i.e., movement was used in this phase).
-            if (didUndo) {
-              planActions[planKey] = "none";
-              planAuto[planKey] = false;
-              planCosts[planKey] = null;
-              finActs[planKey] = false;
-              value = "none";
-            }
-          }
-        } catch (e) { console.warn("Undo-move failed", e); }
+      if (field === "moveMode") {
+        // Picked for the current phase group only; "auto" goes back to region/elevation inference.
+        const { currentInternalStart } = getCurrentInternalSlotRange(c);
+        const moveModes = foundry.utils.deepClone(cd.moveModes ?? {});
+        moveModes[moveModeGroupKey(phaseInfo.round, currentInternalStart)] = Object.hasOwn(MOVE_MODES, value) ? value : "auto";
+        await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.moveModes`, value: moveModes });
+        try { requestAppRefresh(); } catch (_) {}
+        return;
+      }
 
-        // FIN ACT? applies only to range-cost actions. If the selected action changes away from a range-cost action,
-        // clear any existing finAct flag for this selector.
-        if (!value || value === "none") {
-          finActs[planKey] = false;
-        } else {
-          const meta = actionsMap.get(value) ?? null;
-          const mn = Number(meta?.minCost ?? 0);
-          const mx = Number(meta?.maxCost ?? mn);
-          if (!(mx > mn)) finActs[planKey] = false;
-        }
+      if (field === "mountTokenId") {
+        const v = String(value ?? "");
+        await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.mountTokenId`, value: STATE_PATH_VALIDATORS.mountTokenId(v) ? v : "" });
+        try { requestAppRefresh(); } catch (_) {}
+        return;
+      }
 
-        // Clear stored cost when selecting blank
-        if (!value || value === "none") {
-          planCosts[planKey] = null;
-        } else {
-          const meta = actionsMap.get(value) ?? null;
-          if (meta) {
-            const mn = Number(meta.minCost ?? 0);
-            const mx = Number(meta.maxCost ?? mn);
+if (field === "phaseAction" && isSealedDeclaration(c, planKey)) {
+        // Sealed declarations: kept apart from planActions until revealed.
+        const sealedPlan = { ...(_isPlainObject(cd.sealedPlan) ? cd.sealedPlan : {}) };
+        if (String(value) !== String(sealedPlan[planKey] ?? "none")) recordRecentAction(value);
+        sealedPlan[planKey] = value;
+        await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.sealedPlan`, value: sealedPlan });
+        try { requestAppRefresh(); } catch (_) {}
+        return;
+      }
 
-            // For range-cost actions: cost is assumed as the upper bound; no per-slot cost input.
-            planCosts[planKey] = null;
-          } else {
-            planCosts[planKey] = null;
-          }
-        }
+if (field === "phaseAction") {
+        // No autofill: user manually plans chains.
+        if (String(value) !== String(planActions[planKey] ?? "none")) recordRecentAction(value);
+        value = await applyPhaseActionChange(c, combatantId, planKey, value, { planActions, planAuto, planCosts, finActs });
       } else if (field === "phaseCost") {
         const n = Number(value);
         if (Number.isFinite(n)) planCosts[planKey] = n;
@@ -3692,11 +6818,16 @@ if (field === "phaseAction") {
         else finActs[planKey] = false;
       }
 
-      // persist: always route through requestStatePathUpdate (GM writes, players socket to GM)
-      await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.planActions`, value: planActions });
-      await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.planAuto`, value: planAuto });
-      await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.planCosts`, value: planCosts });
-      await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.finActs`, value: finActs });
+      // persist: always route through requestStatePathUpdates (GM writes, players socket to GM)
+      await requestStatePathUpdates({
+        combatId: c.id,
+        updates: {
+          [`combatants.${combatantId}.planActions`]: planActions,
+          [`combatants.${combatantId}.planAuto`]: planAuto,
+          [`combatants.${combatantId}.planCosts`]: planCosts,
+          [`combatants.${combatantId}.finActs`]: finActs
+        }
+      });
 
 
       try { requestAppRefresh(); } catch (_) {}
@@ -3715,6 +6846,29 @@ if (field === "phaseAction") {
       try { await applyVddValue({ field, combatantId, planKey, value }); } catch (e) { console.error(e); }
     });
 
+    // Phase action selectors: replace the browser dropdown with the searchable portal (client setting).
+    let searchableDropdown = true;
+    try { searchableDropdown = !!game.settings.get(MODULE_ID, "searchableActionDropdown"); } catch (_) { searchableDropdown = true; }
+    if (searchableDropdown) {
+      html.find('select.rmu-cpt__select[data-field="phaseAction"]')
+        .off("mousedown.rmuCptVdd keydown.rmuCptVdd")
+        .on("mousedown.rmuCptVdd", (ev) => {
+          if (ev.button !== 0 || ev.currentTarget.disabled) return;
+          ev.preventDefault();
+          ev.currentTarget.focus();
+          const isOpen = !!document.querySelector(".rmu-vdd__portal");
+          if (isOpen) { closeAnyVddPortal(); return; }
+          openActionPortalForSelect(ev.currentTarget);
+        })
+        .on("keydown.rmuCptVdd", (ev) => {
+          const k = ev.key;
+          const printable = (k.length === 1) && !ev.ctrlKey && !ev.metaKey && !ev.altKey && k !== " ";
+          if (!printable && !["Enter", " ", "ArrowDown", "ArrowUp"].includes(k)) return;
+          ev.preventDefault();
+          openActionPortalForSelect(ev.currentTarget, printable ? k : "");
+        });
+    }
+
     // FIN ACT? checkbox for range-cost actions
     html.find('input[type="checkbox"][data-field="finAct"]')
       .off("change.rmuCpt")
@@ -3947,7 +7101,7 @@ root.addEventListener("click", async (ev) => {
           // Internal planning uses 4 slots per round.
           const phaseInfo = { ...phaseInfoReal, phaseCount: 4, phase: currentInternalStart };
           const roundsShown = clamp(game.settings.get(MODULE_ID, "roundsShown"), 1, 5);
-          const actions = parseActionsConfig();
+          const actions = getActionsForActor(c.combatants?.get?.(combatantId)?.actor);
           const actionsMap = actionsToMap(actions);
           const bonusCount = clamp(cd.bonusCount ?? 0, 0, 4);
 
@@ -3981,6 +7135,7 @@ root.addEventListener("click", async (ev) => {
         }
 
         concFlags[flag] = nextIsOn;
+        const updates = {};
 
 
 // Track when EXACTLY ONE concentration toggle becomes active, so Mental Focus reminder can fire 6 rounds later.
@@ -3996,16 +7151,16 @@ try {
 
     // Start only when we go from 0 -> 1 concentration toggles.
     if (nextOnCount === 1 && prevOnCount === 0) {
-      await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.mentalFocusStartRound`, value: rNow });
+      updates[`combatants.${combatantId}.mentalFocusStartRound`] = rNow;
       // Clear any old ack if we're starting a fresh cycle.
-      await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.mentalFocusAckRound`, value: 0 });
+      updates[`combatants.${combatantId}.mentalFocusAckRound`] = 0;
     }
 
     // Reset only when we drop to 0 toggles (i.e., concentration fully off).
     // Do NOT reset for 1->2 or 2->1 transitions.
     if (nextOnCount === 0 && prevOnCount > 0) {
-      await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.mentalFocusStartRound`, value: 0 });
-      await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.mentalFocusAckRound`, value: 0 });
+      updates[`combatants.${combatantId}.mentalFocusStartRound`] = 0;
+      updates[`combatants.${combatantId}.mentalFocusAckRound`] = 0;
     }
   }
 } catch (_) {}
@@ -4015,8 +7170,9 @@ if (flag === "holdAction" && !nextIsOn) {
           holdMeta.heldAction = null;
         }
 
-        await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.concFlags`, value: concFlags });
-        await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.holdAction`, value: holdMeta });
+        updates[`combatants.${combatantId}.concFlags`] = concFlags;
+        updates[`combatants.${combatantId}.holdAction`] = holdMeta;
+        await requestStatePathUpdates({ combatId: c.id, updates });
 
         try { if (_app?.rendered) _app.render(false); } catch (_) {}
         return;
@@ -4043,21 +7199,10 @@ if (flag === "holdAction" && !nextIsOn) {
       const combatantId = t.dataset.combatantId;
       const newVal = clamp(t.value, 0, 4);
 
-      await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.bonusCount`, value: newVal });
-
       const rawState = await ensureCombatState(c);
       const state = game.user.isGM ? rawState : applyPendingToState(c.id, rawState);
       const cd = state.combatants?.[combatantId] ?? {};
-      let _actions2 = parseActionsConfig();
-      if (!Array.isArray(_actions2) || !_actions2.length) _actions2 = getDefaultActions();
-      const actionsMap = actionsToMap(_actions2.map(a => {
-        const mn = Number(a?.minCost ?? 0);
-        if (mn === 0) {
-          const mx = Number(a?.maxCost ?? mn);
-          return { ...a, minCost: 1, maxCost: Math.max(1, mx) };
-        }
-        return a;
-      }));
+      const { actionsMap } = toPhaseActions(getActionsForActor(c.combatants?.get?.(combatantId)?.actor));
       const roundsShown = clamp(game.settings.get(MODULE_ID, "roundsShown"), 1, 5);
       const pi = detectPhaseInfo(this.combat);
       const baseRound = pi.round;
@@ -4075,9 +7220,15 @@ if (flag === "holdAction" && !nextIsOn) {
         apPerPhase: 1
       });
 
-      await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.planActions`, value: updated.planActions });
-      await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.planAuto`, value: updated.planAuto });
-      await requestStatePathUpdate({ combatId: c.id, path: `combatants.${combatantId}.planCosts`, value: updated.planCosts });
+      await requestStatePathUpdates({
+        combatId: c.id,
+        updates: {
+          [`combatants.${combatantId}.bonusCount`]: newVal,
+          [`combatants.${combatantId}.planActions`]: updated.planActions,
+          [`combatants.${combatantId}.planAuto`]: updated.planAuto,
+          [`combatants.${combatantId}.planCosts`]: updated.planCosts
+        }
+      });
 
       try { if (_app?.rendered) _app.render(false); } catch (_) {}
     });
@@ -4219,6 +7370,10 @@ Hooks.on("ready", () => {
   // Sockets are required so player selections are written by the GM to the combat document
   // and become visible to the GM and other clients in real time.
   try { registerSocket(); } catch (e) { console.error(e); }
+  // Merge any selections players saved on their Combatants while no GM was connected.
+  try { reconcileOfflineState(); } catch (e) { console.error(e); }
+  // Restore this round's committed movement (used feet survive a reload).
+  try { syncMoveTracksFromState(game.combat); } catch (e) { console.error(e); }
   // On a fresh login, the Combat Tracker DOM (and RMU's Spend/Phase labels) may not be fully
   // populated at the exact moment the ready hook runs. Delay auto-open slightly so our
   // first render uses the correct 1/2-phase spread immediately.
@@ -4327,6 +7482,9 @@ Hooks.on("combatTurn", (combatDoc) => {
 Hooks.on("updateCombat", (combatDoc, change) => {
   try {
     updateLocalVirtualRound(combatDoc);
+    maybeAutoRevealSealed(combatDoc).catch(e => console.warn(`${MODULE_ID} | Auto-reveal failed`, e));
+    // Movement committed on another client (or before a reload) arrives with the state flag.
+    if (foundry.utils.hasProperty(change ?? {}, `flags.${MODULE_ID}.state.movement`)) syncMoveTracksFromState(combatDoc);
     // Round boundary housekeeping.
     // IMPORTANT: Bonus Action count should persist across rounds unless changed by the user.
     if (change?.round !== undefined) {
@@ -4335,26 +7493,33 @@ Hooks.on("updateCombat", (combatDoc, change) => {
       try {
         snapshotPrevPhaseCarryover(combatDoc, change?.round);
         _moveTrack.clear();
+        clearMoveTrail();
         _moveHudThrottle.clear();
         if (_moveHudEl) _moveHudEl.style.display = "none";
         clearAllTokenPaceLabels();
+        // Stepping back to an earlier round restores what was stored for it.
+        syncMoveTracksFromState(combatDoc);
+      } catch (_) {}
+      try {
+        if (game.user.isGM && (!game.users?.activeGM || game.users.activeGM.isSelf)) pruneStoredMovement(combatDoc);
       } catch (_) {}
 
       (async () => {
         try {
           const c = combatDoc;
-          if (!c) return;
+          // GM-only: players may not write other players' combatants (the GM would reject it).
+          if (!c || !game.user.isGM) return;
           const state = await ensureCombatState(c);
           const combatants = Array.from(c.combatants ?? []);
+          const updates = {};
           for (const cb of combatants) {
             const cid = cb.id;
 
             // Reset Instantaneous Actions selector each new round
             const curInst = String(state?.combatants?.[cid]?.instantAction ?? "available");
-            if (curInst !== "available") {
-              await requestStatePathUpdate({ combatId: c.id, path: `combatants.${cid}.instantAction`, value: "available" });
-            }
+            if (curInst !== "available") updates[`combatants.${cid}.instantAction`] = "available";
           }
+          await requestStatePathUpdates({ combatId: c.id, updates });
         } catch (_) {}
       })();
     }
@@ -4396,12 +7561,13 @@ Hooks.on("updateCombat", (combatDoc, change) => {
 
           const changed = (meta.virtualRound !== virtualRound) || (meta.lastPhase !== phase) || (meta.lastPhaseCount !== phaseCount) || (meta.lastTurn !== turn);
           if (changed) {
-            meta.virtualRound = virtualRound;
-            meta.lastPhase = phase;
-            meta.lastPhaseCount = phaseCount;
-            meta.lastTurn = turn;
-            const clone = foundry.utils.deepClone(state);
-            await c.setFlag(MODULE_ID, 'state', clone);
+            // Through the write queue so a stale copy can't overwrite movement saved meanwhile.
+            await queueStateWrite(c, {
+              "meta.virtualRound": virtualRound,
+              "meta.lastPhase": phase,
+              "meta.lastPhaseCount": phaseCount,
+              "meta.lastTurn": turn
+            });
           }
         } catch (_) {}
       })();
@@ -4416,7 +7582,31 @@ Hooks.on("updateCombat", (combatDoc, change) => {
   } catch (_) {}
 });
 
-Hooks.on("updateCombatant", () => { try { requestAppRefresh(); } catch (_) {} });
+Hooks.on("updateCombatant", (combatant, change, options, userId) => {
+  try { requestAppRefresh(); } catch (_) {}
+  // A player saved selections offline (e.g. just before this GM connected): merge them now.
+  try {
+    if (game.user.isGM && foundry.utils.hasProperty(change ?? {}, `flags.${MODULE_ID}.offlineState`)) _offlineStateWriters.set(combatant.id, userId);
+    if (game.user.isGM && readOfflineStateFields(combatant)) reconcileOfflineState();
+  } catch (_) {}
+});
+// GM joined/left: refresh the "GM offline" indicator, and let the (new) active GM merge offline selections.
+Hooks.on("userConnected", () => {
+  try { requestAppRefresh(); } catch (_) {}
+  try { if (game.user.isGM) reconcileOfflineState(); } catch (_) {}
+});
+// Equipping weapons / learning spells changes the item-derived actions.
+for (const hook of ["createItem", "updateItem", "deleteItem"]) {
+  Hooks.on(hook, (item) => {
+    try { if (item?.parent?.documentName === "Actor") requestAppRefresh(); } catch (_) {}
+  });
+}
+// Per-actor action overrides changed: selectors for that actor need rebuilding.
+Hooks.on("updateActor", (actor, change) => {
+  try {
+    if (foundry.utils.hasProperty(change ?? {}, `flags.${MODULE_ID}`)) requestAppRefresh();
+  } catch (_) {}
+});
 Hooks.on("renderCombatTracker", () => { try { requestAppRefresh(); } catch (_) {} });
 
 
@@ -4551,8 +7741,154 @@ function snapshotPrevPhaseCarryover(combatDoc, newRound) {
   }
 }
 
-// We previously drew a movement trail line on the canvas. That has been disabled;
-// tracking remains for limit enforcement and UI overlays.
+// Persisted movement
+// Committed movement is also stored in the combat state as movement.r<combat.round>.<tokenId>, so a
+// reload, another browser or the GM moving the token sees the same used feet. _moveTrack stays the
+// working copy: the moving client updates it and writes the whole record (seq + 1) through the GM;
+// other clients adopt a record when its seq is newer than theirs. _movePreview is a transient drag
+// preview and stays client-local.
+const MOVE_TRACK_MAX_POINTS = 200;
+// Committed moves kept for "Undo last move" (current phase group only).
+const MOVE_UNDO_MAX = 20;
+
+function moveTrackTokenId(tokenUuid) {
+  const id = String(tokenUuid ?? "").split(".").pop();
+  return /^[A-Za-z0-9]+$/.test(id) ? id : null;
+}
+
+// Token documents of this combat's scene (or the viewed scene for scene-less combats).
+function findCombatTokenDoc(combat, tokenId) {
+  try {
+    return combat?.scene?.tokens?.get?.(tokenId)
+      ?? canvas?.scene?.tokens?.get?.(tokenId)
+      ?? game.scenes?.find?.(s => s.tokens?.has?.(tokenId))?.tokens?.get?.(tokenId)
+      ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function _cleanSlotFeet(map) {
+  const out = {};
+  for (const [k, v] of Object.entries(map ?? {})) {
+    if (MOVE_SLOT_KEY_RE.test(k)) out[k] = Math.max(0, Number(v) || 0);
+  }
+  return out;
+}
+
+function serializeMoveTrack(track) {
+  const pt = (p) => (p && Number.isFinite(p.x) && Number.isFinite(p.y)) ? { x: p.x, y: p.y } : null;
+  const usedBySlot = _cleanSlotFeet(track?.usedBySlot);
+  return {
+    seq: Number(track?.seq ?? 0),
+    phaseKey: track?.phaseKey ?? null,
+    phaseOrigin: pt(track?.phaseOrigin),
+    phaseOriginTL: pt(track?.phaseOriginTL),
+    lastCenter: pt(track?.lastCenter),
+    points: (track?.points ?? []).map(pt).filter(Boolean).slice(-MOVE_TRACK_MAX_POINTS),
+    usedBySlot,
+    ...(track?.gridBySlot ? { gridBySlot: _cleanSlotFeet(track.gridBySlot) } : {}),
+    undo: (track?.undo ?? []).filter(u => u && pt(u.center) && u.phaseKey).slice(-MOVE_UNDO_MAX).map(u => ({
+      phaseKey: String(u.phaseKey),
+      center: pt(u.center),
+      alloc: _cleanSlotFeet(u.alloc),
+      ...(u.grid ? { grid: _cleanSlotFeet(u.grid) } : {}),
+      points: Math.max(0, Math.min(MOVE_TRACK_MAX_POINTS, Math.trunc(Number(u.points) || 0))),
+      ...(u.mountTokenId ? { mountTokenId: String(u.mountTokenId) } : {})
+    })),
+    lastBoostedPhaseKeyId: track?.lastBoostedPhaseKeyId ?? null
+  };
+}
+
+function moveTrackFromRecord(rec) {
+  const copy = foundry.utils.deepClone(rec);
+  return {
+    ...copy,
+    usedBySlot: copy.usedBySlot ?? {},
+    points: Array.isArray(copy.points) ? copy.points : [],
+    undo: Array.isArray(copy.undo) ? copy.undo : []
+  };
+}
+
+// Write this token's committed movement to the combat state (moving client only).
+function persistMoveTrack(combat, tokenUuid) {
+  try {
+    const track = _moveTrack.get(tokenUuid);
+    const tokenId = moveTrackTokenId(tokenUuid);
+    const round = Number(combat?.round ?? 0);
+    if (!combat || !track || !tokenId || !(round >= 1)) return;
+
+    track.seq = Number(track.seq ?? 0) + 1;
+    const updates = { [`movement.r${round}.${tokenId}`]: serializeMoveTrack(track) };
+    // No optimistic _pending entry: _moveTrack already is the local copy.
+    if (game.user.isGM) {
+      queueStateWrite(combat, updates).catch(e => console.warn(`${MODULE_ID} | Could not save movement`, e));
+    } else if (isGmConnected()) {
+      game.socket.emit(`module.${MODULE_ID}`, { type: "setStatePaths", combatId: combat.id, updates, userId: game.user.id });
+    }
+    // Without a GM the record stays local; the next committed move re-sends it in full.
+  } catch (e) {
+    console.error(`${MODULE_ID} | persistMoveTrack failed`, e);
+  }
+}
+
+// Adopt stored movement of the current round that is newer than (or missing from) the local tracks.
+function syncMoveTracksFromState(combat) {
+  try {
+    const round = Number(combat?.round ?? 0);
+    if (!combat || !(round >= 1)) return;
+    const byToken = readCombatState(combat)?.movement?.[`r${round}`];
+    if (!_isPlainObject(byToken)) return;
+
+    for (const [tokenId, rec] of Object.entries(byToken)) {
+      if (!_isMoveRecord(rec)) continue;
+      const tokenDoc = findCombatTokenDoc(combat, tokenId);
+      const tokenUuid = tokenDoc ? getTokenUuid(tokenDoc) : null;
+      if (!tokenUuid) continue;
+      const local = _moveTrack.get(tokenUuid);
+      if (local && Number(local.seq ?? 0) >= rec.seq) continue;
+      _moveTrack.set(tokenUuid, moveTrackFromRecord(rec));
+    }
+  } catch (e) {
+    console.error(`${MODULE_ID} | syncMoveTracksFromState failed`, e);
+  }
+}
+
+// Total movement in an internal slot range of an earlier round, for the 1.25× BMR lookback once
+// _moveTrack has been cleared: the round-change snapshot, else that round's stored record.
+// Returns null when neither has the range.
+function getPrevPhaseCarryFt(combat, tokenUuid, round, start, end) {
+  const snap = _prevPhaseCarry.get(tokenUuid);
+  if (snap && snap.combatId === combat?.id && Number(snap.round) === Number(round) && Number(snap.start) === Number(start) && Number(snap.end) === Number(end)) {
+    return Number(snap.totalFt ?? 0);
+  }
+  try {
+    const tokenId = moveTrackTokenId(tokenUuid);
+    const prevRound = Number(combat?.round ?? 0) - 1;
+    const rec = (tokenId && prevRound >= 1) ? readCombatState(combat)?.movement?.[`r${prevRound}`]?.[tokenId] : null;
+    if (_isMoveRecord(rec)) return sumMovementForInternalRange(rec, round, start, end);
+  } catch (_) {}
+  return null;
+}
+
+// GM: keep only the current and previous round's movement (the previous one feeds the 1.25× lookback).
+function pruneStoredMovement(combat) {
+  const round = Number(combat?.round ?? 0);
+  const updates = {};
+  for (const rk of Object.keys(readCombatState(combat)?.movement ?? {})) {
+    const r = Number(rk.slice(1));
+    if (r < round - 1 || r > round) updates[`movement.-=${rk}`] = null;
+  }
+  if (Object.keys(updates).length) return queueStateWrite(combat, updates);
+}
+
+// Movement trail (opt-in client setting "showMoveTrail"): this round's committed movement per token,
+// drawn as a polyline colored by the pace band of each move and labeled with the feet per phase.
+// Built from the pace carried in the movement pending payload, so every client that receives the
+// token update records the same segments. Cleared at round change together with _moveTrack.
+// tokenUuid -> { round, segments: [{ phaseKeyId, phase, pace, feet, points: [{x,y}] }] }
+const _moveTrails = new Map();
+// tokenUuid -> PIXI.Container of the drawn trail
 const _moveGraphics = new Map();
 // tokenUuid -> last HUD update time (ms)
 const _moveHudThrottle = new Map();
@@ -4662,9 +7998,115 @@ function showMoveHud(_html, _ttlMs = 1750) {
   return;
 }
 
-function clearMoveTrail(tokenUuid) {
-  // Movement trail drawing is disabled (keep function for compatibility).
-  return;
+function isMoveTrailEnabled() {
+  try { return !!game.settings.get(MODULE_ID, "showMoveTrail"); } catch (_) { return false; }
+}
+
+function recordMoveTrailSegment(doc, pending) {
+  const tokenUuid = pending.tokenUuid ?? getTokenUuid(doc);
+  if (!tokenUuid || !pending.oldCenter || !pending.newCenter) return;
+  const round = Number(pending.phaseInfo?.round ?? game.combat?.round ?? 0);
+  let trail = _moveTrails.get(tokenUuid);
+  if (!trail || trail.round !== round) {
+    trail = { round, segments: [] };
+    _moveTrails.set(tokenUuid, trail);
+  }
+  const points = (Array.isArray(pending.path) && pending.path.length >= 2) ? pending.path : [pending.oldCenter, pending.newCenter];
+  trail.segments.push({
+    phaseKeyId: pending.phaseKeyId ?? null,
+    phase: pending.phaseInfo?.phase ?? null,
+    pace: pending.pace ?? null,
+    feet: Math.max(0, Number(pending.segmentFt ?? 0) || 0),
+    points: points.map(p => ({ x: Number(p.x) || 0, y: Number(p.y) || 0 }))
+  });
+  if (trail.segments.length > MOVE_TRACK_MAX_POINTS) trail.segments.splice(0, trail.segments.length - MOVE_TRACK_MAX_POINTS);
+}
+
+// Reset Move / undo: the phase group's segments (or only its last one) are gone from the trail as well.
+function dropMoveTrailPhase(tokenUuid, phaseKeyId, lastOnly = false) {
+  const trail = _moveTrails.get(tokenUuid);
+  if (!trail) return;
+  if (lastOnly) {
+    const i = trail.segments.map(sg => sg.phaseKeyId).lastIndexOf(phaseKeyId);
+    if (i >= 0) trail.segments.splice(i, 1);
+    return;
+  }
+  trail.segments = trail.segments.filter(sg => sg.phaseKeyId !== phaseKeyId);
+}
+
+function _destroyMoveTrailGraphics(tokenUuid) {
+  const g = _moveGraphics.get(tokenUuid);
+  try { if (g && !g.destroyed) g.destroy({ children: true }); } catch (_) {}
+  _moveGraphics.delete(tokenUuid);
+}
+
+function drawMoveTrail(tokenUuid) {
+  try {
+    _destroyMoveTrailGraphics(tokenUuid);
+    if (!isMoveTrailEnabled() || !canvas?.ready) return;
+    const trail = _moveTrails.get(tokenUuid);
+    if (!trail?.segments?.length) return;
+    // Only tokens of the viewed scene.
+    const tokenId = moveTrackTokenId(tokenUuid);
+    const tokenDoc = tokenId ? canvas.scene?.tokens?.get(tokenId) : null;
+    if (!tokenDoc) return;
+    // Players only see trails of tokens they own or can currently see (not hidden, not in fog/darkness).
+    if (!game.user.isGM && !tokenDoc.isOwner && (tokenDoc.hidden || !tokenDoc.object?.visible)) return;
+
+    const layer = new PIXI.Container();
+    const g = new PIXI.Graphics();
+    layer.addChild(g);
+    const feetByPhase = new Map();
+    for (const sg of trail.segments) {
+      if (sg.points.length < 2) continue;
+      g.lineStyle(3, PACE_COLORS[sg.pace] ?? 0xffffff, 0.85);
+      g.moveTo(sg.points[0].x, sg.points[0].y);
+      for (const p of sg.points.slice(1)) g.lineTo(p.x, p.y);
+      const phase = String(sg.phase ?? "?");
+      const entry = feetByPhase.get(phase) ?? { feet: 0, at: null };
+      entry.feet += sg.feet;
+      entry.at = sg.points[sg.points.length - 1];
+      feetByPhase.set(phase, entry);
+    }
+    // Per-phase feet at the point where that phase's movement ended.
+    for (const [phase, { feet, at }] of feetByPhase.entries()) {
+      if (!at) continue;
+      g.lineStyle(0);
+      g.beginFill(0x000000, 0.85);
+      g.drawCircle(at.x, at.y, 4);
+      g.endFill();
+      const label = new PIXI.Text(`P${phase}: ${feet.toFixed(1)} ft`, {
+        fontFamily: "Vollkorn, serif",
+        fontSize: 12,
+        fill: 0xFFFFFF,
+        stroke: 0x000000,
+        strokeThickness: 3
+      });
+      label.resolution = 2;
+      label.x = at.x + 6;
+      label.y = at.y + 6;
+      layer.addChild(label);
+    }
+    canvas.interface.addChild(layer);
+    _moveGraphics.set(tokenUuid, layer);
+  } catch (e) {
+    console.warn(`${MODULE_ID} | Could not draw the movement trail`, e);
+  }
+}
+
+function drawAllMoveTrails() {
+  for (const tokenUuid of _moveTrails.keys()) drawMoveTrail(tokenUuid);
+}
+
+// Remove a token's trail (data and drawing); without a token, every trail.
+function clearMoveTrail(tokenUuid = null) {
+  if (tokenUuid) {
+    _moveTrails.delete(tokenUuid);
+    _destroyMoveTrailGraphics(tokenUuid);
+    return;
+  }
+  _moveTrails.clear();
+  for (const k of Array.from(_moveGraphics.keys())) _destroyMoveTrailGraphics(k);
 }
 
 function getCurrentInternalSlotRange(combat) {
@@ -4695,7 +8137,7 @@ function getCombatantForActor(combat, actorId) {
 }
 
 function getStateForRead(combat) {
-  const raw = combat?.getFlag?.(MODULE_ID, "state");
+  const raw = readCombatState(combat);
   // Everyone (including GM) may have optimistic local "pending" state during in-flight updates.
   // Merge it for reads that must reflect immediate UI selections (e.g., movement enforcement during the same phase).
   return applyPendingToState(combat?.id, raw);
@@ -4769,6 +8211,8 @@ async function undoMoveAndClearSelectorsForPhase(combat, combatantId, planAction
 
   if (!usedThisPhase) return false;
 
+  await revertCarriedMounts(combat, track, phaseKeyId);
+
   // Snap back to the phase origin (where the token started before any Move in this phase).
   const origin = track?.phaseOrigin ?? track?.points?.[0] ?? track?.lastCenter;
   if (origin) {
@@ -4789,19 +8233,25 @@ async function undoMoveAndClearSelectorsForPhase(combat, combatantId, planAction
     if (Number(track?.usedBySlot?.[k] ?? 0) > 1e-6) usedKeys.add(k);
   }
 
-  // Clear per-slot usage for this phase group.
+  // Clear per-slot usage for this phase group. Zeroed rather than deleted: the stored record is
+  // written with a merging flag update, which would keep deleted keys.
   if (track?.usedBySlot) {
-    for (const k of keys) delete track.usedBySlot[k];
+    for (const k of keys) {
+      if (k in track.usedBySlot) track.usedBySlot[k] = 0;
+      if (track.gridBySlot && k in track.gridBySlot) track.gridBySlot[k] = 0;
+    }
   }
 
   // Reset tracking for this phase group so future drags start clean.
   if (track) {
     track.phaseKey = phaseKeyId;
+    track.undo = [];
     if (origin) {
       track.phaseOrigin = { x: origin.x, y: origin.y };
       track.lastCenter = { x: origin.x, y: origin.y };
       track.points = [{ x: origin.x, y: origin.y }];
     }
+    persistMoveTrack(combat, tokenUuid);
   }
 
   // Clear preview and any cached overlay state.
@@ -4824,6 +8274,50 @@ async function undoMoveAndClearSelectorsForPhase(combat, combatantId, planAction
   return true;
 }
 
+/**
+ * Apply a phase selector change to cloned plan maps ({ planActions, planAuto, planCosts, finActs }, edited in place).
+ * Used by the tracker selectors and by approved plan requests.
+ * Returns the value actually stored ("none" when replacing a used Move cleared the slot).
+ */
+async function applyPhaseActionChange(combat, combatantId, planKey, value, { planActions, planAuto, planCosts, finActs }) {
+  const { actionsMap } = toPhaseActions(getActionsForActor(combat.combatants?.get?.(combatantId)?.actor));
+  const prevValue = planActions[planKey] ?? "none";
+  planActions[planKey] = value;
+  planAuto[planKey] = false;
+
+  // If the token has already moved this phase and a Move selector is changed AWAY from Move,
+  // undo that movement and clear any Move selections/overlays for the current phase.
+  try {
+    const moveChangedAway = (prevValue === MOVE_ACTION_KEY) && (String(value) !== String(MOVE_ACTION_KEY)) && planSlotTiming(combat, planKey) === "current";
+    if (moveChangedAway) {
+      const didUndo = await undoMoveAndClearSelectorsForPhase(combat, combatantId, planActions, planAuto, planCosts, finActs);
+      // Only clear the current selector if an undo actually happened (i.e., movement was used in this phase).
+      if (didUndo) {
+        planActions[planKey] = "none";
+        planAuto[planKey] = false;
+        planCosts[planKey] = null;
+        finActs[planKey] = false;
+        value = "none";
+      }
+    }
+  } catch (e) { console.warn("Undo-move failed", e); }
+
+  // FIN ACT? applies only to range-cost actions. If the selected action changes away from a range-cost action,
+  // clear any existing finAct flag for this selector.
+  if (!value || value === "none") {
+    finActs[planKey] = false;
+  } else {
+    const meta = actionsMap.get(value) ?? null;
+    const mn = Number(meta?.minCost ?? 0);
+    const mx = Number(meta?.maxCost ?? mn);
+    if (!(mx > mn)) finActs[planKey] = false;
+  }
+
+  // For range-cost actions cost is assumed as the upper bound; no per-slot cost is stored.
+  planCosts[planKey] = null;
+  return value;
+}
+
 // Reset token movement for the *current* phase group without clearing any selector values.
 // This is used by the "Reset Move" button shown on selectors with movement overlays.
 async function resetMoveForCurrentPhaseGroup(combat, combatantId) {
@@ -4883,6 +8377,8 @@ async function resetMoveForCurrentPhaseGroup(combat, combatantId) {
   const originCenter = primaryTrack?.phaseOrigin ?? primaryTrack?.points?.[0] ?? primaryTrack?.lastCenter;
   if (!usedThisPhase || (!originTL && !originCenter)) return false;
 
+  for (const tr of new Set(tracks.map(([, tr]) => tr))) await revertCarriedMounts(combat, tr, phaseKeyId);
+
   // Snap back to the phase origin (where the token started before any move in this phase group).
   let x;
   let y;
@@ -4905,12 +8401,17 @@ async function resetMoveForCurrentPhaseGroup(combat, combatantId) {
     // Even if the update fails, we still try to clear local state to avoid stuck overlays.
   }
 
-  // Clear per-slot usage + reset phase tracking for *all* matching token keys.
+  // Clear per-slot usage + reset phase tracking for *all* matching token keys
+  // (zeroed, not deleted, so the stored record drops the feet too).
   for (const [tk, tr] of tracks) {
     if (tr?.usedBySlot) {
-      for (const k of allKeys) delete tr.usedBySlot[k];
+      for (const k of allKeys) {
+        if (k in tr.usedBySlot) tr.usedBySlot[k] = 0;
+        if (tr.gridBySlot && k in tr.gridBySlot) tr.gridBySlot[k] = 0;
+      }
     }
     tr.phaseKey = phaseKeyId;
+    tr.undo = [];
     const oc = originCenter ?? tokenCenterFromTopLeft(x, y, tokenDoc);
     tr.phaseOrigin = { x: oc.x, y: oc.y };
     tr.phaseOriginTL = { x, y };
@@ -4918,10 +8419,87 @@ async function resetMoveForCurrentPhaseGroup(combat, combatantId) {
     tr.points = [{ x: oc.x, y: oc.y }];
     try { _movePreview.delete(tk); } catch (_) {}
   }
+  persistMoveTrack(combat, String(tokenDoc.uuid ?? ""));
+
+  return true;
+}
+
+// Segment-level movement undo: every committed move pushes { phaseKey, center, alloc, grid?, points,
+// mountTokenId? } onto track.undo (current phase group only). Undo returns the token to that center
+// and subtracts exactly that move's allocations.
+function pushMoveUndo(track, entry) {
+  if (!track || !entry?.phaseKey) return;
+  const kept = (track.undo ?? []).filter(u => u.phaseKey === entry.phaseKey);
+  kept.push(entry);
+  track.undo = kept.slice(-MOVE_UNDO_MAX);
+}
+
+function canUndoMove(tokenUuid, phaseKeyId) {
+  const undo = _moveTrack.get(tokenUuid)?.undo;
+  return Array.isArray(undo) && undo.length > 0 && undo[undo.length - 1].phaseKey === phaseKeyId;
+}
+
+async function undoLastMoveForToken(combat, tokenDoc, phaseKeyId) {
+  const tokenUuid = getTokenUuid(tokenDoc);
+  const track = _moveTrack.get(tokenUuid);
+  if (!tokenDoc?.isOwner || !canUndoMove(tokenUuid, phaseKeyId)) return false;
+  const entry = track.undo[track.undo.length - 1];
+
+  const gs = Number(canvas?.grid?.size ?? 0) || 0;
+  const x = entry.center.x - (gs * (Number(tokenDoc.width ?? 1) || 1)) / 2;
+  const y = entry.center.y - (gs * (Number(tokenDoc.height ?? 1) || 1)) / 2;
+  try {
+    await tokenDoc.update({ x, y }, { animate: false, rmuCptUndo: true, rmuCptUndoStep: true });
+  } catch (e) {
+    console.warn(`${MODULE_ID} | Could not undo the last move`, e);
+    return false;
+  }
 
+  track.undo.pop();
+  for (const [k, v] of Object.entries(entry.alloc ?? {})) {
+    track.usedBySlot[k] = Math.max(0, Number(track.usedBySlot?.[k] ?? 0) - Number(v ?? 0));
+    if (track.gridBySlot) track.gridBySlot[k] = Math.max(0, Number(track.gridBySlot[k] ?? 0) - Number(entry.grid?.[k] ?? v ?? 0));
+  }
+  track.lastCenter = { x: entry.center.x, y: entry.center.y };
+  if (Array.isArray(track.points)) track.points.splice(Math.max(1, track.points.length - Number(entry.points ?? 0)));
+  try { _movePreview.delete(tokenUuid); } catch (_) {}
+  persistMoveTrack(combat, tokenUuid);
+
+  // The carried mount steps back with its rider.
+  if (entry.mountTokenId) {
+    const mount = findCombatTokenDoc(combat, entry.mountTokenId);
+    if (mount) await undoLastMoveForToken(combat, mount, phaseKeyId);
+  }
   return true;
 }
 
+// Phase reset of a rider: step each mount it carried this phase back through those carried moves
+// (position and slot allocations), as undoLastMoveForToken() does one move at a time.
+async function revertCarriedMounts(combat, riderTrack, phaseKeyId) {
+  const counts = new Map(); // mount token id => carried moves this phase
+  for (const u of riderTrack?.undo ?? []) {
+    if (u?.phaseKey === phaseKeyId && u.mountTokenId) counts.set(u.mountTokenId, (counts.get(u.mountTokenId) ?? 0) + 1);
+  }
+  for (const [mountId, n] of counts) {
+    const mount = findCombatTokenDoc(combat, mountId);
+    if (!mount) continue;
+    for (let i = 0; i < n; i++) {
+      if (!(await undoLastMoveForToken(combat, mount, phaseKeyId))) break;
+    }
+  }
+}
+
+// "Undo last move" for a combatant's token in the current phase group (button and keybinding).
+async function undoLastMoveForCombatant(combat, combatantId) {
+  if (!canvas?.ready || !combat || !combatantId) return false;
+  const comb = combat.combatants?.get(combatantId);
+  const tokenDoc = findCombatTokenDoc(combat, comb?.tokenId ?? comb?.token?.id);
+  if (!tokenDoc) return false;
+  const { phaseInfo, currentInternalStart, currentInternalEnd } = getCurrentInternalSlotRange(combat);
+  const phaseKeyId = `${combat.id}:${phaseInfo.round}:${currentInternalStart}-${currentInternalEnd}`;
+  return undoLastMoveForToken(combat, tokenDoc, phaseKeyId);
+}
+
 function toNumOrNull(v) {
   if (v == null) return null;
   if (typeof v === "number") return Number.isFinite(v) ? v : null;
@@ -5035,6 +8613,220 @@ function resolveMovementOption(actor) {
   return { mb, opt, optKey };
 }
 
+// Movement modes
+// The mode for a phase group is picked in the tracker row (combatants.<id>.moveModes["r<round>p<start>"])
+// or, on "auto", inferred from a difficult terrain region's mode, then token elevation (fly), else land.
+// Each mode reads its own option from system._movementBlock.options and may cap the pace.
+const MOVE_MODES = {
+  land: { label: "Land", match: /land|ground|walk|run|foot|normal|standard/i, maxPace: null },
+  swim: { label: "Swim", match: /swim/i, maxPace: "Run" },
+  climb: { label: "Climb", match: /climb/i, maxPace: "Jog" },
+  fly: { label: "Fly", match: /fly|flight|flying|air/i, maxPace: null },
+  crawl: { label: "Crawl", match: /crawl/i, maxPace: "Walk" }
+};
+const MOVE_MODE_GROUP_KEY_RE = /^r\d{1,5}p\d{1,2}$/;
+
+// Movement block option for a mode: { opt, optKey, fallback } (fallback = the sheet's selected option).
+function resolveMovementOptionForMode(actor, modeId) {
+  const sel = resolveMovementOption(actor);
+  const mode = MOVE_MODES[modeId];
+  const options = sel.mb?.options;
+  if (!mode || !options || typeof options !== "object") return { ...sel, fallback: modeId !== "land" };
+
+  // The selected option wins when it already is this mode.
+  const describe = (o, k) => [k, o?.value, o?.label, o?.name, o?.key, o?.type, o?.mode].filter(v => v != null).join(" ");
+  if (sel.opt && mode.match.test(describe(sel.opt, sel.optKey))) return { ...sel, fallback: false };
+
+  const entries = Array.isArray(options) ? options.map((o, i) => [String(i), o]) : Object.entries(options);
+  for (const [k, o] of entries) {
+    if (o && typeof o === "object" && mode.match.test(describe(o, Array.isArray(options) ? null : k))) {
+      return { mb: sel.mb, opt: o, optKey: Array.isArray(options) ? null : k, fallback: false };
+    }
+  }
+  return { ...sel, fallback: modeId !== "land" };
+}
+
+function moveModeGroupKey(round, start) {
+  return `r${Number(round)}p${Number(start)}`;
+}
+
+/**
+ * Active movement mode of a combatant for the current phase group.
+ * Returns { id, label, source: "picked" | "region" | "elevation" | "default", inferred } where inferred is
+ * what "auto" resolves to (shown in the selector).
+ */
+function getActiveMoveMode(combat, combatant, tokenDoc, cd) {
+  let inferred = { id: "land", source: "default" };
+  try {
+    const doc = tokenDoc ?? combatant?.token ?? null;
+    if (doc && canvas?.ready && canvas.scene?.id === doc.parent?.id) {
+      const center = tokenCenterFromTopLeft(doc.x, doc.y, doc);
+      const regionMode = getTerrainAt(center, doc.elevation).mode;
+      if (MOVE_MODES[regionMode]) inferred = { id: regionMode, source: "region" };
+    }
+    if (inferred.source === "default" && Number(doc?.elevation ?? 0) > 0) {
+      const fly = resolveMovementOptionForMode(combatant?.actor, "fly");
+      if (!fly.fallback) inferred = { id: "fly", source: "elevation" };
+    }
+  } catch (_) {}
+
+  let picked = null;
+  try {
+    const { phaseInfo, currentInternalStart } = getCurrentInternalSlotRange(combat);
+    picked = cd?.moveModes?.[moveModeGroupKey(phaseInfo.round, currentInternalStart)] ?? null;
+  } catch (_) {}
+
+  const active = (picked && picked !== "auto" && MOVE_MODES[picked]) ? { id: picked, source: "picked" } : inferred;
+  return { ...active, label: MOVE_MODES[active.id].label, inferred };
+}
+
+// Mounted movement
+// A rider is linked to a mount either in the tracker row (combatants.<id>.mountTokenId = a token id,
+// "none" = on foot) or, on "" (auto), by token stacking: the rider's center lies on a larger token.
+// While mounted the rider's pace rates, pace bands and Dash eligibility come from the mount's actor,
+// and the mount token is carried along and its movement recorded in its own track.
+// Only tokens owned by the rider's controlling player can be mounts (a player can't ride an enemy).
+
+// A mount is usable when the rider's player (or the given user) owns it; GM-controlled riders may use any token.
+function canRideMount(riderActor, mountDoc, user = null) {
+  if (!mountDoc?.actor) return false;
+  const owner = user ?? getPrimaryOwnerUser(riderActor);
+  if (!owner || owner.isGM) return true;
+  return !!mountDoc.testUserPermission?.(owner, "OWNER");
+}
+
+// Largest visible rideable token with an actor under the rider's center that is bigger than the rider.
+function findStackedMount(riderDoc) {
+  try {
+    const scene = riderDoc?.parent;
+    if (!scene?.tokens) return null;
+    const gs = Number(scene.grid?.size ?? canvas?.grid?.size ?? 0) || 0;
+    if (!(gs > 0)) return null;
+    const center = tokenCenterFromTopLeft(riderDoc.x, riderDoc.y, riderDoc);
+    const riderArea = (Number(riderDoc.width) || 1) * (Number(riderDoc.height) || 1);
+
+    let best = null;
+    let bestArea = riderArea;
+    for (const t of scene.tokens) {
+      if (t.id === riderDoc.id || !t.actor || t.hidden) continue;
+      if (t.actor.id === riderDoc.actor?.id) continue;
+      if (!canRideMount(riderDoc.actor, t)) continue;
+      const area = (Number(t.width) || 1) * (Number(t.height) || 1);
+      if (area <= bestArea) continue;
+      const x0 = Number(t.x) || 0;
+      const y0 = Number(t.y) || 0;
+      const inside = center.x > x0 && center.x < x0 + (Number(t.width) || 1) * gs && center.y > y0 && center.y < y0 + (Number(t.height) || 1) * gs;
+      if (!inside) continue;
+      best = t;
+      bestArea = area;
+    }
+    return best;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Mount of a combatant: { tokenDoc, actor, source: "picked" | "stacked" } or null when on foot.
+ */
+function getMountFor(combat, combatant, tokenDoc, cd) {
+  try {
+    const rider = tokenDoc ?? combatant?.token ?? null;
+    const picked = String(cd?.mountTokenId ?? "");
+    if (picked === "none") return null;
+    if (picked) {
+      const m = findCombatTokenDoc(combat, picked);
+      if (m?.actor && m.id !== rider?.id && canRideMount(combatant?.actor ?? rider?.actor, m)) return { tokenDoc: m, actor: m.actor, source: "picked" };
+      return null;
+    }
+    const stacked = rider ? findStackedMount(rider) : null;
+    return stacked ? { tokenDoc: stacked, actor: stacked.actor, source: "stacked" } : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Mount selector of a tracker row: auto (stacking), on foot, then this scene's other combatant tokens.
+function buildMountOptions(combat, combatant, cd, mount) {
+  const picked = String(cd?.mountTokenId ?? "");
+  const stacked = combatant?.token ? findStackedMount(combatant.token) : null;
+  const opts = [
+    { value: "", label: `Auto (${stacked ? `stacked: ${stacked.name}` : "none"})`, selected: !picked },
+    { value: "none", label: "On foot", selected: picked === "none" }
+  ];
+  const seen = new Set();
+  const add = (t) => {
+    if (!t?.id || !t.actor || seen.has(t.id) || t.id === combatant?.tokenId) return;
+    if (!canRideMount(combatant?.actor, t)) return;
+    seen.add(t.id);
+    opts.push({ value: t.id, label: t.name, selected: picked === t.id });
+  };
+  try {
+    for (const c of combat?.combatants ?? []) add(c.token);
+  } catch (_) {}
+  add(stacked);
+  if (mount?.source === "picked") add(mount.tokenDoc);
+  return opts;
+}
+
+// Move the mount with its rider after the rider's committed move (same displacement), recording the
+// rider's allocations in the mount's track. Runs on the moving client only.
+async function carryMountAlong(riderDoc, pending) {
+  try {
+    const mount = pending?.mountTokenId ? findCombatTokenDoc(game.combat, pending.mountTokenId) : null;
+    if (!mount) return;
+    const mountUuid = getTokenUuid(mount);
+    if (!mount.isOwner) {
+      warnMoveOnce(mountUuid, "mount-owner", `${mount.name} was not moved with ${riderDoc.name}: you do not own the mount.`, 5000);
+      return;
+    }
+    const dx = Number(pending.newCenter?.x) - Number(pending.oldCenter?.x);
+    const dy = Number(pending.newCenter?.y) - Number(pending.oldCenter?.y);
+    if (!Number.isFinite(dx) || !Number.isFinite(dy) || (dx === 0 && dy === 0)) return;
+
+    const oldTopLeft = { x: Number(mount.x) || 0, y: Number(mount.y) || 0 };
+    const oldCenter = tokenCenterFromTopLeft(oldTopLeft.x, oldTopLeft.y, mount);
+    const newCenter = { x: oldCenter.x + dx, y: oldCenter.y + dy };
+    const path = Array.isArray(pending.path)
+      ? pending.path.map(p => ({ x: p.x - pending.oldCenter.x + oldCenter.x, y: p.y - pending.oldCenter.y + oldCenter.y }))
+      : [oldCenter, newCenter];
+    await mount.update({ x: oldTopLeft.x + dx, y: oldTopLeft.y + dy }, {
+      animate: false,
+      rmuCptMount: true,
+      _rmuCptMovePending: { mode: "mount", tokenUuid: mountUuid, oldCenter, newCenter, oldTopLeft, path, allocations: pending.allocations ?? {}, gridAllocations: pending.gridAllocations ?? null, phaseKeyId: pending.phaseKeyId ?? _moveTrack.get(pending.tokenUuid)?.phaseKey ?? null }
+    });
+  } catch (e) {
+    console.warn(`${MODULE_ID} | Could not move the mount`, e);
+  }
+}
+
+// Record a carried mount's movement (moving client only).
+function recordMountMove(doc, pending) {
+  const tokenUuid = pending.tokenUuid ?? getTokenUuid(doc);
+  let track = _moveTrack.get(tokenUuid);
+  if (!track) {
+    resetMoveTrackForToken(tokenUuid, pending.phaseKeyId, pending.oldCenter, pending.oldTopLeft);
+    track = _moveTrack.get(tokenUuid);
+  } else if (track.phaseKey !== pending.phaseKeyId || !track.lastCenter) {
+    // New phase slot group: keep the slot totals, restart the origin/line.
+    track.phaseKey = pending.phaseKeyId;
+    track.phaseOrigin = { x: pending.oldCenter.x, y: pending.oldCenter.y };
+    track.phaseOriginTL = pending.oldTopLeft ? { x: pending.oldTopLeft.x, y: pending.oldTopLeft.y } : null;
+    track.points = [{ x: pending.oldCenter.x, y: pending.oldCenter.y }];
+  }
+  const alloc = {};
+  for (const [k, v] of Object.entries(pending.allocations ?? {})) {
+    track.usedBySlot[k] = Number(track.usedBySlot[k] ?? 0) + Number(v ?? 0);
+    if (track.gridBySlot) track.gridBySlot[k] = Number(track.gridBySlot[k] ?? 0) + Number(pending.gridAllocations?.[k] ?? v ?? 0);
+    alloc[k] = Number(v ?? 0);
+  }
+  track.lastCenter = { x: pending.newCenter.x, y: pending.newCenter.y };
+  const via = Array.isArray(pending.path) ? pending.path.slice(1) : [pending.newCenter];
+  for (const p of via) track.points.push({ x: p.x, y: p.y });
+  pushMoveUndo(track, { phaseKey: track.phaseKey, center: { x: pending.oldCenter.x, y: pending.oldCenter.y }, alloc, points: via.length });
+  persistMoveTrack(game.combat, tokenUuid);
+}
+
 function getCarriedAndBodyWeight(actor) {
   try {
     const { mb, opt } = resolveMovementOption(actor);
@@ -5175,18 +8967,24 @@ function getPrevActionPhaseRange(curRound, grpStart, grpEnd, slotsPerReal, inter
 
 // Reads movementBlock + selected option paceRates.
 // Returns: { bmrPerPhase:number|null, optionLabel:string, maxPaceLabel:string|null, rates:[{pace, perPhase, penaltyText, allowed}] }
-function getActorPaceRates(actor) {
+// modeId (see MOVE_MODES): read that mode's movement option and apply its pace cap; omitted = the
+// option selected on the sheet.
+function getActorPaceRates(actor, modeId = null) {
   const mb = actor?.system?._movementBlock;
   if (!mb || typeof mb !== "object") {
-    return { bmrPerPhase: null, optionLabel: "Unknown", maxPaceLabel: null, rates: [] };
+    return { bmrPerPhase: null, optionLabel: "Unknown", maxPaceLabel: null, rates: [], moveMode: modeId };
   }
 
-  const bmrPerPhase = toNumOrNull(mb.bmr);
+  const mode = MOVE_MODES[modeId] ?? null;
+  const { opt, optKey, fallback } = mode ? resolveMovementOptionForMode(actor, modeId) : { ...resolveMovementOption(actor), fallback: false };
+  let bmrPerPhase = toNumOrNull(mb.bmr);
 
-  const { opt, optKey } = resolveMovementOption(actor);
-  const optionLabel = String(opt?.label ?? opt?.name ?? opt?.value ?? optKey ?? mb.selected ?? "Movement").trim();
+  let optionLabel = String(opt?.label ?? opt?.name ?? opt?.value ?? optKey ?? mb.selected ?? "Movement").trim();
+  if (mode && fallback) optionLabel = `${mode.label} (no ${mode.label.toLowerCase()} rates; ${optionLabel})`;
 
-  const maxPaceLabel = opt?.maxPace ? normalizePaceName(opt.maxPace) : (mb?.maxPace ? normalizePaceName(mb.maxPace) : null);
+  let maxPaceLabel = opt?.maxPace ? normalizePaceName(opt.maxPace) : (mb?.maxPace ? normalizePaceName(mb.maxPace) : null);
+  // Mode cap (e.g. no Sprint/Dash while swimming or climbing): the lower of the two wins.
+  if (mode?.maxPace && (!maxPaceLabel || paceOrderIndex(mode.maxPace) < paceOrderIndex(maxPaceLabel))) maxPaceLabel = mode.maxPace;
 
   const paceRates = Array.isArray(opt?.paceRates) ? opt.paceRates : (Array.isArray(mb?.paceRates) ? mb.paceRates : []);
   const rates = [];
@@ -5213,6 +9011,11 @@ function getActorPaceRates(actor) {
     });
   }
 
+  // mb.bmr belongs to the sheet's selected option: another mode's option uses its own BMR, or its Walk rate (1×BMR).
+  if (mode && !fallback && opt !== resolveMovementOption(actor).opt) {
+    bmrPerPhase = toNumOrNull(opt?.bmr) ?? rates.find(r => r.pace === "Walk")?.perPhase ?? bmrPerPhase;
+  }
+
   // Apply maxPace cap if provided.
   let cappedRates = rates.slice();
   if (maxPaceLabel) {
@@ -5228,7 +9031,7 @@ function getActorPaceRates(actor) {
   // Sort by perPhase increasing.
   cappedRates.sort((a,b) => a.perPhase - b.perPhase);
 
-  return { bmrPerPhase, optionLabel, maxPaceLabel, rates: cappedRates };
+  return { bmrPerPhase, optionLabel, maxPaceLabel, rates: cappedRates, moveMode: modeId };
 }
 
 // Infer pace label using RMU Table 5-3 style multipliers vs BMR.
@@ -5272,6 +9075,16 @@ function capMultiplierForBmrTable(dashOk, maxPaceLabel) {
   return capMult;
 }
 
+// Round pace bands as multiples of BMR (slowest first); shared by the pace inference and the pace rings.
+const PACE_BANDS = [
+  { pace: "Creep", mult: 0.5 },
+  { pace: "Walk", mult: 1 },
+  { pace: "Jog", mult: 2 },
+  { pace: "Run", mult: 3 },
+  { pace: "Sprint", mult: 4 },
+  { pace: "Dash", mult: 5 }
+];
+
 // Infer pace label using RMU Table 5-3 style multipliers vs BMR.
 // distTotal: total distance moved (feet) for the round (or other period).
 // bmrPerRound: BMR distance (feet) for that same period.
@@ -5302,14 +9115,7 @@ function inferPaceFromBmrTable(distTotal, bmrPerRound, dashOk, maxPaceLabel) {
     return { pace: "Creep", mult: 0.5, cap: capFt, capMult };
   }
 
-  const bands = [
-    { pace: "Creep", mult: 0.5 },
-    { pace: "Walk", mult: 1 },
-    { pace: "Jog", mult: 2 },
-    { pace: "Run", mult: 3 },
-    { pace: "Sprint", mult: 4 },
-    { pace: "Dash", mult: 5 },
-  ].filter(t => t.mult <= capMult + 1e-9);
+  const bands = PACE_BANDS.filter(t => t.mult <= capMult + 1e-9);
 
   let chosen = bands[0] ?? { pace: "Walk", mult: 1 };
   for (const t of bands) {
@@ -5366,7 +9172,6 @@ function resetMoveTrackForToken(tokenUuid, phaseKeyId, startCenter, startTopLeft
     // (i.e., the actor exceeded their normal per-slot Move cap). Used to prevent chaining.
     lastBoostedPhaseKeyId: null
   });
-  clearMoveTrail(tokenUuid);
 }
 
 function getRoundTotal(track, round) {
@@ -5418,80 +9223,245 @@ function allocateAcrossSlots(moveSlotKeys, track, segmentFt, perSlotMax) {
   return { allocations, overflow: Math.max(0, remaining) };
 }
 
+// Centers the token passes through in this update: the tracked start, each waypoint Foundry v13 moves
+// it along (options.movement[tokenId].waypoints: drag waypoints / ruler segments, top-left coordinates),
+// and the destination. Without waypoint data this is the straight start → destination line.
+function getMovePathCenters(doc, options, startCenter, endCenter) {
+  const pts = [{ x: startCenter.x, y: startCenter.y }];
+  try {
+    const waypoints = options?.movement?.[doc.id]?.waypoints;
+    if (Array.isArray(waypoints)) {
+      for (const w of waypoints) {
+        if (!Number.isFinite(w?.x) || !Number.isFinite(w?.y)) continue;
+        pts.push(tokenCenterFromTopLeft(w.x, w.y, { width: w.width ?? doc.width, height: w.height ?? doc.height }));
+      }
+    }
+  } catch (_) {}
+  pts.push({ x: endCenter.x, y: endCenter.y });
+  // Drop repeated points (the last waypoint usually is the destination).
+  return pts.filter((p, i) => i === 0 || Math.abs(p.x - pts[i - 1].x) > 0.5 || Math.abs(p.y - pts[i - 1].y) > 0.5);
+}
 
+// Feet per leg of a path of centers. Multi-leg paths use the grid's path measurement so diagonal
+// rules carry across waypoints; a single leg is measured exactly like measureFtBetweenCenters().
+function measurePathLegsFt(points) {
+  if (!canvas?.ready || !Array.isArray(points) || points.length < 2) return [];
+  if (points.length > 2 && typeof canvas.grid?.measurePath === "function") {
+    try {
+      const legs = (canvas.grid.measurePath(points)?.segments ?? []).map(s => Number(s?.distance ?? NaN));
+      if (legs.length === points.length - 1 && legs.every(Number.isFinite)) return legs;
+    } catch (_) {}
+  }
+  const legs = [];
+  for (let i = 1; i < points.length; i++) legs.push(measureFtBetweenCenters(points[i - 1], points[i]));
+  return legs;
+}
 
-// Build a live preview of Move allocations during token drag, so overlays can update in real time.
-// This does NOT commit distance; commit still occurs in updateToken.
-function _updateMovePreviewForToken(token) {
-  try {
-    if (!token?.document?.actor) return;
-    if (!canvas?.ready) return;
-    if (!game?.combat?.started) return;
+// Allocate a path leg by leg via allocateAcrossSlots(), stopping inside the first leg the slots
+// (or maxTotalFt) can't fully cover. gridLegsFt (default legsFt) are the same legs in grid feet.
+// Returns { allocations, gridAllocations, allocatedTotal, clamped, stopLeg, stopFrac } where
+// gridAllocations are the grid feet per slot and stopLeg/stopFrac locate the furthest reachable point.
+function allocatePathAcrossSlots(slotKeys, track, legsFt, perSlotMax, maxTotalFt = Infinity, gridLegsFt = legsFt) {
+  const shadow = { usedBySlot: { ...(track?.usedBySlot ?? {}) } };
+  const allocations = {};
+  const gridAllocations = {};
+  let allocatedTotal = 0;
+  for (let i = 0; i < legsFt.length; i++) {
+    const legFt = Math.max(0, Number(legsFt[i]) || 0);
+    if (legFt <= 0) continue;
+    const want = Math.min(legFt, Math.max(0, maxTotalFt - allocatedTotal));
+    const gridPerFt = Math.max(0, Number(gridLegsFt?.[i] ?? legFt) || 0) / legFt;
+    let got = 0;
+    for (const [k, v] of Object.entries(allocateAcrossSlots(slotKeys, shadow, want, perSlotMax).allocations)) {
+      allocations[k] = (allocations[k] ?? 0) + v;
+      gridAllocations[k] = (gridAllocations[k] ?? 0) + v * gridPerFt;
+      shadow.usedBySlot[k] = Number(shadow.usedBySlot[k] ?? 0) + v;
+      got += v;
+    }
+    allocatedTotal += got;
+    if (legFt - got > MOVE_EPS_FT) return { allocations, gridAllocations, allocatedTotal, clamped: true, stopLeg: i, stopFrac: got / legFt };
+  }
+  return { allocations, gridAllocations, allocatedTotal, clamped: false, stopLeg: legsFt.length - 1, stopFrac: 1 };
+}
 
-    // Do not clamp/block token movement unless the tracker UI is currently open on this client.
-    if (!(globalThis._rmuCptApp?.rendered)) return;
+// Where a clamped move ends: the point stopFrac along leg stopLeg of a route (see applyTerrainToPath()),
+// as a (snapped) top-left position, plus the path actually travelled to it (the original waypoints, not
+// the terrain sub-steps) and its length in effective and grid feet.
+function clampPositionOnPath(doc, route, stopLeg, stopFrac) {
+  const { points, legsFt, gridLegsFt, legMult } = route;
+  const waypoints = route.waypoints ?? points;
+  const a = points[stopLeg];
+  const b = points[stopLeg + 1] ?? a;
+  const gs = Number(canvas?.grid?.size ?? 0) || 0;
+  const cx = a.x + (b.x - a.x) * stopFrac;
+  const cy = a.y + (b.y - a.y) * stopFrac;
+  let nx = cx - (gs * (Number(doc.width ?? 1) || 1)) / 2;
+  let ny = cy - (gs * (Number(doc.height ?? 1) || 1)) / 2;
+
+  // Only snap to grid when the scene is NOT gridless.
+  const gridType = canvas?.scene?.grid?.type;
+  const isGridless = (gridType === 0);
+  if (!isGridless && canvas?.grid?.getSnappedPosition) {
+    const snapped = canvas.grid.getSnappedPosition(nx, ny, doc.width ?? 1);
+    nx = Array.isArray(snapped) ? snapped[0] : (snapped?.x ?? nx);
+    ny = Array.isArray(snapped) ? snapped[1] : (snapped?.y ?? ny);
+  }
 
-    const combat = game.combat;
-    const cur = combat?.combatant;
-    if (!cur || cur.actorId !== token.document.actor.id) return;
+  const center = tokenCenterFromTopLeft(nx, ny, doc);
+  const path = [...waypoints.slice(0, Number(route.srcLeg?.[stopLeg] ?? stopLeg) + 1), center];
+  const lastLegFt = measureFtBetweenCenters(a, center);
+  const sum = (arr) => arr.slice(0, stopLeg).reduce((s, d) => s + Number(d ?? 0), 0);
+  const actualFt = sum(legsFt) + lastLegFt * Number(legMult?.[stopLeg] ?? 1);
+  const actualGridFt = sum(gridLegsFt ?? legsFt) + lastLegFt;
+  return { nx, ny, center, path, actualFt, actualGridFt };
+}
 
-    const { moveSlotKeys, movementDisabled } = getMoveSlotsForActor(combat, token.document.actor.id);
-    if (movementDisabled) {
-      _movePreview.delete(getTokenUuid(token.document));
-      return;
-    }
+// Difficult terrain
+// Scene Regions with the "RMU Difficult Terrain" behavior multiply the feet charged for movement inside
+// them (×2 rubble, ×3 deep water, ...). Pace bands and caps use these effective feet; the overlays
+// also show the grid feet when the two differ (track.gridBySlot).
+const TERRAIN_BEHAVIOR_TYPE = `${MODULE_ID}.terrain`;
 
-    const { phaseInfo, currentInternalStart, currentInternalEnd, internalPhaseCount } = getCurrentInternalSlotRange(combat);
-    const phaseKeyId = `${combat.id}:${phaseInfo.round}:${currentInternalStart}-${currentInternalEnd}`;
+class TerrainRegionBehaviorType extends foundry.data.regionBehaviors.RegionBehaviorType {
+  static defineSchema() {
+    const fields = foundry.data.fields;
+    return {
+      multiplier: new fields.NumberField({
+        required: true, nullable: false, min: 1, max: 10, step: 0.5, initial: 2,
+        label: "Movement Cost Multiplier",
+        hint: "Each foot moved inside this region counts this many feet against pace and movement caps (e.g. 2 for rubble, 3 for deep water)."
+      }),
+      terrain: new fields.StringField({
+        required: false, blank: true, initial: "",
+        label: "Terrain Name",
+        hint: "Optional, shown in the movement readout (e.g. Rubble)."
+      }),
+      mode: new fields.StringField({
+        required: false, blank: true, initial: "",
+        choices: () => Object.fromEntries(Object.entries(MOVE_MODES).map(([id, m]) => [id, m.label])),
+        label: "Movement Mode",
+        hint: "Optional. Tokens inside this region on \"Auto\" movement mode use this mode (e.g. Swim for deep water)."
+      })
+    };
+  }
+}
 
-    const tokenUuid = getTokenUuid(token.document);
-    const doc = token.document;
+function _terrainBehaviors(region) {
+  return Array.from(region?.behaviors ?? []).filter(b => b?.type === TERRAIN_BEHAVIOR_TYPE && !b.disabled);
+}
 
-    const curCenter = tokenCenterFromTopLeft(token.x, token.y, doc);
+function sceneHasTerrainRegions(scene = canvas?.scene) {
+  try {
+    return Array.from(scene?.regions ?? []).some(r => _terrainBehaviors(r).length > 0);
+  } catch (_) {
+    return false;
+  }
+}
 
-    let track = _moveTrack.get(tokenUuid);
-    if (!track) {
-      const startCenter = tokenCenterFromTopLeft(doc.x, doc.y, doc);
-      const startTL = { x: Number(doc.x) || 0, y: Number(doc.y) || 0 };
-      resetMoveTrackForToken(tokenUuid, phaseKeyId, startCenter, startTL);
-      track = _moveTrack.get(tokenUuid);
+// Highest multiplier of the terrain regions containing a point (overlapping regions don't stack),
+// plus the first movement mode one of them declares.
+function getTerrainAt(point, elevation = 0) {
+  let best = { multiplier: 1, terrain: "" };
+  let mode = "";
+  for (const region of (canvas?.scene?.regions ?? [])) {
+    const behaviors = _terrainBehaviors(region);
+    if (!behaviors.length) continue;
+    let inside = false;
+    try {
+      const pt = { x: point.x, y: point.y, elevation: Number(elevation) || 0 };
+      inside = (typeof region.testPoint === "function") ? region.testPoint(pt) : !!region.object?.testPoint?.(pt, pt.elevation);
+    } catch (_) {}
+    if (!inside) continue;
+    for (const b of behaviors) {
+      const m = Number(b.system?.multiplier ?? 1) || 1;
+      if (m > best.multiplier) best = { multiplier: m, terrain: String(b.system?.terrain || region.name || "") };
+      if (!mode && b.system?.mode) mode = String(b.system.mode);
     }
-    if (!track) return;
+  }
+  return { ...best, mode };
+}
 
-    // Ensure phaseKey matches the current internal slot range.
-    if (track.phaseKey !== phaseKeyId || !track.lastCenter) {
-      // New visible phase group: reset both the origin (for Reset Move) and the live line.
-      const startCenter = tokenCenterFromTopLeft(doc.x, doc.y, doc);
-      const startTL = { x: Number(doc.x) || 0, y: Number(doc.y) || 0 };
-      track.phaseKey = phaseKeyId;
-      track.phaseOrigin = { x: startCenter.x, y: startCenter.y };
-      track.phaseOriginTL = { x: startTL.x, y: startTL.y };
-      track.lastCenter = { x: startCenter.x, y: startCenter.y };
-      track.points = [{ x: startCenter.x, y: startCenter.y }];
+// Split a measured path into half-grid steps and charge each step its terrain multiplier.
+// Returns a route { points, gridLegsFt, legsFt (effective), legMult, terrains, waypoints, srcLeg } where
+// waypoints is the input path and srcLeg[i] the input leg route leg i lies on; without terrain regions
+// on the path it is the input path unchanged (every multiplier 1).
+function applyTerrainToPath(points, gridLegsFt, elevation = 0) {
+  const plain = { points, gridLegsFt, legsFt: gridLegsFt, legMult: gridLegsFt.map(() => 1), terrains: [], waypoints: points, srcLeg: gridLegsFt.map((_, i) => i) };
+  if (!sceneHasTerrainRegions()) return plain;
+
+  const step = Math.max(1, (Number(canvas?.grid?.size ?? 0) || 100) / 2);
+  const route = { points: [points[0]], gridLegsFt: [], legsFt: [], legMult: [], terrains: [], waypoints: points, srcLeg: [] };
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const n = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / step));
+    const subFt = Number(gridLegsFt[i - 1] ?? 0) / n;
+    for (let j = 1; j <= n; j++) {
+      const t = getTerrainAt({ x: a.x + (b.x - a.x) * (j - 0.5) / n, y: a.y + (b.y - a.y) * (j - 0.5) / n }, elevation);
+      route.points.push({ x: a.x + (b.x - a.x) * j / n, y: a.y + (b.y - a.y) * j / n });
+      route.gridLegsFt.push(subFt);
+      route.legsFt.push(subFt * t.multiplier);
+      route.legMult.push(t.multiplier);
+      route.srcLeg.push(i - 1);
+      if (t.multiplier > 1 && t.terrain && !route.terrains.includes(t.terrain)) route.terrains.push(t.terrain);
     }
+  }
+  return route.legMult.some(m => m !== 1) ? route : plain;
+}
 
-    const segmentFt = measureFtBetweenCenters(track.lastCenter, curCenter);
-    if (!Number.isFinite(segmentFt) || segmentFt <= 0) {
-      _movePreview.delete(tokenUuid);
-      return;
-    }
+// "(grid N ft)" line for a movement overlay whose effective feet differ from the grid feet.
+function terrainGridNote(track, key) {
+  const grid = track?.gridBySlot?.[key];
+  if (grid == null) return "";
+  const used = Number(track?.usedBySlot?.[key] ?? 0);
+  return (Math.abs(Number(grid) - used) > MOVE_EPS_FT) ? `\n(grid ${Number(grid).toFixed(1)} ft)` : "";
+}
 
-    const paceInfo = getActorPaceRates(doc.actor);
-    const rawBmr = Number(paceInfo.bmrPerPhase ?? 0);
-    // Per user rule: each Move selector grants movement.
-    if (!Number.isFinite(rawBmr) || rawBmr <= 0) return;
+// Movement HUD: grid feet and terrain names of a committed move through difficult terrain.
+function terrainSegmentNote(pending) {
+  const grid = Number(pending?.gridFt);
+  if (!Number.isFinite(grid) || Math.abs(grid - Number(pending?.segmentFt ?? grid)) <= MOVE_EPS_FT) return "";
+  const names = (pending.terrains ?? []).filter(Boolean).join(", ");
+  return ` <span style="opacity:0.85;">(grid ${grid.toFixed(1)} ft${names ? ` • ${escapeHtml(names)}` : ""})</span>`;
+}
 
-    // If we're in a "Move Your BMR" phase, build the existing per-slot preview.
-    const isMovePhase = Array.isArray(moveSlotKeys) && moveSlotKeys.length > 0;
 
-    // Dash special case (same rules as enforcement).
-    const st = (combat.getFlag?.(MODULE_ID, "state") ?? {}) || {};
-    const cd = (st.combatants && cur?.id) ? (st.combatants[cur.id] ?? {}) : {};
-    const planActions = cd.planActions ?? {};
-    const instantAvailable = (cd.instantAction == null || cd.instantAction === "available" || cd.instantAction === "");
-    const concOnCount = countConcOn(normalizeConcFlags(cd));
-    // === PREVIEW MODE A: Move Your BMR ===
-    if (isMovePhase) {
+
+/**
+ * Movement limits of the current combatant's token for the current phase group, using the same rules as
+ * preUpdateToken (pace rates, concentration, load, Dash, 1.25x boost). Shared by the drag preview and the
+ * pace range rings. Returns null when the token cannot move this phase.
+ *   mode "move":       { moveSlotKeys, perSlotMax, canDashThisLastSlot, bmrBaseTotal, maxPaceLabelUsed, dashOkTotal, capTotalFt, ... }
+ *   mode "incidental": { incKey, capPace, capFt, bmrEffective, ... }
+ */
+function computeMoveLimits(combat, cur, doc, track) {
+  const { moveSlotKeys, movementDisabled } = getMoveSlotsForActor(combat, doc.actor.id);
+  if (movementDisabled) return null;
+  const { phaseInfo, currentInternalStart, currentInternalEnd, internalPhaseCount } = getCurrentInternalSlotRange(combat);
+  const tokenUuid = getTokenUuid(doc);
+
+  // Pace rates of the active movement mode (swim/climb/... may lower the pace cap). Mounted riders use
+  // the mount's rates, pace bands and Dash eligibility (getMountFor()).
+  const moveCd = readCombatState(combat).combatants?.[cur?.id];
+  const mount = getMountFor(combat, cur, doc, moveCd);
+  const paceActor = mount?.actor ?? doc.actor;
+  const moveMode = getActiveMoveMode(combat, cur, doc, moveCd);
+  const paceInfo = getActorPaceRates(paceActor, moveMode.id);
+  const rawBmr = Number(paceInfo.bmrPerPhase ?? 0);
+  // Per user rule: each Move selector grants movement.
+  if (!Number.isFinite(rawBmr) || rawBmr <= 0) return null;
+
+  // "Move Your BMR" phase: per-slot caps; otherwise incidental movement.
+  const isMovePhase = Array.isArray(moveSlotKeys) && moveSlotKeys.length > 0;
+
+  // Dash special case (same rules as enforcement).
+  const st = readCombatState(combat);
+  const cd = (st.combatants && cur?.id) ? (st.combatants[cur.id] ?? {}) : {};
+  const planActions = cd.planActions ?? {};
+  const instantAvailable = (cd.instantAction == null || cd.instantAction === "available" || cd.instantAction === "");
+  const concOnCount = countConcOn(normalizeConcFlags(cd));
+  // === MODE A: Move Your BMR ===
+  if (isMovePhase) {
     let baseCap = rawBmr;
     let bmrBaseTotal = rawBmr;
     let maxPaceLabelUsed = paceInfo?.maxPaceLabel;
@@ -5511,34 +9481,31 @@ function _updateMovePreviewForToken(token) {
     const lastMoveKeyM = phaseKey(phaseInfo.round, internalPhaseCount, "m");
     const lastMoveKeyB = phaseKey(phaseInfo.round, internalPhaseCount, "b");
     const lastIsMoveAny = (String(planActions?.[lastMoveKeyM] ?? "none") === MOVE_ACTION_KEY) || (String(planActions?.[lastMoveKeyB] ?? "none") === MOVE_ACTION_KEY);
-    const canDashThisLastSlot = Boolean((concOnCount < 2) && instantAvailable && dashRate && isDashEligibleByLoad(doc.actor) && lastIsMoveAny && (currentInternalEnd === internalPhaseCount));
+    const canDashThisLastSlot = Boolean((concOnCount < 2) && instantAvailable && dashRate && isDashEligibleByLoad(paceActor) && lastIsMoveAny && (currentInternalEnd === internalPhaseCount));
 
     // Determine whether the 1.25x Move-BMR boost applies for this action-phase.
-    // NOTE: This is used for LIVE PREVIEW allocations so the overlay "used" value can exceed 1x BMR
-    // when the boost is active.
+    // NOTE: This lets the overlay "used" value exceed 1x BMR when the boost is active.
     const slotsPerReal = clamp(Number(detectApPerPhase(combat) ?? 1), 1, 4);
     const grpStart = currentInternalStart;
     const grpEnd = currentInternalEnd;
 
     const prev = getPrevActionPhaseRange(phaseInfo?.round ?? 1, grpStart, grpEnd, slotsPerReal, internalPhaseCount);
 
-const prevR = prev.round;
-const prevS = prev.start;
-const prevE = prev.end;
-
-// For the 1.25x rule, we use TOTAL movement made in the previous action-phase (all selectors in that phase),
-// and round boundaries do not matter (we wrap to the previous round when needed).
-let prevMovedFt = (prevR >= 1) ? sumMovementForInternalRange(track, prevR, prevS, prevE) : 0;
-      // If we crossed a round boundary, _moveTrack may have been reset. Use carryover snapshot.
-      if (prevMovedFt <= MOVE_EPS_FT && (prevR >= 1)) {
-        const snap = _prevPhaseCarry.get(tokenUuid);
-        if (snap && snap.combatId === combat.id && Number(snap.round) === Number(prevR) && Number(snap.start) === Number(prevS) && Number(snap.end) === Number(prevE)) {
-          prevMovedFt = Number(snap.totalFt ?? 0);
-        }
-      }
+    const prevR = prev.round;
+    const prevS = prev.start;
+    const prevE = prev.end;
+
+    // For the 1.25x rule, we use TOTAL movement made in the previous action-phase (all selectors in that phase),
+    // and round boundaries do not matter (we wrap to the previous round when needed).
+    let prevMovedFt = (prevR >= 1) ? sumMovementForInternalRange(track, prevR, prevS, prevE) : 0;
+    // If we crossed a round boundary, _moveTrack may have been reset. Use the carryover snapshot / stored round.
+    if (prevMovedFt <= MOVE_EPS_FT && (prevR >= 1)) {
+      const carryFt = getPrevPhaseCarryFt(combat, tokenUuid, prevR, prevS, prevE);
+      if (carryFt != null) prevMovedFt = carryFt;
+    }
     const effectiveBmrForThreshold = (concOnCount === 1) ? (rawBmr * 0.5) : rawBmr;
     const prevMovedEnough = (prevMovedFt >= (0.5 * effectiveBmrForThreshold) - MOVE_EPS_FT);
-    const lightLoadOk = isLightLoadAtMost15(doc.actor);
+    const lightLoadOk = isLightLoadAtMost15(paceActor);
     const canUseMoveBoost = Boolean(lightLoadOk && prevMovedEnough && concOnCount === 0);
     const boostedCap = canUseMoveBoost ? (baseCap * 1.25) : baseCap;
 
@@ -5550,11 +9517,87 @@ let prevMovedFt = (prevR >= 1) ? sumMovementForInternalRange(track, prevR, prevS
       else perSlotMax[k] = boostedCap;
     }
 
-    // BMR base used for RMU pace table (may be modified by concentration rules).
+    const dashOkTotal = Boolean((concOnCount < 2) && instantAvailable && isLightLoadAtMost15(paceActor));
+    const capMultTotal = capMultiplierForBmrTable(dashOkTotal, maxPaceLabelUsed);
+    const capTotalFt = (Number.isFinite(bmrBaseTotal) && bmrBaseTotal > 0) ? (capMultTotal * bmrBaseTotal) : Infinity;
+    return { mode: "move", phaseInfo, moveSlotKeys, perSlotMax, canDashThisLastSlot, canUseMoveBoost, paceInfo, concOnCount, instantAvailable, bmrBaseTotal, maxPaceLabelUsed, dashOkTotal, capTotalFt };
+  }
+
+  // === MODE B: Incidental movement (non-move action selected) ===
+  // Same cap rules as enforcement, allocated to a synthetic slot key for this visible phase group.
+  const capPace = computeIncidentalCapPace({ defaultCap: "Run", loadMaxPaceLabel: paceInfo?.maxPaceLabel, concOnCount });
+  const bmrEffective = (concOnCount === 1) ? (rawBmr * 0.5) : rawBmr;
+  const capFt = Math.max(0, bmrEffective * phasePaceCapFrac(capPace));
+  const incKey = `i${Number(phaseInfo.round ?? 1)}p${currentInternalStart}-${currentInternalEnd}`;
+  return { mode: "incidental", phaseInfo, incKey, capPace, capFt, bmrEffective, paceInfo, concOnCount };
+}
+
+// Build a live preview of Move allocations during token drag, so overlays can update in real time.
+// This does NOT commit distance; commit still occurs in updateToken.
+function _updateMovePreviewForToken(token) {
+  try {
+    if (!token?.document?.actor) return;
+    if (!canvas?.ready) return;
+    if (!game?.combat?.started) return;
+
+    // Do not clamp/block token movement unless the tracker UI is currently open on this client.
+    if (!(globalThis._rmuCptApp?.rendered)) return;
+
+    const combat = game.combat;
+    const cur = combat?.combatant;
+    if (!cur || cur.actorId !== token.document.actor.id) return;
+
+    const { moveSlotKeys, movementDisabled } = getMoveSlotsForActor(combat, token.document.actor.id);
+    if (movementDisabled) {
+      _movePreview.delete(getTokenUuid(token.document));
+      return;
+    }
+
+    const { phaseInfo, currentInternalStart, currentInternalEnd, internalPhaseCount } = getCurrentInternalSlotRange(combat);
+    const phaseKeyId = `${combat.id}:${phaseInfo.round}:${currentInternalStart}-${currentInternalEnd}`;
+
+    const tokenUuid = getTokenUuid(token.document);
+    const doc = token.document;
+
+    const curCenter = tokenCenterFromTopLeft(token.x, token.y, doc);
+
+    let track = _moveTrack.get(tokenUuid);
+    if (!track) {
+      const startCenter = tokenCenterFromTopLeft(doc.x, doc.y, doc);
+      const startTL = { x: Number(doc.x) || 0, y: Number(doc.y) || 0 };
+      resetMoveTrackForToken(tokenUuid, phaseKeyId, startCenter, startTL);
+      track = _moveTrack.get(tokenUuid);
+    }
+    if (!track) return;
+
+    // Ensure phaseKey matches the current internal slot range.
+    if (track.phaseKey !== phaseKeyId || !track.lastCenter) {
+      // New visible phase group: reset both the origin (for Reset Move) and the live line.
+      const startCenter = tokenCenterFromTopLeft(doc.x, doc.y, doc);
+      const startTL = { x: Number(doc.x) || 0, y: Number(doc.y) || 0 };
+      track.phaseKey = phaseKeyId;
+      track.phaseOrigin = { x: startCenter.x, y: startCenter.y };
+      track.phaseOriginTL = { x: startTL.x, y: startTL.y };
+      track.lastCenter = { x: startCenter.x, y: startCenter.y };
+      track.points = [{ x: startCenter.x, y: startCenter.y }];
+    }
+
+    // Same effective (difficult terrain) feet as enforcement; the drag preview follows the straight line.
+    const previewPath = [track.lastCenter, curCenter];
+    const segmentFt = applyTerrainToPath(previewPath, measurePathLegsFt(previewPath), doc.elevation).legsFt.reduce((s, d) => s + d, 0);
+    if (!Number.isFinite(segmentFt) || segmentFt <= 0) {
+      _movePreview.delete(tokenUuid);
+      return;
+    }
+
+    const lim = computeMoveLimits(combat, cur, doc, track);
+    if (!lim) return;
+    const { paceInfo, concOnCount } = lim;
+
+    // === PREVIEW MODE A: Move Your BMR ===
+    if (lim.mode === "move") {
+    const { perSlotMax, canDashThisLastSlot, bmrBaseTotal, maxPaceLabelUsed, capTotalFt } = lim;
         const roundTotalBefore = getRoundTotal(track, phaseInfo?.round ?? 1);
-    const dashOkTotal = Boolean((concOnCount < 2) && instantAvailable && isLightLoadAtMost15(doc.actor));
-    const capMultTotal = capMultiplierForBmrTable(dashOkTotal, maxPaceLabelUsed);
-    const capTotalFt = (Number.isFinite(bmrBaseTotal) && bmrBaseTotal > 0) ? (capMultTotal * bmrBaseTotal) : Infinity;
     const remainingTotalFt = capTotalFt - roundTotalBefore;
     if (Number.isFinite(remainingTotalFt) && remainingTotalFt <= MOVE_EPS_FT) {
       warnMoveOnce(tokenUuid, "cap-total", `Move blocked: movement cap reached.`);
@@ -5593,11 +9636,7 @@ let prevMovedFt = (prevR >= 1) ? sumMovementForInternalRange(track, prevR, prevS
     }
 
     // === PREVIEW MODE B: Incidental movement (non-move action selected) ===
-    // Use the same cap rules as enforcement, but allocate to a synthetic slot key for this visible phase group.
-    const capPace = computeIncidentalCapPace({ defaultCap: "Run", loadMaxPaceLabel: paceInfo?.maxPaceLabel, concOnCount });
-    const bmrEffective = (concOnCount === 1) ? (rawBmr * 0.5) : rawBmr;
-    const capFt = Math.max(0, bmrEffective * phasePaceCapFrac(capPace));
-    const incKey = `i${Number(phaseInfo.round ?? 1)}p${currentInternalStart}-${currentInternalEnd}`;
+    const { incKey, capPace, capFt, bmrEffective } = lim;
     const usedBefore = Number(track?.usedBySlot?.[incKey] ?? 0);
     const remaining = capFt - usedBefore;
     if (!(capFt > 0) || remaining <= MOVE_EPS_FT) {
@@ -5654,6 +9693,138 @@ Hooks.on("refreshToken", (token) => {
 });
 
 
+// ---------------------------------------------------------------------------
+// Pace range rings (optional canvas layer, client setting "showPaceRings")
+// ---------------------------------------------------------------------------
+// Concentric rings around the current combatant's token for the distance still available at each pace
+// this phase, from computeMoveLimits() (the same caps as preUpdateToken). Redrawn whenever the tracker
+// renders, which covers committed moves, drags, state changes and turn changes.
+const PACE_COLORS = {
+  Creep: 0x4caf50,
+  Walk: 0x8bc34a,
+  Jog: 0xffeb3b,
+  Run: 0xff9800,
+  Sprint: 0xf44336,
+  Dash: 0xab47bc
+};
+
+let _paceRings = null;
+
+/**
+ * Remaining feet per pace band for the token this phase: { mode, rings: [{ pace, ft }] } (slowest first),
+ * or null when the token cannot move. A band beyond the phase allowance is cut at the allowance and
+ * faster bands are left out.
+ */
+function computePaceRings(doc) {
+  const combat = game.combat;
+  const cur = combat?.combatant;
+  if (!doc?.actor || !cur || cur.actorId !== doc.actor.id) return null;
+  const track = _moveTrack.get(getTokenUuid(doc)) ?? null;
+  const lim = computeMoveLimits(combat, cur, doc, track);
+  if (!lim) return null;
+
+  const rings = [];
+  if (lim.mode === "move") {
+    const used = (k) => Number(track?.usedBySlot?.[k] ?? 0);
+    const phaseLeft = lim.moveSlotKeys.reduce((s, k) => s + Math.max(0, Number(lim.perSlotMax?.[k] ?? 0) - used(k)), 0);
+    const roundTotal = track ? getRoundTotal(track, lim.phaseInfo?.round ?? 1) : 0;
+    const totalLeft = lim.capTotalFt - roundTotal;
+    const capMult = capMultiplierForBmrTable(lim.dashOkTotal, lim.maxPaceLabelUsed);
+    for (const band of PACE_BANDS) {
+      if (band.mult > capMult + 1e-9) break;
+      const bandLeft = lim.bmrBaseTotal * band.mult - roundTotal;
+      const ft = Math.min(bandLeft, phaseLeft, totalLeft);
+      if (ft <= MOVE_EPS_FT) continue;
+      rings.push({ pace: band.pace, ft });
+      if (ft < bandLeft - MOVE_EPS_FT) break;
+    }
+  } else {
+    const usedHere = Number(track?.usedBySlot?.[lim.incKey] ?? 0);
+    for (const row of PHASE_PACE_TABLE) {
+      const ft = lim.bmrEffective * row.frac - usedHere;
+      if (ft > MOVE_EPS_FT) rings.push({ pace: row.pace, ft });
+      if (row.pace === lim.capPace) break;
+    }
+  }
+  return { mode: lim.mode, rings };
+}
+
+function clearPaceRings() {
+  try { if (_paceRings && !_paceRings.destroyed) _paceRings.destroy({ children: true }); } catch (_) {}
+  _paceRings = null;
+}
+
+function drawPaceRings() {
+  try {
+    clearPaceRings();
+    if (!canvas?.ready || !game?.combat?.started) return;
+    let enabled = false;
+    try { enabled = !!game.settings.get(MODULE_ID, "showPaceRings"); } catch (_) { enabled = false; }
+    // Limits only apply while the tracker is open (see preUpdateToken), so the rings follow it.
+    if (!enabled || !(globalThis._rmuCptApp?.rendered)) return;
+
+    const doc = game.combat.combatant?.token;
+    if (!doc?.isOwner || doc.parent?.id !== canvas.scene?.id) return;
+    const info = computePaceRings(doc);
+    if (!info?.rings?.length) return;
+
+    const pxPerFt = Number(canvas.dimensions?.size ?? 0) / Number(canvas.dimensions?.distance ?? 0);
+    if (!Number.isFinite(pxPerFt) || pxPerFt <= 0) return;
+    const center = tokenCenterFromTopLeft(doc.x, doc.y, doc);
+
+    const layer = new PIXI.Container();
+    const g = new PIXI.Graphics();
+    layer.addChild(g);
+    // Largest ring first so the translucent fills of the inner rings stack on top.
+    for (const ring of [...info.rings].reverse()) {
+      const color = PACE_COLORS[ring.pace] ?? 0xffffff;
+      g.lineStyle(2, color, 0.9);
+      g.beginFill(color, 0.05);
+      g.drawCircle(center.x, center.y, ring.ft * pxPerFt);
+      g.endFill();
+
+      const label = new PIXI.Text(`${ring.pace} ${ring.ft.toFixed(1)} ft`, {
+        fontFamily: "Vollkorn, serif",
+        fontSize: 12,
+        fill: color,
+        stroke: 0x000000,
+        strokeThickness: 3
+      });
+      label.resolution = 2;
+      label.x = center.x - (label.width / 2);
+      label.y = center.y - (ring.ft * pxPerFt) - label.height;
+      layer.addChild(label);
+    }
+    canvas.interface.addChild(layer);
+    _paceRings = layer;
+  } catch (e) {
+    console.warn(`${MODULE_ID} | Could not draw pace rings`, e);
+  }
+}
+
+const schedulePaceRings = foundry.utils.debounce(drawPaceRings, 50);
+
+Hooks.on("renderRMUCombatPhaseTrackerApp", () => schedulePaceRings());
+Hooks.on("closeRMUCombatPhaseTrackerApp", () => clearPaceRings());
+Hooks.on("canvasReady", () => schedulePaceRings());
+Hooks.on("canvasTearDown", () => {
+  clearPaceRings();
+  for (const k of Array.from(_moveGraphics.keys())) _destroyMoveTrailGraphics(k);
+});
+Hooks.on("canvasReady", () => drawAllMoveTrails());
+
+// Vision changes show or hide other tokens' trails for players.
+const _redrawMoveTrailsSoon = foundry.utils.debounce(() => { try { drawAllMoveTrails(); } catch (_) {} }, 150);
+Hooks.on("sightRefresh", () => {
+  if (game.user.isGM || !_moveTrails.size || !isMoveTrailEnabled()) return;
+  _redrawMoveTrailsSoon();
+});
+Hooks.on("updateToken", (doc, change) => {
+  if (change?.hidden !== undefined && _moveTrails.has(getTokenUuid(doc))) drawMoveTrail(getTokenUuid(doc));
+});
+Hooks.on("deleteCombat", () => clearPaceRings());
+
+
 function _clearMovePreviewForToken(tokenDocOrUuid) {
   try {
     const tokenUuid = (typeof tokenDocOrUuid === "string") ? tokenDocOrUuid : getTokenUuid(tokenDocOrUuid);
@@ -5666,97 +9837,92 @@ function _clearMovePreviewForToken(tokenDocOrUuid) {
 // ---------------------------------------------------------------------------
 // Movement enforcement & overlays (token drag clamping + live preview HUD)
 // ---------------------------------------------------------------------------
-Hooks.on("preUpdateToken", (doc, change, options, userId) => {
-  try {
-    if (options && options.rmuCptUndo) return;
-    if (options && options.rmuCptClamp) return;
-    if (!canvas?.ready) return;
-    if (!game?.combat?.started) return;
-
-    // === USER RULE: UI OFF => MODULE MUST NOT AFFECT TOKEN MOVEMENT AT ALL ===
-    // If the tracker UI is not currently rendered (hidden/closed), we do not clamp/block
-    // movement and we do not update any movement tracking numbers.
-    if (!(globalThis._rmuCptApp?.rendered)) return;
-
-    const hasXY = (change && (typeof change.x === "number" || typeof change.y === "number"));
-    if (!hasXY) return;
+/**
+ * Check a token move from fromTL to toTL (top-left positions) against the current combatant's movement
+ * caps. Used by preUpdateToken on the moving client and, with GM-authoritative enforcement, by the GM
+ * for player moves that arrive without a checked payload. May create/resync the token's local track.
+ * Returns null (not tracked), { block, message, warnKey? }, { clamp: {x,y}, pending, message? } or { pending }.
+ */
+function evaluateTokenMove(doc, fromTL, toTL, options) {
+  const token = canvas.tokens?.get(doc.id);
+  if (!token || !doc.actor) return null;
 
-    // Only enforce for the user who is making the move.
-    if (userId && userId !== game.user.id) return;
+  const combat = game.combat;
+  const cur = combat?.combatant;
+  if (!cur || cur.actorId !== doc.actor.id) return null;
 
-    const token = canvas.tokens?.get(doc.id);
-    if (!token || !doc.actor) return;
+  const { moveSlotKeys, movementDisabled } = getMoveSlotsForActor(combat, doc.actor.id);
+  if (movementDisabled) {
+    return { block: true, message: `Movement disabled: no actions selected in this phase.` };
+  }
 
-    const combat = game.combat;
-    const cur = combat?.combatant;
-    if (!cur || cur.actorId !== doc.actor.id) return;
+  const isMovePhase = Array.isArray(moveSlotKeys) && moveSlotKeys.length > 0;
 
-    const { moveSlotKeys, movementDisabled } = getMoveSlotsForActor(combat, doc.actor.id);
-    if (movementDisabled) {
-      ui.notifications.warn(`Movement disabled: no actions selected in this phase.`);
-      return false;
-    }
+  // Determine the "phase key id" for movement state: combat + round + current internal slot range end.
+  const { phaseInfo, currentInternalStart, currentInternalEnd, internalPhaseCount } = getCurrentInternalSlotRange(combat);
+  const phaseKeyId = `${combat.id}:${phaseInfo.round}:${currentInternalStart}-${currentInternalEnd}`;
 
-    const isMovePhase = Array.isArray(moveSlotKeys) && moveSlotKeys.length > 0;
+  const tokenUuid = getTokenUuid(doc);
+  const oldCenter = tokenCenterFromTopLeft(fromTL.x, fromTL.y, doc);
+  const newCenter = tokenCenterFromTopLeft(toTL.x, toTL.y, doc);
+
+  let track = _moveTrack.get(tokenUuid);
+  if (!track) {
+    const startTL = { x: Number(fromTL.x) || 0, y: Number(fromTL.y) || 0 };
+    resetMoveTrackForToken(tokenUuid, phaseKeyId, oldCenter, startTL);
+    track = _moveTrack.get(tokenUuid);
+  } else if (track.phaseKey !== phaseKeyId || !track.lastCenter) {
+    // New phase slot group: reset the origin/line.
+    track.phaseKey = phaseKeyId;
+    track.phaseOrigin = { x: oldCenter.x, y: oldCenter.y };
+    track.phaseOriginTL = { x: Number(fromTL.x) || 0, y: Number(fromTL.y) || 0 };
+    track.lastCenter = { x: oldCenter.x, y: oldCenter.y };
+    track.points = [{ x: oldCenter.x, y: oldCenter.y }];
+  }
 
-    // Determine the "phase key id" for movement state: combat + round + current internal slot range end.
-    const { phaseInfo, currentInternalStart, currentInternalEnd, internalPhaseCount } = getCurrentInternalSlotRange(combat);
-    const phaseKeyId = `${combat.id}:${phaseInfo.round}:${currentInternalStart}-${currentInternalEnd}`;
+  // If this move begins from a different position than we think, resync lastCenter.
+  if (track && track.lastCenter && (Math.abs(track.lastCenter.x - oldCenter.x) > 2 || Math.abs(track.lastCenter.y - oldCenter.y) > 2)) {
+    track.lastCenter = { x: oldCenter.x, y: oldCenter.y };
+    track.points = [{ x: oldCenter.x, y: oldCenter.y }];
+  }
 
-    const tokenUuid = getTokenUuid(doc);
-    const oldCenter = tokenCenterFromTopLeft(doc.x, doc.y, doc);
-    const nx0 = (typeof change.x === "number") ? change.x : doc.x;
-    const ny0 = (typeof change.y === "number") ? change.y : doc.y;
-    const newCenter = tokenCenterFromTopLeft(nx0, ny0, doc);
+  // Charge the path actually travelled (drag waypoints / ruler segments), not the straight shortcut.
+  const pathCenters = getMovePathCenters(doc, options, track?.lastCenter ?? oldCenter, newCenter);
+  // Difficult terrain: pace and caps use effective feet (route.legsFt), the overlay also shows grid feet.
+  const route = applyTerrainToPath(pathCenters, measurePathLegsFt(pathCenters), doc.elevation);
+  const segmentFt = route.legsFt.reduce((s, d) => s + d, 0);
+  const gridFt = route.gridLegsFt.reduce((s, d) => s + d, 0);
+  if (!Number.isFinite(segmentFt) || segmentFt <= 0) return null;
+
+  // Pace rates of the active movement mode (swim/climb/... may lower the pace cap). Mounted riders use
+  // the mount's rates, pace bands and Dash eligibility (getMountFor()).
+  const moveCd = readCombatState(combat).combatants?.[cur?.id];
+  const mount = getMountFor(combat, cur, doc, moveCd);
+  const paceActor = mount?.actor ?? doc.actor;
+  const moveMode = getActiveMoveMode(combat, cur, doc, moveCd);
+  const paceInfo = getActorPaceRates(paceActor, moveMode.id);
+  const rawBmr = Number(paceInfo.bmrPerPhase ?? 0);
+  if (!Number.isFinite(rawBmr) || rawBmr <= 0) return null;
+
+  // Pull combatant state (concentration, instantaneous, planActions).
+  const st = readCombatState(combat);
+  const cd = (st.combatants && cur?.id) ? (st.combatants[cur.id] ?? {}) : {};
+  const planActions = cd.planActions ?? {};
+  const instantAvailable = (cd.instantAction == null || cd.instantAction === "available" || cd.instantAction === "");
+  const concOnCount = countConcOn(normalizeConcFlags(cd));
+
+  // === MODE A: Move Your BMR ===
+  if (isMovePhase) {
+    let baseCap = rawBmr;
+    let bmrBaseTotal = rawBmr;
+    let maxPaceLabelUsed = paceInfo?.maxPaceLabel;
+    let dashScale = 1;
 
-    let track = _moveTrack.get(tokenUuid);
-    if (!track) {
-      const startTL = { x: Number(doc.x) || 0, y: Number(doc.y) || 0 };
-      resetMoveTrackForToken(tokenUuid, phaseKeyId, oldCenter, startTL);
-      track = _moveTrack.get(tokenUuid);
-    } else if (track.phaseKey !== phaseKeyId || !track.lastCenter) {
-      // New phase slot group: reset the origin/line.
-      track.phaseKey = phaseKeyId;
-      track.phaseOrigin = { x: oldCenter.x, y: oldCenter.y };
-      track.phaseOriginTL = { x: Number(doc.x) || 0, y: Number(doc.y) || 0 };
-      track.lastCenter = { x: oldCenter.x, y: oldCenter.y };
-      track.points = [{ x: oldCenter.x, y: oldCenter.y }];
-      clearMoveTrail(tokenUuid);
-    }
-
-    // If this move begins from a different position than we think, resync lastCenter.
-    if (track && track.lastCenter && (Math.abs(track.lastCenter.x - oldCenter.x) > 2 || Math.abs(track.lastCenter.y - oldCenter.y) > 2)) {
-      track.lastCenter = { x: oldCenter.x, y: oldCenter.y };
-      track.points = [{ x: oldCenter.x, y: oldCenter.y }];
-      clearMoveTrail(tokenUuid);
-    }
-
-    const segmentFt = measureFtBetweenCenters(track?.lastCenter ?? oldCenter, newCenter);
-    if (!Number.isFinite(segmentFt) || segmentFt <= 0) return;
-
-    const paceInfo = getActorPaceRates(doc.actor);
-    const rawBmr = Number(paceInfo.bmrPerPhase ?? 0);
-    if (!Number.isFinite(rawBmr) || rawBmr <= 0) return;
-
-    // Pull combatant state (concentration, instantaneous, planActions).
-    const st = (combat.getFlag?.(MODULE_ID, "state") ?? {}) || {};
-    const cd = (st.combatants && cur?.id) ? (st.combatants[cur.id] ?? {}) : {};
-    const planActions = cd.planActions ?? {};
-    const instantAvailable = (cd.instantAction == null || cd.instantAction === "available" || cd.instantAction === "");
-    const concOnCount = countConcOn(normalizeConcFlags(cd));
-
-    // === MODE A: Move Your BMR ===
-    if (isMovePhase) {
-      let baseCap = rawBmr;
-      let bmrBaseTotal = rawBmr;
-      let maxPaceLabelUsed = paceInfo?.maxPaceLabel;
-      let dashScale = 1;
-
-      // --- 1.25x Move-BMR rule (light load + prior phase moved >= 1/2 BMR) ---
-      // If the actor has <= 15% load AND in the previous action phase they moved at least half their
-      // effective BMR, they may move up to 1.25x BMR in a Move slot.
-      const slotsPerRealPhase = clamp(Number(detectApPerPhase(combat) ?? 1), 1, 4);
-      const prev = getPrevActionPhaseRange(phaseInfo?.round ?? 1, currentInternalStart, currentInternalEnd, slotsPerRealPhase, internalPhaseCount);
+    // --- 1.25x Move-BMR rule (light load + prior phase moved >= 1/2 BMR) ---
+    // If the actor has <= 15% load AND in the previous action phase they moved at least half their
+    // effective BMR, they may move up to 1.25x BMR in a Move slot.
+    const slotsPerRealPhase = clamp(Number(detectApPerPhase(combat) ?? 1), 1, 4);
+    const prev = getPrevActionPhaseRange(phaseInfo?.round ?? 1, currentInternalStart, currentInternalEnd, slotsPerRealPhase, internalPhaseCount);
 
 const prevR = prev.round;
 const prevS = prev.start;
@@ -5765,219 +9931,376 @@ const prevE = prev.end;
 // For the 1.25x rule, we use TOTAL movement made in the previous action-phase (all selectors in that phase),
 // and round boundaries do not matter (we wrap to the previous round when needed).
 // IMPORTANT: _moveTrack is cleared on round changes, so when we cross a round boundary we must fall back
-// to the carryover snapshot so enforcement matches the overlay.
+// to the carryover snapshot (or the stored previous round) so enforcement matches the overlay.
 let prevMovedFt = (prevR >= 1) ? sumMovementForInternalRange(track, prevR, prevS, prevE) : 0;
 if (prevMovedFt <= MOVE_EPS_FT && (prevR >= 1)) {
-  const snap = _prevPhaseCarry.get(tokenUuid);
-  if (snap && snap.combatId === combat.id && Number(snap.round) === Number(prevR) && Number(snap.start) === Number(prevS) && Number(snap.end) === Number(prevE)) {
-    prevMovedFt = Number(snap.totalFt ?? 0);
-  }
-}
-      // Effective BMR (per-phase) for threshold purposes.
-      const effectiveBmrForThreshold = (concOnCount === 1) ? (rawBmr * 0.5) : rawBmr;
-      const lightLoadOk = isLightLoadAtMost15(doc.actor);
-      const prevMovedEnough = (prevMovedFt >= (0.5 * effectiveBmrForThreshold) - MOVE_EPS_FT);
-      const canUseMoveBoost = Boolean(lightLoadOk && prevMovedEnough && concOnCount === 0);
-
-      // Concentration rules:
-      // - single: BMR itself is halved (so Move selector cap halves)
-      // - double: movement is capped at Creep (0.5×BMR) for the selector
-      if (concOnCount === 1) {
-        baseCap = rawBmr * 0.5;
-        bmrBaseTotal = rawBmr * 0.5;
-        dashScale = 0.5;
-      } else if (concOnCount >= 2) {
-        baseCap = rawBmr * 0.5;
-        bmrBaseTotal = rawBmr;
-        maxPaceLabelUsed = "Creep";
-      }
+  const carryFt = getPrevPhaseCarryFt(combat, tokenUuid, prevR, prevS, prevE);
+  if (carryFt != null) prevMovedFt = carryFt;
+}
+    // Effective BMR (per-phase) for threshold purposes.
+    const effectiveBmrForThreshold = (concOnCount === 1) ? (rawBmr * 0.5) : rawBmr;
+    const lightLoadOk = isLightLoadAtMost15(paceActor);
+    const prevMovedEnough = (prevMovedFt >= (0.5 * effectiveBmrForThreshold) - MOVE_EPS_FT);
+    const canUseMoveBoost = Boolean(lightLoadOk && prevMovedEnough && concOnCount === 0);
 
-      const dashRate = (paceInfo.rates ?? []).find(r => r.pace === "Dash" && r.allowed);
-      // Dash is only meaningful if the FINAL internal slot is also a "Move Your BMR" selection.
-      const lastMoveKeyM = phaseKey(phaseInfo.round, internalPhaseCount, "m");
-      const lastMoveKeyB = phaseKey(phaseInfo.round, internalPhaseCount, "b");
-      const lastIsMoveAny = (String(planActions?.[lastMoveKeyM] ?? "none") === MOVE_ACTION_KEY) || (String(planActions?.[lastMoveKeyB] ?? "none") === MOVE_ACTION_KEY);
-      const canDashThisLastSlot = Boolean((concOnCount < 2) && instantAvailable && dashRate && isDashEligibleByLoad(doc.actor) && lastIsMoveAny && (currentInternalEnd === internalPhaseCount));
-
-      const perSlotMax = {};
-      const normalPerSlotCap = {};
-      for (const k of moveSlotKeys) {
-        const mm = String(k).match(/^r(\d+)p(\d+)[mb]$/);
-        const internalP = mm ? Number(mm[2]) : null;
-
-        // Base (non-boosted) per-slot cap.
-        let normalCapHere = baseCap;
-
-        // Dash is only meaningful as a special last-slot cap and is NOT affected by the 1.25x rule.
-        if (canDashThisLastSlot && internalP === internalPhaseCount) {
-          normalCapHere = Number(dashRate?.perPhase ?? baseCap) * dashScale;
-          normalPerSlotCap[k] = normalCapHere;
-          perSlotMax[k] = normalCapHere;
-          continue;
-        }
+    // Concentration rules:
+    // - single: BMR itself is halved (so Move selector cap halves)
+    // - double: movement is capped at Creep (0.5×BMR) for the selector
+    if (concOnCount === 1) {
+      baseCap = rawBmr * 0.5;
+      bmrBaseTotal = rawBmr * 0.5;
+      dashScale = 0.5;
+    } else if (concOnCount >= 2) {
+      baseCap = rawBmr * 0.5;
+      bmrBaseTotal = rawBmr;
+      maxPaceLabelUsed = "Creep";
+    }
 
+    const dashRate = (paceInfo.rates ?? []).find(r => r.pace === "Dash" && r.allowed);
+    // Dash is only meaningful if the FINAL internal slot is also a "Move Your BMR" selection.
+    const lastMoveKeyM = phaseKey(phaseInfo.round, internalPhaseCount, "m");
+    const lastMoveKeyB = phaseKey(phaseInfo.round, internalPhaseCount, "b");
+    const lastIsMoveAny = (String(planActions?.[lastMoveKeyM] ?? "none") === MOVE_ACTION_KEY) || (String(planActions?.[lastMoveKeyB] ?? "none") === MOVE_ACTION_KEY);
+    const canDashThisLastSlot = Boolean((concOnCount < 2) && instantAvailable && dashRate && isDashEligibleByLoad(paceActor) && lastIsMoveAny && (currentInternalEnd === internalPhaseCount));
+
+    const perSlotMax = {};
+    const normalPerSlotCap = {};
+    for (const k of moveSlotKeys) {
+      const mm = String(k).match(/^r(\d+)p(\d+)[mb]$/);
+      const internalP = mm ? Number(mm[2]) : null;
+
+      // Base (non-boosted) per-slot cap.
+      let normalCapHere = baseCap;
+
+      // Dash is only meaningful as a special last-slot cap and is NOT affected by the 1.25x rule.
+      if (canDashThisLastSlot && internalP === internalPhaseCount) {
+        normalCapHere = Number(dashRate?.perPhase ?? baseCap) * dashScale;
         normalPerSlotCap[k] = normalCapHere;
-        perSlotMax[k] = canUseMoveBoost ? (normalCapHere * 1.25) : normalCapHere;
+        perSlotMax[k] = normalCapHere;
+        continue;
       }
 
-      // Total cap across the round from the RMU pace table (do not scale BMR by phase-count).
-      const roundTotalBefore = getRoundTotal(track, phaseInfo?.round ?? 1);
-      const dashOkTotal = Boolean((concOnCount < 2) && instantAvailable && isLightLoadAtMost15(doc.actor));
-    const capMultTotal = capMultiplierForBmrTable(dashOkTotal, maxPaceLabelUsed);
-      const capTotalFt = (Number.isFinite(bmrBaseTotal) && bmrBaseTotal > 0) ? (capMultTotal * bmrBaseTotal) : Infinity;
-      const remainingTotalFt = capTotalFt - roundTotalBefore;
-      if (Number.isFinite(remainingTotalFt) && remainingTotalFt <= MOVE_EPS_FT) {
-        warnMoveOnce(tokenUuid, "cap-load", `Move blocked: LOAD pace cap reached.`);
-        return false;
-      }
-      const segmentFtAllowed = Number.isFinite(remainingTotalFt) ? Math.min(segmentFt, Math.max(0, remainingTotalFt)) : segmentFt;
-      const totalCapClamped = (segmentFt - segmentFtAllowed) > MOVE_EPS_FT;
+      normalPerSlotCap[k] = normalCapHere;
+      perSlotMax[k] = canUseMoveBoost ? (normalCapHere * 1.25) : normalCapHere;
+    }
 
-      const { allocations, overflow } = allocateAcrossSlots(moveSlotKeys, track, segmentFtAllowed, perSlotMax);
+    // Total cap across the round from the RMU pace table (do not scale BMR by phase-count).
+    const roundTotalBefore = getRoundTotal(track, phaseInfo?.round ?? 1);
+    const dashOkTotal = Boolean((concOnCount < 2) && instantAvailable && isLightLoadAtMost15(paceActor));
+  const capMultTotal = capMultiplierForBmrTable(dashOkTotal, maxPaceLabelUsed);
+    const capTotalFt = (Number.isFinite(bmrBaseTotal) && bmrBaseTotal > 0) ? (capMultTotal * bmrBaseTotal) : Infinity;
+    const remainingTotalFt = capTotalFt - roundTotalBefore;
+    if (Number.isFinite(remainingTotalFt) && remainingTotalFt <= MOVE_EPS_FT) {
+      return { block: true, warnKey: "cap-load", message: `Move blocked: LOAD pace cap reached.` };
+    }
+    // Each leg of the path is allocated in order; the round total cap limits the whole path.
+    const alloc = allocatePathAcrossSlots(moveSlotKeys, track, route.legsFt, perSlotMax, remainingTotalFt, route.gridLegsFt);
+    const { allocations, gridAllocations, allocatedTotal } = alloc;
 
-      // If no capacity remains at all, block the move.
-      const allocatedTotal = Object.values(allocations).reduce((a,b)=>a+Number(b??0), 0);
-      if (allocatedTotal <= 1e-6) {
-        ui.notifications.warn(`Move limit reached for this phase.`);
-        return false;
-      }
+    // If no capacity remains at all, block the move.
+    if (allocatedTotal <= 1e-6) {
+      return { block: true, message: `Move limit reached for this phase.` };
+    }
 
-      // Clamp the position along the drag vector (do NOT snap back to origin).
-      if (overflow > MOVE_EPS_FT || totalCapClamped) {
-        const scale = (segmentFt > 0) ? (allocatedTotal / segmentFt) : 0;
-
-        const oldX = Number(doc.x ?? 0);
-        const oldY = Number(doc.y ?? 0);
-        const tgtX = (typeof change.x === "number") ? change.x : oldX;
-        const tgtY = (typeof change.y === "number") ? change.y : oldY;
-
-        let nx = oldX + (tgtX - oldX) * scale;
-        let ny = oldY + (tgtY - oldY) * scale;
-
-        // Only snap to grid when the scene is NOT gridless.
-        const gridType = canvas?.scene?.grid?.type;
-        const isGridless = (gridType === 0);
-        if (!isGridless && canvas?.grid?.getSnappedPosition) {
-          const snapped = canvas.grid.getSnappedPosition(nx, ny, doc.width ?? 1);
-          nx = Array.isArray(snapped) ? snapped[0] : (snapped?.x ?? nx);
-          ny = Array.isArray(snapped) ? snapped[1] : (snapped?.y ?? ny);
-        }
+    // Clamp the position along the path (do NOT snap back to origin).
+    if (alloc.clamped) {
+      // Scale allocations to match the *actual* (snapped) clamped move distance.
+      const { nx, ny, center: cc, path, actualFt, actualGridFt } = clampPositionOnPath(doc, route, alloc.stopLeg, alloc.stopFrac);
+      const allocScale = (allocatedTotal > 0) ? Math.max(0, Math.min(1, actualFt / allocatedTotal)) : 1;
+      for (const k of Object.keys(allocations)) allocations[k] = Number(allocations[k] ?? 0) * allocScale;
+      // Grid feet per slot follow the snapped end point too.
+      const gridAllocated = Object.values(gridAllocations).reduce((a, b) => a + Number(b ?? 0), 0);
+      const gridScale = (gridAllocated > 0) ? Math.max(0, Math.min(1, actualGridFt / gridAllocated)) : 1;
+      for (const k of Object.keys(gridAllocations)) gridAllocations[k] = Number(gridAllocations[k] ?? 0) * gridScale;
+
+      const segPace = inferPaceFromBmrTable(roundTotalBefore + Object.values(allocations).reduce((a, b) => a + Number(b ?? 0), 0), bmrBaseTotal, dashOkTotal, maxPaceLabelUsed).pace;
+	      const pending = { mode: "move", tokenUuid, pace: segPace, mountTokenId: mount?.tokenDoc?.id ?? null, oldCenter: track.lastCenter, newCenter: cc, path, segmentFt: actualFt, gridFt: actualGridFt, terrains: route.terrains, allocations, gridAllocations, perSlotMax, normalPerSlotCap, moveBoostActive: canUseMoveBoost, phaseKeyId, paceInfo, phaseInfo, canDashThisLastSlot, instantAvailable, concOnCount, bmrBaseTotal, maxPaceLabelUsed };
+      return { clamp: { x: nx, y: ny }, pending, message: `Move clamped to remaining allowance.` };
+    }
 
-        // Build the clamped newCenter and scale allocations to match the *actual* clamped move distance.
-        const cc = tokenCenterFromTopLeft(nx, ny, doc);
-        const actualFt = measureFtBetweenCenters(track.lastCenter, cc);
-        const allocScale = (allocatedTotal > 0) ? Math.max(0, Math.min(1, actualFt / allocatedTotal)) : 1;
-        for (const k of Object.keys(allocations)) allocations[k] = Number(allocations[k] ?? 0) * allocScale;
+    // Normal (non-clamped) move; committed in updateToken.
+    const segPace = inferPaceFromBmrTable(roundTotalBefore + allocatedTotal, bmrBaseTotal, dashOkTotal, maxPaceLabelUsed).pace;
+	      return { pending: { mode: "move", tokenUuid, pace: segPace, mountTokenId: mount?.tokenDoc?.id ?? null, oldCenter: track.lastCenter, newCenter, path: pathCenters, segmentFt, gridFt, terrains: route.terrains, allocations, gridAllocations, perSlotMax, normalPerSlotCap, moveBoostActive: canUseMoveBoost, phaseKeyId, paceInfo, phaseInfo, canDashThisLastSlot, instantAvailable, concOnCount, bmrBaseTotal, maxPaceLabelUsed } };
+  }
 
-	      const pending = { mode: "move", tokenUuid, oldCenter: track.lastCenter, newCenter: cc, allocations, perSlotMax, normalPerSlotCap, moveBoostActive: canUseMoveBoost, phaseKeyId, paceInfo, phaseInfo, canDashThisLastSlot, instantAvailable, concOnCount, bmrBaseTotal, maxPaceLabelUsed };
+  // === MODE B: Incidental movement (non-move action selected) ===
+  // Cap is Run by default, unless a lower cap (load, double concentration, etc.) applies.
+  const capPace = computeIncidentalCapPace({ defaultCap: "Run", loadMaxPaceLabel: paceInfo?.maxPaceLabel, concOnCount });
+  const bmrEffective = (concOnCount === 1) ? (rawBmr * 0.5) : rawBmr;
+  const capFt = Math.max(0, bmrEffective * phasePaceCapFrac(capPace));
 
-        const t0 = _moveHudThrottle.get(tokenUuid) ?? 0;
-        const now = Date.now();
-        if (now - t0 > 600) {
-          _moveHudThrottle.set(tokenUuid, now);
-          ui.notifications.info(`Move clamped to remaining allowance.`);
-        }
+  const incKey = `i${phaseInfo.round}p${currentInternalStart}-${currentInternalEnd}`;
+  const usedBefore = Number(track?.usedBySlot?.[incKey] ?? 0);
+  const remaining = capFt - usedBefore;
 
-        setTimeout(() => {
-          try {
-            doc.update({ x: nx, y: ny }, { animate: false, rmuCptClamp: true, _rmuCptMovePending: pending });
-          } catch (e) {
-            console.error(`${MODULE_ID} | clamp update failed`, e);
-          }
-        }, 0);
+  if (!(capFt > 0) || remaining <= MOVE_EPS_FT) {
+    return { block: true, warnKey: "cap-phase", message: `Move blocked: phase movement cap reached.` };
+  }
 
-        return false;
-      }
+  const perSlotMax = { [incKey]: capFt };
+  const alloc = allocatePathAcrossSlots([incKey], track, route.legsFt, perSlotMax, Infinity, route.gridLegsFt);
+  const allowed = alloc.allocatedTotal;
 
-      // Normal (non-clamped) move; commit in updateToken.
-	      options._rmuCptMovePending = { mode: "move", tokenUuid, oldCenter: track.lastCenter, newCenter, allocations, perSlotMax, normalPerSlotCap, moveBoostActive: canUseMoveBoost, phaseKeyId, paceInfo, phaseInfo, canDashThisLastSlot, instantAvailable, concOnCount, bmrBaseTotal, maxPaceLabelUsed };
-      return;
-    }
+  if (allowed <= 1e-6) {
+    return { block: true, warnKey: "cap-phase", message: `Move blocked: phase movement cap reached.` };
+  }
 
-    // === MODE B: Incidental movement (non-move action selected) ===
-    // Cap is Run by default, unless a lower cap (load, double concentration, etc.) applies.
-    const capPace = computeIncidentalCapPace({ defaultCap: "Run", loadMaxPaceLabel: paceInfo?.maxPaceLabel, concOnCount });
-    const bmrEffective = (concOnCount === 1) ? (rawBmr * 0.5) : rawBmr;
-    const capFt = Math.max(0, bmrEffective * phasePaceCapFrac(capPace));
+  const allocations = { [incKey]: allowed };
+  const gridAllocations = { [incKey]: Number(alloc.gridAllocations[incKey] ?? 0) };
 
-    const incKey = `i${phaseInfo.round}p${currentInternalStart}-${currentInternalEnd}`;
-    const usedBefore = Number(track?.usedBySlot?.[incKey] ?? 0);
-    const remaining = capFt - usedBefore;
+  if (alloc.clamped) {
+    const { nx, ny, center: cc, path, actualFt, actualGridFt } = clampPositionOnPath(doc, route, alloc.stopLeg, alloc.stopFrac);
+    allocations[incKey] = Math.max(0, Math.min(allowed, actualFt));
+    gridAllocations[incKey] = Math.max(0, actualGridFt);
 
-    if (!(capFt > 0) || remaining <= MOVE_EPS_FT) {
-      warnMoveOnce(tokenUuid, "cap-phase", `Move blocked: phase movement cap reached.`);
-      return false;
-    }
+    const segPace = inferPhasePacePenalty(usedBefore + allocations[incKey], bmrEffective, capPace).pace;
+    const pending = { mode: "incidental", tokenUuid, pace: segPace, phaseKeyId, mountTokenId: mount?.tokenDoc?.id ?? null, oldCenter: track.lastCenter, newCenter: cc, path, segmentFt: actualFt, gridFt: actualGridFt, terrains: route.terrains, allocations, gridAllocations, perSlotMax, paceInfo, phaseInfo, concOnCount, capPace, bmrEffective, incKey };
+    return { clamp: { x: nx, y: ny }, pending };
+  }
 
-    const allowed = Math.min(segmentFt, Math.max(0, remaining));
-    const overflow = Math.max(0, segmentFt - allowed);
+  const segPace = inferPhasePacePenalty(usedBefore + allowed, bmrEffective, capPace).pace;
+  return { pending: { mode: "incidental", tokenUuid, pace: segPace, phaseKeyId, mountTokenId: mount?.tokenDoc?.id ?? null, oldCenter: track.lastCenter, newCenter, path: pathCenters, segmentFt, gridFt, terrains: route.terrains, allocations, gridAllocations, perSlotMax, paceInfo, phaseInfo, concOnCount, capPace, bmrEffective, incKey } };
+}
 
-    if (allowed <= 1e-6) {
-      warnMoveOnce(tokenUuid, "cap-phase", `Move blocked: phase movement cap reached.`);
-      return false;
-    }
+// ---------------------------------------------------------------------------
+// Forced movement (knockback, shoves, GM repositioning)
+// ---------------------------------------------------------------------------
+// A forced move skips the movement caps and is not charged to the combatant's phase movement. It is
+// logged in combatants.<id>.forcedMoves instead (shown in the History window). A move is forced when:
+//   - the update passes { rmuCptForced: true } (API, like rmuCptUndo/rmuCptClamp),
+//   - the GM holds the "Forced Move" key (default F) while dropping the token, or
+//   - the GM switched the token's forced-movement toggle on in the Token HUD (world setting forcedMoveTokens).
+// With GM-authoritative enforcement only the HUD toggle exempts a player's own moves.
+const FORCED_MOVE_LOG_MAX = 50;
+let _forcedMoveKeyHeld = false;
+
+// A keyup lost to alt-tab would otherwise leave the key "held" and every later GM move uncharged.
+window.addEventListener("blur", () => { _forcedMoveKeyHeld = false; });
+
+// Confirm against the keyboard state at drop time (when the core keyboard manager exposes it).
+function isForcedMoveKeyDown() {
+  if (!_forcedMoveKeyHeld) return false;
+  try {
+    const down = game.keyboard?.downKeys;
+    if (!(down instanceof Set)) return true;
+    const keys = (game.keybindings.get(MODULE_ID, "forcedMove") ?? []).map(b => b.key);
+    if (keys.some(k => down.has(k))) return true;
+    _forcedMoveKeyHeld = false;
+    return false;
+  } catch (_) {
+    return true;
+  }
+}
+
+function isForcedMoveToggled(doc) {
+  try { return !!game.settings.get(MODULE_ID, "forcedMoveTokens")?.[doc?.uuid]; } catch (_) { return false; }
+}
+
+async function setForcedMoveToggle(doc, on) {
+  const map = { ...(game.settings.get(MODULE_ID, "forcedMoveTokens") ?? {}) };
+  if (on) map[doc.uuid] = true;
+  else delete map[doc.uuid];
+  await game.settings.set(MODULE_ID, "forcedMoveTokens", map);
+}
+
+function isForcedMove(doc, options) {
+  if (options?.rmuCptForced) return true;
+  if (game.user.isGM && isForcedMoveKeyDown()) return true;
+  return isForcedMoveToggled(doc);
+}
+
+function _isForcedMoveEntry(e) {
+  return _isPlainObject(e) && _isRoundNumber(e.round) && Number.isInteger(e.phase) && e.phase >= 0 && e.phase <= 99 &&
+    typeof e.ft === "number" && Number.isFinite(e.ft) && e.ft >= 0 &&
+    typeof e.tokenId === "string" && /^[A-Za-z0-9]{1,64}$/.test(e.tokenId) &&
+    (e.userId == null || (typeof e.userId === "string" && /^[A-Za-z0-9]{1,64}$/.test(e.userId))) &&
+    Number.isInteger(e.ts) && e.ts >= 0;
+}
+
+// Mover side: keep the forced distance out of the next capped move and log it on the token's combatant.
+async function recordForcedMove(doc, options) {
+  const combat = game.combat;
+  if (!combat?.started || !canvas?.ready) return;
+  const from = options?._rmuCptForcedFrom;
+  if (!from) return;
+
+  const oldCenter = tokenCenterFromTopLeft(from.x, from.y, doc);
+  const newCenter = tokenCenterFromTopLeft(doc.x, doc.y, doc);
+  const ft = measurePathLegsFt(getMovePathCenters(doc, options, oldCenter, newCenter)).reduce((s, d) => s + d, 0);
+  if (!Number.isFinite(ft) || ft <= 0) return;
+
+  // The next capped move starts here; its undo stack cannot step back across the forced move.
+  const tokenUuid = getTokenUuid(doc);
+  const track = _moveTrack.get(tokenUuid);
+  if (track?.lastCenter) {
+    track.lastCenter = { x: newCenter.x, y: newCenter.y };
+    track.undo = [];
+    persistMoveTrack(combat, tokenUuid);
+  }
 
-    const allocations = { [incKey]: allowed };
-    const perSlotMax = { [incKey]: capFt };
+  const combatant = combat.combatants?.find?.(c => c.tokenId === doc.id);
+  if (!combatant || !canUserWriteCombatant(game.user, combatant)) return;
+  const pi = detectPhaseInfo(combat);
+  const entry = {
+    round: Math.max(0, Number(combat.round ?? pi?.round ?? 0) || 0),
+    phase: clamp(Number(pi?.phase ?? 0) || 0, 0, 99),
+    ft: Math.round(ft * 10) / 10,
+    tokenId: doc.id,
+    userId: game.user.id,
+    ts: Date.now()
+  };
+  const prev = readCombatState(combat).combatants?.[combatant.id]?.forcedMoves;
+  const log = [...(Array.isArray(prev) ? prev.filter(_isForcedMoveEntry) : []), entry].slice(-FORCED_MOVE_LOG_MAX);
+  await requestStatePathUpdate({ combatId: combat.id, path: `combatants.${combatant.id}.forcedMoves`, value: log });
+}
 
-    if (overflow > MOVE_EPS_FT) {
-      const scale = (segmentFt > 0) ? (allowed / segmentFt) : 0;
+// Token HUD: GM toggle that makes every move of this token a forced move.
+Hooks.on("renderTokenHUD", (hud, html) => {
+  try {
+    if (!game.user.isGM) return;
+    const doc = hud.document ?? hud.object?.document;
+    const root = html?.[0] ?? html;
+    const col = root?.querySelector?.(".col.right");
+    if (!doc || !col) return;
+
+    const active = isForcedMoveToggled(doc);
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = `control-icon rmu-cpt-forced-move${active ? " active" : ""}`;
+    btn.dataset.tooltip = "Forced Movement (moves are not charged to the phase)";
+    btn.innerHTML = `<i class="fa-solid fa-person-falling-burst"></i>`;
+    btn.addEventListener("click", async (ev) => {
+      ev.preventDefault();
+      ev.stopPropagation();
+      const on = !isForcedMoveToggled(doc);
+      try {
+        await setForcedMoveToggle(doc, on);
+        btn.classList.toggle("active", on);
+      } catch (e) {
+        console.error(`${MODULE_ID} | Could not toggle forced movement`, e);
+      }
+    });
+    col.appendChild(btn);
+  } catch (e) {
+    console.error(`${MODULE_ID} | renderTokenHUD failed`, e);
+  }
+});
 
-      const oldX = Number(doc.x ?? 0);
-      const oldY = Number(doc.y ?? 0);
-      const tgtX = (typeof change.x === "number") ? change.x : oldX;
-      const tgtY = (typeof change.y === "number") ? change.y : oldY;
+Hooks.on("preUpdateToken", (doc, change, options, userId) => {
+  try {
+    if (options && options.rmuCptUndo) return;
+    if (options && options.rmuCptClamp) return;
+    // A mount carried along by its rider: the rider's move was already checked.
+    if (options && options.rmuCptMount) return;
+    if (!canvas?.ready) return;
+    if (!game?.combat?.started) return;
 
-      let nx = oldX + (tgtX - oldX) * scale;
-      let ny = oldY + (tgtY - oldY) * scale;
+    const hasXY = (change && (typeof change.x === "number" || typeof change.y === "number"));
+    if (!hasXY) return;
 
-      const gridType = canvas?.scene?.grid?.type;
-      const isGridless = (gridType === 0);
-      if (!isGridless && canvas?.grid?.getSnappedPosition) {
-        const snapped = canvas.grid.getSnappedPosition(nx, ny, doc.width ?? 1);
-        nx = Array.isArray(snapped) ? snapped[0] : (snapped?.x ?? nx);
-        ny = Array.isArray(snapped) ? snapped[1] : (snapped?.y ?? ny);
+    // Forced moves (knockback, shoves, GM repositioning) are not capped and not charged; updateToken logs them.
+    if (isForcedMove(doc, options)) {
+      if (!userId || userId === game.user.id) {
+        options.rmuCptForced = true;
+        options._rmuCptForcedFrom = { x: doc.x, y: doc.y };
       }
+      return;
+    }
+
+    // === USER RULE: UI OFF => MODULE MUST NOT AFFECT TOKEN MOVEMENT AT ALL ===
+    // If the tracker UI is not currently rendered (hidden/closed), we do not clamp/block
+    // movement and we do not update any movement tracking numbers.
+    if (!(globalThis._rmuCptApp?.rendered)) return;
 
-      const cc = tokenCenterFromTopLeft(nx, ny, doc);
-      const actualFt = measureFtBetweenCenters(track.lastCenter, cc);
-      allocations[incKey] = Math.max(0, Math.min(allowed, actualFt));
+    // Only enforce for the user who is making the move.
+    if (userId && userId !== game.user.id) return;
+
+    const fromTL = { x: doc.x, y: doc.y };
+    const toTL = {
+      x: (typeof change.x === "number") ? change.x : doc.x,
+      y: (typeof change.y === "number") ? change.y : doc.y
+    };
+    const verdict = evaluateTokenMove(doc, fromTL, toTL, options);
+    if (!verdict) return;
+    const tokenUuid = getTokenUuid(doc);
+
+    if (verdict.block) {
+      if (verdict.warnKey) warnMoveOnce(tokenUuid, verdict.warnKey, verdict.message);
+      else ui.notifications.warn(verdict.message);
+      return false;
+    }
 
-      const pending = { mode: "incidental", tokenUuid, oldCenter: track.lastCenter, newCenter: cc, allocations, perSlotMax, paceInfo, phaseInfo, concOnCount, capPace, bmrEffective, incKey };
+    if (verdict.clamp) {
+      const t0 = _moveHudThrottle.get(tokenUuid) ?? 0;
+      const now = Date.now();
+      if (verdict.message && now - t0 > 600) {
+        _moveHudThrottle.set(tokenUuid, now);
+        ui.notifications.info(verdict.message);
+      }
 
       setTimeout(() => {
         try {
-          doc.update({ x: nx, y: ny }, { animate: false, rmuCptClamp: true, _rmuCptMovePending: pending });
+          doc.update(verdict.clamp, { animate: false, rmuCptClamp: true, _rmuCptMovePending: verdict.pending });
         } catch (e) {
-          console.error(`${MODULE_ID} | incidental clamp update failed`, e);
+          console.error(`${MODULE_ID} | clamp update failed`, e);
         }
       }, 0);
 
       return false;
     }
 
-    options._rmuCptMovePending = { mode: "incidental", tokenUuid, oldCenter: track.lastCenter, newCenter, allocations, perSlotMax, paceInfo, phaseInfo, concOnCount, capPace, bmrEffective, incKey };
+    // Normal (non-clamped) move; commit in updateToken.
+    options._rmuCptMovePending = verdict.pending;
   } catch (e) {
     console.error(`${MODULE_ID} | movement preUpdateToken error`, e);
   }
 });
 
-Hooks.on("updateToken", (doc, change, options, userId) => {
+// Commit a checked move (the _rmuCptMovePending payload) once the token update landed. isMover: this
+// client made (or, with GM-authoritative enforcement, adopted) the move and records it.
+function applyCommittedMove(doc, pending, isMover) {
   try {
-    const pending = options?._rmuCptMovePending;
     if (!pending) return;
     if (!canvas?.ready) return;
 
     const token = canvas.tokens?.get(doc.id);
     if (!token) return;
 
+    if (pending.mode === "mount") {
+      if (isMover) recordMountMove(doc, pending);
+      try { requestAppRefresh(); } catch (_) {}
+      return;
+    }
+
+    recordMoveTrailSegment(doc, pending);
+    drawMoveTrail(pending.tokenUuid ?? getTokenUuid(doc));
+
     const tokenUuid = pending.tokenUuid ?? getTokenUuid(doc);
     const track = _moveTrack.get(tokenUuid);
     if (!track) return;
+    // Only the moving client applies the allocations and saves them; other clients get the stored
+    // record through the combat update (syncMoveTracksFromState).
 
     // Apply allocations.
-    for (const [k, v] of Object.entries(pending.allocations ?? {})) {
-      track.usedBySlot[k] = Number(track.usedBySlot[k] ?? 0) + Number(v ?? 0);
+    let undoEntry = null;
+    if (isMover) {
+      // Grid feet are only tracked once difficult terrain makes them differ from the charged feet.
+      // Per-slot grid feet come from the allocation (gridAllocations); older payloads use the move's ratio.
+      const gridRatio = (Number(pending.segmentFt) > 0 && Number.isFinite(Number(pending.gridFt))) ? Number(pending.gridFt) / Number(pending.segmentFt) : 1;
+      const gridFor = (k, v) => Number.isFinite(Number(pending.gridAllocations?.[k])) ? Number(pending.gridAllocations[k]) : Number(v ?? 0) * gridRatio;
+      if (!track.gridBySlot && Object.entries(pending.allocations ?? {}).some(([k, v]) => Math.abs(gridFor(k, v) - Number(v ?? 0)) > 1e-6)) {
+        track.gridBySlot = { ...track.usedBySlot };
+      }
+      undoEntry = { phaseKey: track.phaseKey, center: { x: pending.oldCenter.x, y: pending.oldCenter.y }, alloc: {}, points: 0, mountTokenId: pending.mountTokenId ?? null };
+      if (track.gridBySlot) undoEntry.grid = {};
+      for (const [k, v] of Object.entries(pending.allocations ?? {})) {
+        track.usedBySlot[k] = Number(track.usedBySlot[k] ?? 0) + Number(v ?? 0);
+        undoEntry.alloc[k] = Number(v ?? 0);
+        if (track.gridBySlot) {
+          track.gridBySlot[k] = Number(track.gridBySlot[k] ?? 0) + gridFor(k, v);
+          undoEntry.grid[k] = gridFor(k, v);
+        }
+      }
     }
 
     // Note: The 1.25x Move-BMR boost can be used in multiple phases, as long as the eligibility rules
@@ -5987,14 +10310,24 @@ Hooks.on("updateToken", (doc, change, options, userId) => {
     // Update last center (we no longer draw a movement line).
     const a = pending.oldCenter;
     const b = pending.newCenter;
-    track.lastCenter = { x: b.x, y: b.y };
-    track.points.push({ x: b.x, y: b.y });
+    if (isMover) {
+      track.lastCenter = { x: b.x, y: b.y };
+      // Keep every waypoint of the travelled path (the first point is the previous lastCenter).
+      const via = Array.isArray(pending.path) ? pending.path.slice(1) : [b];
+      for (const p of via) track.points.push({ x: p.x, y: p.y });
+      pushMoveUndo(track, { ...undoEntry, points: via.length });
+      persistMoveTrack(game.combat, tokenUuid);
+      if (pending.mountTokenId) carryMountAlong(doc, pending);
+    }
 
     // Build HUD text (throttled).
     const now = Date.now();
     const last = _moveHudThrottle.get(tokenUuid) ?? 0;
     const mode = String(pending.mode ?? "move");
     const { phaseInfo, perSlotMax, paceInfo, concOnCount } = pending;
+    const mountDoc = pending.mountTokenId ? findCombatTokenDoc(game.combat, pending.mountTokenId) : null;
+    const paceActor = mountDoc?.actor ?? doc.actor;
+    const actorHtml = `${escapeHtml(doc.actor?.name ?? "—")}${mountDoc ? ` <span style="opacity:0.85;">(mounted on ${escapeHtml(mountDoc.name)})</span>` : ""}`;
 
     const allocKeys = Object.keys(pending.allocations ?? {});
     const groupUsed = allocKeys.reduce((s, k) => s + Number(track.usedBySlot?.[k] ?? 0), 0);
@@ -6022,9 +10355,9 @@ Hooks.on("updateToken", (doc, change, options, userId) => {
 
         const html = `
           <div style="font-weight:700; margin-bottom:4px;">Movement</div>
-          <div><b>Actor:</b> ${escapeHtml(doc.actor?.name ?? "—")}</div>
+          <div><b>Actor:</b> ${actorHtml}</div>
           <div><b>Round:</b> ${Number(phaseInfo?.round ?? 1)} <b>Phase slot:</b> ${escapeHtml(String(phaseInfo?.phase ?? "—"))}</div>
-          <div><b>Segment:</b> +${Number(measureFtBetweenCenters(a,b)).toFixed(1)} ft</div>
+          <div><b>Segment:</b> +${Number(pending.segmentFt ?? measureFtBetweenCenters(a,b)).toFixed(1)} ft${terrainSegmentNote(pending)}</div>
           <div><b>Move allowance (this phase):</b> ${usedHere.toFixed(1)} / ${capHere.toFixed(1)} ft <span style="opacity:0.85;">(remaining ${(Math.max(0, capHere - usedHere)).toFixed(1)} ft)</span></div>
           <div><b>Pace (this phase):</b> ${escapeHtml(inf.pace)} <span style="opacity:0.85;">(cap ${escapeHtml(capPace)})</span></div>
           <div><b>Penalty:</b> ${penaltyHtml}</div>
@@ -6040,7 +10373,7 @@ Hooks.on("updateToken", (doc, change, options, userId) => {
       // Dash is only considered in the final internal phase slot when the instantaneous selector is still available.
       // BMR base value used for pace multipliers (do NOT scale by phase-count per user rule).
       const bmrBase = Number(bmrBaseTotal ?? paceInfo?.bmrPerPhase ?? 0);
-      const dashOkTotal = Boolean((concOnCount < 2) && instantAvailable && isLightLoadAtMost15(doc.actor));
+      const dashOkTotal = Boolean((concOnCount < 2) && instantAvailable && isLightLoadAtMost15(paceActor));
       const inferred = inferPaceFromBmrTable(roundTotal, bmrBase, dashOkTotal, (maxPaceLabelUsed ?? paceInfo?.maxPaceLabel));
 
       // Show a small pace label over the token while it moves.
@@ -6051,9 +10384,9 @@ Hooks.on("updateToken", (doc, change, options, userId) => {
 
         const html = `
           <div style="font-weight:700; margin-bottom:4px;">Movement</div>
-          <div><b>Actor:</b> ${escapeHtml(doc.actor?.name ?? "—")}</div>
+          <div><b>Actor:</b> ${actorHtml}</div>
           <div><b>Round:</b> ${Number(phaseInfo?.round ?? 1)} <b>Phase slot:</b> ${escapeHtml(String(phaseInfo?.phase ?? "—"))}</div>
-          <div><b>Segment:</b> +${Number(measureFtBetweenCenters(a,b)).toFixed(1)} ft</div>
+          <div><b>Segment:</b> +${Number(pending.segmentFt ?? measureFtBetweenCenters(a,b)).toFixed(1)} ft${terrainSegmentNote(pending)}</div>
           <div><b>Move allowance (current phase group):</b> ${groupUsed.toFixed(1)} / ${groupCap.toFixed(1)} ft <span style="opacity:0.85;">(remaining ${(Math.max(0, groupCap - groupUsed)).toFixed(1)} ft)</span></div>
           <div><b>Total this round:</b> ${roundTotal.toFixed(1)} ft</div>
           <div><b>Pace (inferred):</b> ${escapeHtml(inferred.pace)}</div>
@@ -6071,20 +10404,134 @@ try { _movePreview.delete(tokenUuid); } catch (_) {}
   } catch (e) {
     console.error(`${MODULE_ID} | movement updateToken error`, e);
   }
+}
+
+Hooks.on("updateToken", (doc, change, options, userId) => {
+  try {
+    // Reset Move / undo snapped the token back to its phase origin (or one move back with
+    // rmuCptUndoStep): drop that phase, or its last move, from the trail.
+    if (options?.rmuCptUndo && _moveTrails.has(getTokenUuid(doc)) && game.combat?.started) {
+      const { phaseInfo, currentInternalStart, currentInternalEnd } = getCurrentInternalSlotRange(game.combat);
+      dropMoveTrailPhase(getTokenUuid(doc), `${game.combat.id}:${phaseInfo.round}:${currentInternalStart}-${currentInternalEnd}`, !!options.rmuCptUndoStep);
+      drawMoveTrail(getTokenUuid(doc));
+    }
+
+    if (options?.rmuCptForced) {
+      if (userId === game.user.id) recordForcedMove(doc, options).catch(e => console.error(`${MODULE_ID} | Could not log forced move`, e));
+      return;
+    }
+
+    applyCommittedMove(doc, options?._rmuCptMovePending, userId === game.user.id);
+  } catch (e) {
+    console.error(`${MODULE_ID} | movement updateToken error`, e);
+  }
 });
 
+// ---------------------------------------------------------------------------
+// GM-authoritative movement enforcement (world setting "gmEnforceMovement")
+// ---------------------------------------------------------------------------
+// Normally a move is only checked on the moving player's client, and only while their tracker is open.
+// With this setting the active GM also checks every player move of the current combatant's token with
+// evaluateTokenMove(): illegal ones are clamped or moved back and the player is told why. Legal moves
+// without a payload (_rmuCptMovePending) are recorded by the GM; payload moves are recorded by the mover,
+// whose claimed allocations must cover the GM's measurement.
+// The GM has to be viewing the combat's scene.
+
+// tokenId -> last known top-left on the GM client (the origin of moves the GM only sees afterwards).
+const _gmTokenPos = new Map();
+
+function isGmMoveEnforcementOn() {
+  try { return !!game.settings.get(MODULE_ID, "gmEnforceMovement"); } catch (_) { return false; }
+}
+
+function rememberTokenPositions() {
+  _gmTokenPos.clear();
+  for (const t of canvas?.scene?.tokens ?? []) _gmTokenPos.set(t.id, { x: Number(t.x) || 0, y: Number(t.y) || 0 });
+}
+
+function notifyMoveEnforced(userId, message) {
+  try { game.socket.emit(`module.${MODULE_ID}`, { type: "moveEnforced", userId, message }); } catch (_) {}
+}
+
+// An rmuCptUndo move is trusted only when it lands on a point the stored track allows going back to:
+// the phase origin (Reset Move) or the position before the last recorded move (Undo last move).
+function gmConfirmsUndoMove(doc) {
+  const track = _moveTrack.get(getTokenUuid(doc));
+  if (!track) return false;
+  const center = tokenCenterFromTopLeft(doc.x, doc.y, doc);
+  const near = (p) => !!p && Math.abs(Number(p.x) - center.x) <= 1 && Math.abs(Number(p.y) - center.y) <= 1;
+  const originTL = track.phaseOriginTL;
+  if (originTL && Math.abs(Number(originTL.x) - Number(doc.x)) <= 1 && Math.abs(Number(originTL.y) - Number(doc.y)) <= 1) return true;
+  return near(track.phaseOrigin) || near(track.points?.[0]) || near(track.undo?.[track.undo.length - 1]?.center);
+}
+
+async function gmEnforceTokenMove(doc, options, userId, fromTL) {
+  const sender = game.users?.get(userId);
+  if (!sender || sender.isGM) return;
+  if (isForcedMoveToggled(doc)) return;
+  if (!canvas?.ready || !game?.combat?.started || doc.parent?.id !== canvas.scene?.id) return;
+  if (!fromTL) return;
+  // Option flags come from the player's client, so only an undo the GM can confirm is let through.
+  // Clamped moves, carried mounts (not the current combatant, so not capped) and moves with the
+  // client's own pending payload are all re-checked below.
+  if (options?.rmuCptUndo && gmConfirmsUndoMove(doc)) return;
+
+  const verdict = evaluateTokenMove(doc, fromTL, { x: doc.x, y: doc.y }, options);
+  if (!verdict) return;
+
+  if (verdict.block) {
+    await doc.update({ x: fromTL.x, y: fromTL.y }, { animate: false, rmuCptClamp: true });
+    notifyMoveEnforced(userId, `${doc.name}: ${verdict.message}`);
+    return;
+  }
+  if (verdict.clamp) {
+    await doc.update(verdict.clamp, { animate: false, rmuCptClamp: true, _rmuCptMovePending: verdict.pending });
+    notifyMoveEnforced(userId, `${doc.name}: ${verdict.message ?? "Move clamped to remaining allowance."}`);
+    return;
+  }
+  const claimed = options?._rmuCptMovePending;
+  if (claimed) {
+    // The moving client records its own allocations; they must cover what the GM measured.
+    const total = (alloc) => Object.values(alloc ?? {}).reduce((s, v) => s + (Number(v) || 0), 0);
+    if (total(claimed.allocations) + MOVE_EPS_FT < total(verdict.pending?.allocations)) {
+      await doc.update({ x: fromTL.x, y: fromTL.y }, { animate: false, rmuCptClamp: true });
+      notifyMoveEnforced(userId, `${doc.name}: move reverted, its recorded distance did not match the path.`);
+    }
+    return;
+  }
+  applyCommittedMove(doc, verdict.pending, true);
+}
+
+Hooks.on("updateToken", (doc, change, options, userId) => {
+  try {
+    if (!game.user.isGM) return;
+    const hasXY = (change && (typeof change.x === "number" || typeof change.y === "number"));
+    if (!hasXY) return;
+    const fromTL = _gmTokenPos.get(doc.id) ?? null;
+    _gmTokenPos.set(doc.id, { x: Number(doc.x) || 0, y: Number(doc.y) || 0 });
+
+    if (!isGmMoveEnforcementOn() || userId === game.user.id) return;
+    // With several GMs connected only the active GM enforces.
+    if (game.users?.activeGM && !game.users.activeGM.isSelf) return;
+    gmEnforceTokenMove(doc, options, userId, fromTL).catch(e => console.error(`${MODULE_ID} | GM movement enforcement failed`, e));
+  } catch (e) {
+    console.error(`${MODULE_ID} | GM movement enforcement failed`, e);
+  }
+});
+
+Hooks.on("canvasReady", () => { if (game.user.isGM) rememberTokenPositions(); });
+Hooks.on("createToken", (doc) => { if (game.user.isGM) _gmTokenPos.set(doc.id, { x: Number(doc.x) || 0, y: Number(doc.y) || 0 }); });
+Hooks.on("deleteToken", (doc) => { _gmTokenPos.delete(doc.id); });
+
 // When combat advances, clear local movement paths so each phase starts clean.
 Hooks.on("combatTurn", (combat, update, options, userId) => {
   try {
     // Keep per-slot distance totals, but force a fresh origin/line for the next phase slot.
-    for (const [tokenUuid, tr] of _moveTrack.entries()) {
+    // The movement trail spans the whole round and is kept.
+    for (const tr of _moveTrack.values()) {
       tr.phaseKey = null;
       tr.lastCenter = null;
       tr.points = [];
-      clearMoveTrail(tokenUuid);
-    }
-    for (const g of _moveGraphics.values()) {
-      try { g.clear(); } catch (_) {}
     }
 
     // Hide any over-token pace labels between phases.
@@ -6097,10 +10544,8 @@ Hooks.on("combatTurn", (combat, update, options, userId) => {
 Hooks.on("deleteCombat", () => {
   try {
     _moveTrack.clear();
-    for (const g of _moveGraphics.values()) {
-      try { g.destroy?.({ children: true }); } catch (_) {}
-    }
-    _moveGraphics.clear();
+    _acceptedMoveRecords.clear();
+    clearMoveTrail();
 
     clearAllTokenPaceLabels();
   } catch (_) {}